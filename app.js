@@ -6,17 +6,26 @@ const express = require("express");
 const cors = require("cors");
 
 const { NotFoundError } = require("./expressError");
+const { TRUST_PROXY } = require("./config");
+// Registers the extra formats (e.g. "calendar-date") used by schemas/
+require("./helpers/schemaFormats");
 
 const { authenticateJWT } = require("./middleware/auth");
 const authRoutes = require("./routes/auth");
 const companiesRoutes = require("./routes/companies");
 const usersRoutes = require("./routes/users");
 const jobsRoutes = require("./routes/jobs");
+const searchRoutes = require("./routes/search");
+const apiKeysRoutes = require("./routes/apiKeys");
 
 const morgan = require("morgan");
 
 const app = express();
 
+// Behind a proxy, req.ip (used to rate-limit logins) must come from
+// X-Forwarded-For; see TRUST_PROXY in config.js
+app.set("trust proxy", TRUST_PROXY);
+
 app.use(cors());
 app.use(express.json());
 app.use(morgan("tiny"));
@@ -26,6 +35,8 @@ app.use("/auth", authRoutes);
 app.use("/companies", companiesRoutes);
 app.use("/users", usersRoutes);
 app.use("/jobs", jobsRoutes);
+app.use("/search", searchRoutes);
+app.use("/api-keys", apiKeysRoutes);
 
 
 /** Handle 404 errors -- this matches everything */
@@ -38,6 +49,7 @@ app.use(function (err, req, res, next) {
   if (process.env.NODE_ENV !== "test") console.error(err.stack);
   const status = err.status || 500;
   const message = err.message;
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
 
   return res.status(status).json({
     error: { message, status },
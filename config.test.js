@@ -25,3 +25,19 @@ describe("config can come from env", function () {
   });
 })
 
+
+describe("MAIL_TRANSPORT", function () {
+  test("defaults to file, never console, in production", function () {
+    const { NODE_ENV, MAIL_TRANSPORT } = process.env;
+    process.env.NODE_ENV = "production";
+    delete process.env.MAIL_TRANSPORT;
+    try {
+      jest.isolateModules(() => {
+        expect(require("./config").MAIL_TRANSPORT).toEqual("file");
+      });
+    } finally {
+      process.env.NODE_ENV = NODE_ENV;
+      if (MAIL_TRANSPORT !== undefined) process.env.MAIL_TRANSPORT = MAIL_TRANSPORT;
+    }
+  });
+});
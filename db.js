@@ -1,8 +1,11 @@
 "use strict";
 /** Database setup for jobly. */
-const { Client } = require("pg");
+const { Client, types } = require("pg");
 const { getDatabaseUri } = require("./config");
 
+// Return DATE columns as "YYYY-MM-DD" strings, not Dates at local midnight
+types.setTypeParser(types.builtins.DATE, val => val);
+
 let db;
 
 if (process.env.NODE_ENV === "production") {
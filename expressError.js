@@ -44,10 +44,21 @@ class ForbiddenError extends ExpressError {
   }
 }
 
+/** 429 TOO MANY REQUESTS error; retryAfter is how many seconds the
+ *  client should wait, sent as the Retry-After header. */
+
+class TooManyRequestsError extends ExpressError {
+  constructor(message = "Too Many Requests", retryAfter = null) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+  }
+}
+
 module.exports = {
   ExpressError,
   NotFoundError,
   UnauthorizedError,
   BadRequestError,
   ForbiddenError,
+  TooManyRequestsError,
 };
\ No newline at end of file
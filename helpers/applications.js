@@ -0,0 +1,89 @@
+"use strict";
+
+/** States an application can be in, and the moves allowed between them.
+ *
+ *  interested -> applied -> interviewing -> offered
+ *
+ *  Any open application can be rejected by the hiring side or withdrawn
+ *  by the candidate; rejected and withdrawn are final.
+ */
+
+const APPLICATION_STATES = [
+  "interested",
+  "applied",
+  "interviewing",
+  "offered",
+  "rejected",
+  "withdrawn",
+];
+
+const APPLICATION_TRANSITIONS = {
+  interested: ["applied", "withdrawn"],
+  applied: ["interviewing", "rejected", "withdrawn"],
+  interviewing: ["offered", "rejected", "withdrawn"],
+  offered: ["rejected", "withdrawn"],
+  rejected: [],
+  withdrawn: [],
+};
+
+/** States a candidate may move their own application into; the rest
+ *  (interviewing, offered, rejected) are set by the hiring side. */
+
+const CANDIDATE_STATES = ["interested", "applied", "withdrawn"];
+
+/** File types accepted for resumes: PDF, Word and plain text. */
+
+const RESUME_TYPES = [
+  "application/pdf",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "text/plain",
+];
+
+/** How the contents of each resume type start: PDFs with "%PDF-", Word
+ *  documents with the OLE compound file header, and .docx files (zip
+ *  archives) with "PK\x03\x04". Plain text is checked by isPlainText. */
+
+const RESUME_SIGNATURES = {
+  "application/pdf": Buffer.from("%PDF-"),
+  "application/msword": Buffer.from("d0cf11e0a1b11ae1", "hex"),
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    Buffer.from("504b0304", "hex"),
+};
+
+/** Return true if data is UTF-8 text without NUL bytes. */
+
+function isPlainText(data) {
+  if (data.includes(0)) return false;
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(data);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/** Return true if the contents of a resume (a Buffer) match the type
+ *  (one of RESUME_TYPES) it was uploaded as. */
+
+function resumeMatchesType(contentType, data) {
+  if (contentType === "text/plain") return isPlainText(data);
+  const signature = RESUME_SIGNATURES[contentType];
+  return !!signature &&
+      data.subarray(0, signature.length).equals(signature);
+}
+
+/** Return true if an application may move from state `from` to `to`. */
+
+function canTransition(from, to) {
+  return (APPLICATION_TRANSITIONS[from] || []).includes(to);
+}
+
+module.exports = {
+  APPLICATION_STATES,
+  APPLICATION_TRANSITIONS,
+  CANDIDATE_STATES,
+  RESUME_TYPES,
+  resumeMatchesType,
+  canTransition,
+};
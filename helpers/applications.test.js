@@ -0,0 +1,61 @@
+const {
+    canTransition,
+    resumeMatchesType,
+    APPLICATION_STATES,
+} = require("./applications");
+
+describe("canTransition", function () {
+    test("works: forward moves", function () {
+        expect(canTransition("interested", "applied")).toBe(true);
+        expect(canTransition("applied", "interviewing")).toBe(true);
+        expect(canTransition("interviewing", "offered")).toBe(true);
+    });
+
+    test("works: any open application can be withdrawn", function () {
+        ["interested", "applied", "interviewing", "offered"].forEach(s =>
+            expect(canTransition(s, "withdrawn")).toBe(true));
+    });
+
+    test("rejects skipped and backward moves", function () {
+        expect(canTransition("applied", "offered")).toBe(false);
+        expect(canTransition("interviewing", "applied")).toBe(false);
+    });
+
+    test("rejected and withdrawn are final", function () {
+        APPLICATION_STATES.forEach(s => {
+            expect(canTransition("rejected", s)).toBe(false);
+            expect(canTransition("withdrawn", s)).toBe(false);
+        });
+    });
+
+    test("unknown state", function () {
+        expect(canTransition("nope", "applied")).toBe(false);
+    });
+});
+
+describe("resumeMatchesType", function () {
+    test("works", function () {
+        expect(resumeMatchesType("application/pdf", Buffer.from("%PDF-1.7\n"))).toBe(true);
+        expect(resumeMatchesType("application/msword",
+            Buffer.from("d0cf11e0a1b11ae10000", "hex"))).toBe(true);
+        expect(resumeMatchesType(
+            "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+            Buffer.from("504b030414000600", "hex"))).toBe(true);
+        expect(resumeMatchesType("text/plain", Buffer.from("Jane Doe — résumé"))).toBe(true);
+    });
+
+    test("false for other contents", function () {
+        const html = Buffer.from("<html><body>hi</body></html>");
+        expect(resumeMatchesType("application/pdf", html)).toBe(false);
+        expect(resumeMatchesType("application/msword", html)).toBe(false);
+        expect(resumeMatchesType(
+            "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+            html)).toBe(false);
+        expect(resumeMatchesType("text/plain", Buffer.from([0x50, 0x00]))).toBe(false);
+        expect(resumeMatchesType("text/plain", Buffer.from([0xff, 0xfe]))).toBe(false);
+    });
+
+    test("false for unknown types", function () {
+        expect(resumeMatchesType("image/png", Buffer.from("%PDF-"))).toBe(false);
+    });
+});
@@ -0,0 +1,122 @@
+"use strict";
+
+/** Templates for the emails the app sends.
+ *
+ * Each template takes the data for one message and returns
+ * { subject, text }. Messages are queued by name with Mail.enqueue
+ * (models/mail.js), which renders them.
+ */
+
+const STATE_MESSAGES = {
+  interviewing: "has moved on to interviews. The hiring team will be in touch to arrange them.",
+  offered: "has reached the offer stage. Congratulations!",
+  rejected: "will not be taken further. Thank you for your interest, and good luck with your search.",
+  withdrawn: "has been withdrawn.",
+};
+
+const MAIL_TEMPLATES = {
+  /** data: { firstName, username, url, expiresInHours }, where url
+   *  verifies the user's email address */
+  registration: ({ firstName, username, url, expiresInHours }) => ({
+    subject: "Welcome to Jobly",
+    text: `Hi ${firstName},
+
+Thanks for joining Jobly. Your username is ${username}.
+
+Please confirm your email address by following this link within
+${expiresInHours} hours:
+
+${url}
+
+You can then fill in your profile, save jobs and searches, and apply to jobs.
+
+-- The Jobly team`,
+  }),
+
+  /** data: { firstName, username, url, expiresInHours }; for accounts an
+   *  admin creates */
+  accountCreated: ({ firstName, username, url, expiresInHours }) => ({
+    subject: "Your Jobly account",
+    text: `Hi ${firstName},
+
+A Jobly account has been created for you with the username ${username}.
+Ask the person who set it up for your password, or choose your own with
+"Forgot password" on the login page.
+
+Please confirm your email address by following this link within
+${expiresInHours} hours:
+
+${url}
+
+-- The Jobly team`,
+  }),
+
+  /** data: { firstName, username, url, expiresInHours } */
+  emailVerification: ({ firstName, username, url, expiresInHours }) => ({
+    subject: "Confirm your email address",
+    text: `Hi ${firstName},
+
+Please confirm this is the email address for your Jobly account, ${username},
+by following this link within ${expiresInHours} hours:
+
+${url}
+
+If you don't have a Jobly account, you can ignore this email.
+
+-- The Jobly team`,
+  }),
+
+  /** data: { firstName, username, url, expiresInMinutes } */
+  passwordReset: ({ firstName, username, url, expiresInMinutes }) => ({
+    subject: "Reset your Jobly password",
+    text: `Hi ${firstName},
+
+Someone asked to reset the password for your Jobly account, ${username}.
+To choose a new password, follow this link within ${expiresInMinutes} minutes:
+
+${url}
+
+The link works once. If you didn't ask for this, you can ignore this email;
+your password won't change.
+
+-- The Jobly team`,
+  }),
+
+  /** data: { firstName, jobTitle, companyName } */
+  applicationReceived: ({ firstName, jobTitle, companyName }) => ({
+    subject: `Application received: ${jobTitle}`,
+    text: `Hi ${firstName},
+
+We've received your application for ${jobTitle} at ${companyName}.
+We'll email you when its status changes.
+
+-- The Jobly team`,
+  }),
+
+  /** data: { firstName, jobTitle, companyName, state } */
+  applicationStatus: ({ firstName, jobTitle, companyName, state }) => ({
+    subject: `Application update: ${jobTitle}`,
+    text: `Hi ${firstName},
+
+Your application for ${jobTitle} at ${companyName} ${
+  STATE_MESSAGES[state] || `is now ${state}.`}
+
+-- The Jobly team`,
+  }),
+};
+
+/** Return { subject, text } for the named template.
+ *
+ * Throws Error for an unknown template name.
+ */
+
+function renderTemplate(name, data) {
+  const template = MAIL_TEMPLATES[name];
+  if (!template) throw new Error(`Unknown mail template: ${name}`);
+  return template(data);
+}
+
+module.exports = {
+  MAIL_TEMPLATES,
+  renderTemplate,
+};
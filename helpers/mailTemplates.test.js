@@ -0,0 +1,23 @@
+const { renderTemplate } = require("./mailTemplates");
+
+describe("renderTemplate", function () {
+  test("works", function () {
+    const { subject, text } = renderTemplate("applicationReceived",
+      { firstName: "U1F", jobTitle: "Engineer", companyName: "C1" });
+    expect(subject).toEqual("Application received: Engineer");
+    expect(text).toContain("Hi U1F,");
+    expect(text).toContain("Engineer at C1");
+  });
+
+  test("works: status messages", function () {
+    const data = { firstName: "U1F", jobTitle: "Engineer", companyName: "C1" };
+    expect(renderTemplate("applicationStatus", { ...data, state: "offered" }).text)
+      .toContain("has reached the offer stage");
+    expect(renderTemplate("applicationStatus", { ...data, state: "applied" }).text)
+      .toContain("is now applied.");
+  });
+
+  test("fails for unknown template", function () {
+    expect(() => renderTemplate("nope", {})).toThrow("Unknown mail template");
+  });
+});
@@ -0,0 +1,194 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const { isCalendarDate } = require("./schemaFormats");
+
+/** Page size used when a request doesn't give a limit. */
+
+const DEFAULT_PAGE_LIMIT = 50;
+
+/** Return true if v is a timestamp as JSON.stringify writes Dates; other
+ *  strings might parse as Dates the database can't hold. */
+
+function isIsoTimestamp(v) {
+  return typeof v === "string" &&
+      /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/.test(v) &&
+      !isNaN(new Date(v)) && new Date(v).toISOString() === v;
+}
+
+/** Checks that a value read back from a cursor has its sort key's type.
+ *
+ * Numeric values may be strings, as pg returns NUMERIC columns as strings;
+ * dates are "YYYY-MM-DD" strings (see db.js).
+ */
+
+const CURSOR_VALUE_TYPES = {
+  text: v => typeof v === "string",
+  integer: v => Number.isInteger(v) && Math.abs(v) <= 2147483647,
+  numeric: v => (typeof v === "number" && Number.isFinite(v)) ||
+      (typeof v === "string" && /^-?\d+(\.\d+)?$/.test(v)),
+  timestamp: isIsoTimestamp,
+  date: v => typeof v === "string" && isCalendarDate(v),
+};
+
+/** Convert a sort parameter into a list of sort keys for sqlForPage.
+ *
+ * sort is a comma-separated list of field names, each optionally prefixed
+ * with "-" for descending order: "-salary,title". Undefined gives
+ * defaultSort.
+ *
+ * sortable maps each field that may be sorted on to its key:
+ *   { salary: { col: "COALESCE(salary, -1)", nullAs: -1, type: "numeric" },
+ *     ... }
+ * type is the type of the key's values (see CURSOR_VALUE_TYPES; default
+ * "text"), so values read back from a cursor can be checked. Values of
+ * "timestamp" keys are turned back into Dates.
+ *
+ * unique names the field that identifies a row, or a list of fields that
+ * together do. Their keys are added last (ascending) unless already in the
+ * list, so that rows never tie.
+ *
+ * A BadRequestError is thrown for an unknown or repeated field.
+ */
+
+function sortKeys(sort, sortable, unique, defaultSort = [].concat(unique).join(",")) {
+  const fields = (sort === undefined ? defaultSort : sort).split(",");
+  const orderBy = fields.map(f => {
+    const field = f.replace(/^-/, "");
+    if (!sortable[field]) throw new BadRequestError(`Invalid sort field: ${field}`);
+    return { ...sortable[field], field, dir: f.startsWith("-") ? "DESC" : "ASC" };
+  });
+
+  const names = orderBy.map(k => k.field);
+  if (new Set(names).size !== names.length)
+    throw new BadRequestError("Sort fields may only be given once");
+  [].concat(unique).forEach(field => {
+    if (!names.includes(field))
+      orderBy.push({ ...sortable[field], field, dir: "ASC" });
+  });
+
+  return orderBy;
+}
+
+/** Return the sort parameter that produces orderBy, e.g. "-salary,id". */
+
+function sortSpec(orderBy) {
+  return orderBy.map(k => `${k.dir === "DESC" ? "-" : ""}${k.field}`).join(",");
+}
+
+/** Turn the sort-key values of a result row into an opaque cursor string.
+ *
+ * orderBy is the list of sort keys the results were ordered by (see
+ * sqlForPage); each key's `field` names the property read from the row,
+ * and a null value is replaced by the key's `nullAs`.
+ */
+
+function encodeCursor(row, orderBy) {
+  const values = orderBy.map(k => row[k.field] === null && k.nullAs !== undefined ?
+    k.nullAs : row[k.field]);
+  const cursor = { sort: sortSpec(orderBy), values };
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+/** Turn a cursor string back into the list of sort-key values it holds.
+ *
+ * A BadRequestError is thrown if the cursor is malformed, holds a value
+ * of the wrong type for its key, or was made for a different sort order.
+ */
+
+function decodeCursor(cursor, orderBy) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch (err) {
+    throw new BadRequestError("Invalid cursor");
+  }
+  if (!decoded || decoded.sort !== sortSpec(orderBy) || 
+      !Array.isArray(decoded.values) || decoded.values.length !== orderBy.length)
+    throw new BadRequestError("Invalid cursor");
+  decoded.values.forEach((value, i) => {
+    if (value !== null && !CURSOR_VALUE_TYPES[orderBy[i].type || "text"](value))
+      throw new BadRequestError("Invalid cursor");
+  });
+  return decoded.values;
+}
+
+/** Build the clauses of a statement returning one page of results.
+ *
+ * page is { limit, offset, cursor }, all optional; limit defaults to
+ * DEFAULT_PAGE_LIMIT. A cursor (the `next` value of the previous page)
+ * resumes right after the row it was made from, and can't be combined
+ * with an offset.
+ *
+ * orderBy lists the sort keys as [{ col, field, dir, nullAs, type }, ...]:
+ * the SQL expression, the property holding its value in result rows, "ASC"
+ * or "DESC", for a column that can be null, the value its expression
+ * COALESCEs null to, and the type of its values. The keys together must be unique so that rows never
+ * tie.
+ * sortKeys builds this list from a sort parameter.
+ *
+ * whereClause is the statement's existing WHERE clause ("" for none); the
+ * cursor condition is added to it. Placeholders are numbered from firstIdx.
+ *
+ * One row more than the limit is fetched so pageOf can tell whether there
+ * is a next page.
+ *
+ * Returns { whereClause, orderClause, limitClause, values, limit }
+ */
+
+function sqlForPage(page, orderBy, whereClause, firstIdx = 1) {
+  const { limit = DEFAULT_PAGE_LIMIT, offset, cursor } = page || {};
+  if (cursor !== undefined && offset !== undefined)
+    throw new BadRequestError("Use either offset or cursor, not both");
+
+  const values = [];
+  const placeholder = value => {
+    values.push(value);
+    return `$${firstIdx + values.length - 1}`;
+  };
+
+  if (cursor !== undefined) {
+    const after = decodeCursor(cursor, orderBy).map((value, i) =>
+      orderBy[i].type === "timestamp" && value !== null ? new Date(value) : value);
+
+    // (a, b) after (1, 2) => (a > $1) OR (a = $1 AND b > $2)
+    const params = after.map(placeholder);
+    const alternatives = orderBy.map((key, i) => {
+      const ties = orderBy.slice(0, i).map((k, j) => `${k.col} = ${params[j]}`);
+      const op = key.dir === "DESC" ? "<" : ">";
+      return `(${[...ties, `${key.col} ${op} ${params[i]}`].join(" AND ")})`;
+    });
+    const condition = `(${alternatives.join(" OR ")})`;
+
+    whereClause = whereClause ?
+      `${whereClause} AND ${condition}` : `WHERE ${condition}`;
+  }
+
+  const orderClause =
+    `ORDER BY ${orderBy.map(k => `${k.col} ${k.dir}`).join(", ")}`;
+  let limitClause = `LIMIT ${placeholder(limit + 1)}`;
+  if (offset !== undefined) limitClause += ` OFFSET ${placeholder(offset)}`;
+
+  return { whereClause, orderClause, limitClause, values, limit };
+}
+
+/** Trim the extra row fetched by sqlForPage from a page of results.
+ *
+ * Returns { rows, next } where next is the cursor for the following page,
+ * or null if this is the last page.
+ */
+
+function pageOf(rows, limit, orderBy) {
+  if (rows.length <= limit) return { rows, next: null };
+  const pageRows = rows.slice(0, limit);
+  return { rows: pageRows, next: encodeCursor(pageRows[limit - 1], orderBy) };
+}
+
+module.exports = {
+  DEFAULT_PAGE_LIMIT,
+  sortKeys,
+  encodeCursor,
+  decodeCursor,
+  sqlForPage,
+  pageOf,
+};
@@ -0,0 +1,226 @@
+const {
+    DEFAULT_PAGE_LIMIT,
+    sortKeys,
+    encodeCursor,
+    decodeCursor,
+    sqlForPage,
+    pageOf,
+} = require("./pagination");
+const { BadRequestError } = require("../expressError");
+
+const orderBy = [
+    { col: "title", field: "title", dir: "ASC" },
+    { col: "id", field: "id", dir: "DESC", type: "integer" },
+];
+
+const sortable = {
+    id: { col: "id", type: "integer" },
+    title: { col: "title" },
+    salary: { col: "COALESCE(salary, -1)", nullAs: -1, type: "numeric" },
+};
+
+describe("sortKeys", function () {
+    test("works", function () {
+        expect(sortKeys("-salary,title", sortable, "id")).toEqual([
+            { col: "COALESCE(salary, -1)", nullAs: -1, type: "numeric", field: "salary", dir: "DESC" },
+            { col: "title", field: "title", dir: "ASC" },
+            { col: "id", field: "id", dir: "ASC", type: "integer" },
+        ]);
+    });
+
+    test("works: default sort", function () {
+        expect(sortKeys(undefined, sortable, "id", "title")).toEqual([
+            { col: "title", field: "title", dir: "ASC" },
+            { col: "id", field: "id", dir: "ASC", type: "integer" },
+        ]);
+    });
+
+    test("works: unique field already given", function () {
+        expect(sortKeys("-id", sortable, "id")).toEqual([
+            { col: "id", field: "id", dir: "DESC", type: "integer" },
+        ]);
+    });
+
+    test("works: unique fields", function () {
+        expect(sortKeys("id", sortable, ["title", "id"])).toEqual([
+            { col: "id", field: "id", dir: "ASC", type: "integer" },
+            { col: "title", field: "title", dir: "ASC" },
+        ]);
+        expect(sortKeys(undefined, sortable, ["title", "id"])).toEqual([
+            { col: "title", field: "title", dir: "ASC" },
+            { col: "id", field: "id", dir: "ASC", type: "integer" },
+        ]);
+    });
+
+    test("bad request for unknown field", function () {
+        try {
+            sortKeys("nope", sortable, "id");
+            fail();
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy();
+        }
+    });
+
+    test("bad request for repeated field", function () {
+        try {
+            sortKeys("title,-title", sortable, "id");
+            fail();
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy();
+        }
+    });
+});
+
+describe("encodeCursor / decodeCursor", function () {
+    test("works: null values use nullAs", function () {
+        const keys = sortKeys("salary", sortable, "id");
+        const cursor = encodeCursor({ id: 7, salary: null }, keys);
+        expect(decodeCursor(cursor, keys)).toEqual([-1, 7]);
+    });
+
+    test("bad request for cursor from a different direction", function () {
+        const cursor = encodeCursor({ id: 7, salary: 1 }, sortKeys("salary", sortable, "id"));
+        try {
+            decodeCursor(cursor, sortKeys("-salary", sortable, "id"));
+            fail();
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy();
+        }
+    });
+
+    test("works", function () {
+        const cursor = encodeCursor({ id: 7, title: "j1", salary: 10 }, orderBy);
+        expect(decodeCursor(cursor, orderBy)).toEqual(["j1", 7]);
+    });
+
+    test("bad request for malformed cursor", function () {
+        try {
+            decodeCursor("not-a-cursor", orderBy);
+            fail();
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy();
+        }
+    });
+
+    test("works: numeric values from pg as strings", function () {
+        const keys = sortKeys("salary", sortable, "id");
+        const cursor = encodeCursor({ id: 7, salary: "12.50" }, keys);
+        expect(decodeCursor(cursor, keys)).toEqual(["12.50", 7]);
+    });
+
+    test("bad request for tampered values", function () {
+        const tampered = values => Buffer.from(JSON.stringify(
+            { sort: "title,-id", values })).toString("base64url");
+        for (const values of [["j1", "abc"], ["j1", 1.5], [7, 7], ["j1", 1e12]]) {
+            try {
+                decodeCursor(tampered(values), orderBy);
+                fail();
+            } catch (err) {
+                expect(err instanceof BadRequestError).toBeTruthy();
+            }
+        }
+    });
+
+    test("bad request for tampered timestamp", function () {
+        const keys = [{ col: "created_at", field: "createdAt", dir: "DESC", type: "timestamp" }];
+        for (const value of ["not a time", "2026-01-02", "-271821-04-20T00:00:00.000Z"]) {
+            const cursor = Buffer.from(JSON.stringify(
+                { sort: "-createdAt", values: [value] })).toString("base64url");
+            try {
+                decodeCursor(cursor, keys);
+                fail();
+            } catch (err) {
+                expect(err instanceof BadRequestError).toBeTruthy();
+            }
+        }
+    });
+
+    test("works: dates", function () {
+        const keys = [{ col: "posted_at", field: "postedAt", dir: "ASC", type: "date" }];
+        const cursor = encodeCursor({ postedAt: "2026-01-10" }, keys);
+        expect(decodeCursor(cursor, keys)).toEqual(["2026-01-10"]);
+        const tampered = Buffer.from(JSON.stringify(
+            { sort: "postedAt", values: ["2024-02-30"] })).toString("base64url");
+        expect(() => decodeCursor(tampered, keys)).toThrow(BadRequestError);
+    });
+
+    test("bad request for cursor from another sort order", function () {
+        const cursor = encodeCursor({ title: "j1" }, [orderBy[0]]);
+        try {
+            decodeCursor(cursor, orderBy);
+            fail();
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy();
+        }
+    });
+});
+
+describe("sqlForPage", function () {
+    test("works: defaults", function () {
+        expect(sqlForPage({}, orderBy, "")).toEqual({
+            whereClause: "",
+            orderClause: "ORDER BY title ASC, id DESC",
+            limitClause: "LIMIT $1",
+            values: [DEFAULT_PAGE_LIMIT + 1],
+            limit: DEFAULT_PAGE_LIMIT,
+        });
+    });
+
+    test("works: limit and offset", function () {
+        expect(sqlForPage({ limit: 5, offset: 10 }, orderBy, "WHERE salary >= $1", 2)).toEqual({
+            whereClause: "WHERE salary >= $1",
+            orderClause: "ORDER BY title ASC, id DESC",
+            limitClause: "LIMIT $2 OFFSET $3",
+            values: [6, 10],
+            limit: 5,
+        });
+    });
+
+    test("works: cursor", function () {
+        const cursor = encodeCursor({ id: 7, title: "j1" }, orderBy);
+        expect(sqlForPage({ limit: 5, cursor }, orderBy, "WHERE salary >= $1", 2)).toEqual({
+            whereClause: "WHERE salary >= $1 AND ((title > $2) OR (title = $2 AND id < $3))",
+            orderClause: "ORDER BY title ASC, id DESC",
+            limitClause: "LIMIT $4",
+            values: ["j1", 7, 6],
+            limit: 5,
+        });
+    });
+
+    test("works: cursor without other conditions", function () {
+        const cursor = encodeCursor({ id: 7, title: "j1" }, orderBy);
+        expect(sqlForPage({ cursor }, orderBy, "").whereClause)
+            .toEqual("WHERE ((title > $1) OR (title = $1 AND id < $2))");
+    });
+
+    test("works: timestamp keys come back as dates", function () {
+        const keys = [{ col: "created_at", field: "createdAt", dir: "DESC", type: "timestamp" }];
+        const createdAt = new Date("2026-01-02T03:04:05.678Z");
+        const cursor = encodeCursor({ createdAt }, keys);
+        expect(sqlForPage({ cursor }, keys, "").values).toEqual([createdAt, DEFAULT_PAGE_LIMIT + 1]);
+    });
+
+    test("bad request with both cursor and offset", function () {
+        const cursor = encodeCursor({ id: 7, title: "j1" }, orderBy);
+        try {
+            sqlForPage({ cursor, offset: 1 }, orderBy, "");
+            fail();
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy();
+        }
+    });
+});
+
+describe("pageOf", function () {
+    const rows = [{ id: 1, title: "a" }, { id: 2, title: "b" }, { id: 3, title: "c" }];
+
+    test("works: more rows", function () {
+        const page = pageOf(rows, 2, orderBy);
+        expect(page.rows).toEqual(rows.slice(0, 2));
+        expect(decodeCursor(page.next, orderBy)).toEqual(["b", 2]);
+    });
+
+    test("works: last page", function () {
+        expect(pageOf(rows, 3, orderBy)).toEqual({ rows, next: null });
+    });
+});
@@ -0,0 +1,46 @@
+"use strict";
+
+/** Convert a req.query object into the shape of a filter schema, so that
+ *  GET requests can be validated with the same schema as a JSON body.
+ *
+ * Query-string values always arrive as strings. Each one is converted to
+ * the type its schema property declares ("integer", "number", "boolean");
+ * values that don't convert cleanly are left as strings so the validator
+ * rejects them. Keys described under the schema's `filters` property are
+ * moved into a `filters` object; everything else is kept at the top level.
+ *
+ * ?name=net&minEmployees=10  =>  { filters: { name: "net", minEmployees: 10 } }
+ */
+
+function coerceQuery(query, schema) {
+  const filterProps = (schema.properties.filters || {}).properties || {};
+  const result = {};
+
+  for (const [key, value] of Object.entries(query)) {
+    if (filterProps[key]) {
+      result.filters = result.filters || {};
+      result.filters[key] = coerceValue(value, filterProps[key]);
+    } else {
+      result[key] = coerceValue(value, schema.properties[key]);
+    }
+  }
+
+  return result;
+}
+
+/** Convert one query-string value to the type its schema property declares. */
+
+function coerceValue(value, prop) {
+  if (typeof value !== "string" || !prop) return value;
+  const types = [].concat(prop.type);
+
+  if ((types.includes("integer") && /^-?\d+$/.test(value)) ||
+      (types.includes("number") && value.trim() !== "" && !isNaN(value)))
+    return Number(value);
+  if (types.includes("boolean") && (value === "true" || value === "false"))
+    return value === "true";
+
+  return value;
+}
+
+module.exports = { coerceQuery };
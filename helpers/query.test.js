@@ -0,0 +1,36 @@
+const { coerceQuery } = require("./query");
+const companyFilterSchema = require("../schemas/companyFilter.json");
+const jobFilterSchema = require("../schemas/jobFilter.json");
+
+describe("coerceQuery", function () {
+    test("works", function () {
+        const query = { name: "net", minEmployees: "10", maxEmployees: "20" };
+        expect(coerceQuery(query, companyFilterSchema)).toEqual({
+            filters: { name: "net", minEmployees: 10, maxEmployees: 20 },
+        });
+    });
+
+    test("works: booleans", function () {
+        expect(coerceQuery({ hasEquity: "true" }, jobFilterSchema)).toEqual({
+            filters: { hasEquity: true },
+        });
+        expect(coerceQuery({ hasEquity: "false" }, jobFilterSchema)).toEqual({
+            filters: { hasEquity: false },
+        });
+    });
+
+    test("works: no query", function () {
+        expect(coerceQuery({}, jobFilterSchema)).toEqual({});
+    });
+
+    test("leaves values that don't convert as strings", function () {
+        expect(coerceQuery({ minSalary: "lots", hasEquity: "yes" }, jobFilterSchema))
+            .toEqual({ filters: { minSalary: "lots", hasEquity: "yes" } });
+        expect(coerceQuery({ minEmployees: "1.5" }, companyFilterSchema))
+            .toEqual({ filters: { minEmployees: "1.5" } });
+    });
+
+    test("keeps unknown keys at the top level", function () {
+        expect(coerceQuery({ nope: "1" }, jobFilterSchema)).toEqual({ nope: "1" });
+    });
+});
@@ -0,0 +1,85 @@
+"use strict";
+
+/** Roles a user can have, and what each one is allowed to do.
+ *
+ *  admin      runs the site: everything below, plus managing companies,
+ *             users and API keys
+ *  recruiter  HR staff: posts and edits jobs and moves applications along,
+ *             only for the companies they recruit for
+ *  candidate  looks for work: manages their own account and applications
+ *  auditor    read-only access to users and applications
+ *
+ *  Permissions are "<resource>:<read|write>". Anyone may read companies and
+ *  jobs without logging in; the :read permissions for them are listed so
+ *  that every role's access is spelled out in one place.
+ */
+
+const ROLES = ["admin", "recruiter", "candidate", "auditor"];
+
+const ROLE_PERMISSIONS = {
+  admin: [
+    "companies:read", "companies:write",
+    "jobs:read", "jobs:write",
+    "users:read", "users:write",
+    "applications:read", "applications:write",
+    "apiKeys:read", "apiKeys:write",
+  ],
+  recruiter: [
+    "companies:read",
+    "jobs:read", "jobs:write",
+    "applications:read", "applications:write",
+  ],
+  candidate: [
+    "companies:read",
+    "jobs:read",
+  ],
+  auditor: [
+    "companies:read",
+    "jobs:read",
+    "users:read",
+    "applications:read",
+  ],
+};
+
+/** Roles whose permissions only reach the companies the user is linked to
+ *  (see company_recruiters); other roles' permissions apply everywhere. */
+
+const COMPANY_SCOPED_ROLES = ["recruiter"];
+
+/** Return true if a user with `role` has `permission`. */
+
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/** Permissions an API key issued for one company never has, whatever its
+ *  scopes: they reach across every company's users. */
+
+const COMPANY_KEY_EXCLUDED_PERMISSIONS = ["users:read", "users:write"];
+
+/** Return true if a logged-in user (res.locals.user) has `permission`.
+ *  Requests made with an API key have only the key's scopes, less
+ *  COMPANY_KEY_EXCLUDED_PERMISSIONS if it was issued for a company. */
+
+function userHasPermission(user, permission) {
+  if (!user.scopes) return hasPermission(user.role, permission);
+  if (user.companyHandle && COMPANY_KEY_EXCLUDED_PERMISSIONS.includes(permission))
+    return false;
+  return user.scopes.includes(permission);
+}
+
+/** Return true if `role`'s permissions only apply to linked companies. */
+
+function isCompanyScoped(role) {
+  return COMPANY_SCOPED_ROLES.includes(role);
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  COMPANY_SCOPED_ROLES,
+  COMPANY_KEY_EXCLUDED_PERMISSIONS,
+  hasPermission,
+  userHasPermission,
+  isCompanyScoped,
+};
@@ -0,0 +1,72 @@
+const {
+  hasPermission,
+  userHasPermission,
+  isCompanyScoped,
+  ROLES,
+} = require("./roles");
+
+describe("hasPermission", function () {
+    test("works: admin can do everything", function () {
+        expect(hasPermission("admin", "users:write")).toBe(true);
+        expect(hasPermission("admin", "companies:write")).toBe(true);
+        expect(hasPermission("admin", "apiKeys:write")).toBe(true);
+    });
+
+    test("works: recruiters post jobs but don't manage users", function () {
+        expect(hasPermission("recruiter", "jobs:write")).toBe(true);
+        expect(hasPermission("recruiter", "applications:write")).toBe(true);
+        expect(hasPermission("recruiter", "users:write")).toBe(false);
+        expect(hasPermission("recruiter", "companies:write")).toBe(false);
+    });
+
+    test("works: auditors only read", function () {
+        expect(hasPermission("auditor", "users:read")).toBe(true);
+        expect(hasPermission("auditor", "applications:read")).toBe(true);
+        expect(hasPermission("auditor", "jobs:write")).toBe(false);
+        expect(hasPermission("auditor", "users:write")).toBe(false);
+    });
+
+    test("works: everyone can read companies and jobs", function () {
+        ROLES.forEach(role => {
+            expect(hasPermission(role, "companies:read")).toBe(true);
+            expect(hasPermission(role, "jobs:read")).toBe(true);
+        });
+    });
+
+    test("unknown role or permission", function () {
+        expect(hasPermission(undefined, "jobs:read")).toBe(false);
+        expect(hasPermission("nope", "jobs:read")).toBe(false);
+        expect(hasPermission("admin", "nope:write")).toBe(false);
+    });
+});
+
+describe("userHasPermission", function () {
+  test("works: from role", function () {
+    expect(userHasPermission({ role: "recruiter" }, "jobs:write")).toEqual(true);
+    expect(userHasPermission({ role: "recruiter" }, "users:read")).toEqual(false);
+  });
+
+  test("works: API keys have only their scopes", function () {
+    const key = { role: null, scopes: ["jobs:read", "jobs:write"] };
+    expect(userHasPermission(key, "jobs:write")).toEqual(true);
+    expect(userHasPermission(key, "companies:read")).toEqual(false);
+  });
+
+  test("works: API keys for a company can't read users", function () {
+    const key = {
+      role: null,
+      scopes: ["jobs:read", "users:read"],
+      companyHandle: "c1",
+    };
+    expect(userHasPermission(key, "jobs:read")).toEqual(true);
+    expect(userHasPermission(key, "users:read")).toEqual(false);
+  });
+});
+
+describe("isCompanyScoped", function () {
+    test("works", function () {
+        expect(isCompanyScoped("recruiter")).toBe(true);
+        expect(isCompanyScoped("admin")).toBe(false);
+        expect(isCompanyScoped("auditor")).toBe(false);
+    });
+});
@@ -0,0 +1,43 @@
+"use strict";
+
+/** Extra formats for the JSON schemas in schemas/.
+ *
+ * Requiring this module registers them with every jsonschema Validator.
+ * jsonschema's own formats can't be replaced, so these get their own names.
+ */
+
+const { Validator } = require("jsonschema");
+
+/** Return true if value is a "YYYY-MM-DD" date that exists on the calendar.
+ *
+ * jsonschema's "date" format only checks the shape, passing dates such as
+ * 2024-02-30 that the database then refuses.
+ */
+
+function isCalendarDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+/** Return true if value is an RFC 3339 date-time, e.g.
+ *  "2027-01-01T00:00:00Z", whose date exists on the calendar and whose
+ *  time and offset are in range.
+ *
+ * jsonschema's "date-time" format passes 2027-02-30T00:00:00Z.
+ */
+
+function isCalendarDateTime(value) {
+  const match = /^(\d{4}-\d{2}-\d{2})[Tt](\d{2}):(\d{2}):(\d{2})(\.\d+)?([Zz]|[+-](\d{2}):(\d{2}))$/
+      .exec(value);
+  if (!match) return false;
+  const [, date, hours, minutes, seconds, , , offsetHours = 0, offsetMinutes = 0] = match;
+  return isCalendarDate(date) &&
+      +hours < 24 && +minutes < 60 && +seconds < 60 &&
+      +offsetHours < 24 && +offsetMinutes < 60;
+}
+
+Validator.prototype.customFormats["calendar-date"] = isCalendarDate;
+Validator.prototype.customFormats["calendar-date-time"] = isCalendarDateTime;
+
+module.exports = { isCalendarDate, isCalendarDateTime };
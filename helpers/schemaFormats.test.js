@@ -0,0 +1,57 @@
+const jsonschema = require("jsonschema");
+const { isCalendarDate, isCalendarDateTime } = require("./schemaFormats");
+
+describe("isCalendarDate", function () {
+  test("works", function () {
+    expect(isCalendarDate("2024-02-29")).toEqual(true);
+    expect(isCalendarDate("2026-12-31")).toEqual(true);
+  });
+
+  test("false for dates not on the calendar", function () {
+    for (const value of ["2024-02-30", "2023-02-29", "2024-00-10",
+                         "2024-13-01", "2024-04-31"])
+      expect(isCalendarDate(value)).toEqual(false);
+  });
+
+  test("false for other strings", function () {
+    for (const value of ["", "Jan 5", "2024-1-05", "2024-01-05T00:00:00Z"])
+      expect(isCalendarDate(value)).toEqual(false);
+  });
+});
+
+describe("calendar-date format", function () {
+  test("works with jsonschema", function () {
+    const schema = { type: "string", format: "calendar-date" };
+    expect(jsonschema.validate("2024-02-29", schema).valid).toEqual(true);
+    expect(jsonschema.validate("2024-02-30", schema).valid).toEqual(false);
+  });
+});
+
+describe("isCalendarDateTime", function () {
+  test("works", function () {
+    for (const value of ["2027-01-01T00:00:00Z", "2024-02-29T23:59:59.999Z",
+                         "2027-06-30T12:00:00+05:30"])
+      expect(isCalendarDateTime(value)).toEqual(true);
+  });
+
+  test("false for dates and times out of range", function () {
+    for (const value of ["2027-02-30T00:00:00Z", "2027-13-01T00:00:00Z",
+                         "2027-01-01T24:00:00Z", "2027-01-01T12:60:00Z",
+                         "2027-01-01T12:00:00+24:00"])
+      expect(isCalendarDateTime(value)).toEqual(false);
+  });
+
+  test("false for other strings", function () {
+    for (const value of ["", "2027-01-01", "2027-01-01T00:00:00",
+                         "2027-01-01 00:00:00Z"])
+      expect(isCalendarDateTime(value)).toEqual(false);
+  });
+});
+
+describe("calendar-date-time format", function () {
+  test("works with jsonschema", function () {
+    const schema = { type: "string", format: "calendar-date-time" };
+    expect(jsonschema.validate("2027-02-28T00:00:00Z", schema).valid).toEqual(true);
+    expect(jsonschema.validate("2027-02-30T00:00:00Z", schema).valid).toEqual(false);
+  });
+});
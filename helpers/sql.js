@@ -27,4 +27,48 @@ function sqlForPartialUpdate(dataToUpdate, jsToSql) {
   };
 }
 
-module.exports = { sqlForPartialUpdate };
+/** Build the WHERE clause of a statement filtering rows on optional
+ *  criteria, using $n placeholders so no value is ever spliced into the SQL.
+ *
+ * filterToSql maps each filter name to a function that takes the
+ * placeholder for that filter's value and returns its condition, e.g.
+ *   { minEmployees: p => `num_employees >= ${p}` }
+ *
+ * Placeholders are numbered from firstIdx (default 1), so the clause can
+ * follow other parameters in the same statement. Filters whose value is
+ * undefined are skipped.
+ *
+ * Returns { whereClause, values }; whereClause is "" when no filters apply.
+ *
+ * A BadRequestError is thrown for a filter name missing from filterToSql.
+ */
+
+function sqlForFilters(filters, filterToSql, firstIdx = 1) {
+  const conditions = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(filters || {})) {
+    if (value === undefined) continue;
+    if (!filterToSql[key]) throw new BadRequestError(`Invalid filter: ${key}`);
+
+    // {name: 'net', minEmployees: 10} => ['lower(name) LIKE ... $1', 'num_employees >= $2']
+    conditions.push(filterToSql[key](`$${firstIdx + values.length}`));
+    values.push(value);
+  }
+
+  return {
+    whereClause: conditions.length ? `WHERE ${conditions.join(" AND ")}` : "",
+    values,
+  };
+}
+
+/** Return true if value (e.g. a route parameter) is a whole number that
+ *  fits an INTEGER column, so it can be used as an id without pg raising
+ *  an error. */
+
+function isSqlInteger(value) {
+  return /^-?\d+$/.test(String(value)) &&
+      +value >= -2147483648 && +value <= 2147483647;
+}
+
+module.exports = { sqlForPartialUpdate, sqlForFilters, isSqlInteger };
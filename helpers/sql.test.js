@@ -1,4 +1,4 @@
-const { sqlForPartialUpdate } = require("./sql");
+const { sqlForPartialUpdate, sqlForFilters, isSqlInteger } = require("./sql");
 const { BadRequestError } = require("../expressError");
 
 const data = {
@@ -30,4 +30,63 @@ describe('returns sql indentifiers and values for partial update query', functio
           expect(err instanceof BadRequestError).toBeTruthy();
         }
     });
-});
\ No newline at end of file
+});
+
+const filterToSql = {
+    name: p => `lower(name) LIKE '%' || lower(${p}) || '%'`,
+    minEmployees: p => `num_employees >= ${p}`
+}
+
+describe('returns where clause and values for filtering query', function () {
+    test('works', function () {
+        const sql = sqlForFilters({ name: "net", minEmployees: 10 }, filterToSql);
+        expect(sql).toEqual({
+            whereClause: `WHERE lower(name) LIKE '%' || lower($1) || '%' AND num_employees >= $2`,
+            values: ["net", 10],
+        });
+    });
+
+    test('works: numbering starts at firstIdx', function () {
+        const sql = sqlForFilters({ minEmployees: 10 }, filterToSql, 3);
+        expect(sql).toEqual({
+            whereClause: `WHERE num_employees >= $3`,
+            values: [10],
+        });
+    });
+
+    test('works: values are never spliced into the sql', function () {
+        const sql = sqlForFilters({ name: "o'neil" }, filterToSql);
+        expect(sql.whereClause).not.toContain("o'neil");
+        expect(sql.values).toEqual(["o'neil"]);
+    });
+
+    test('works: no filters', function () {
+        expect(sqlForFilters(undefined, filterToSql)).toEqual({ whereClause: "", values: [] });
+        expect(sqlForFilters({ name: undefined }, filterToSql)).toEqual({ whereClause: "", values: [] });
+    });
+
+    test('receives unknown filter', function () {
+        try {
+          sqlForFilters({ nope: 1 }, filterToSql);
+          fail();
+        } catch (err) {
+          expect(err instanceof BadRequestError).toBeTruthy();
+        }
+    });
+});
+
+describe('isSqlInteger', function () {
+    test('works', function () {
+        expect(isSqlInteger(1)).toBe(true);
+        expect(isSqlInteger("42")).toBe(true);
+        expect(isSqlInteger("2147483647")).toBe(true);
+        expect(isSqlInteger("-2147483648")).toBe(true);
+    });
+
+    test('rejects fractions, out of range numbers and non-numbers', function () {
+        for (const value of ["1.5", 1.5, "2147483648", "99999999999", "1e3",
+                             "", " 1", "nope", null, undefined]) {
+            expect(isSqlInteger(value)).toBe(false);
+        }
+    });
+});
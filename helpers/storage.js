@@ -0,0 +1,86 @@
+"use strict";
+
+/** Storage for uploaded files, such as resumes.
+ *
+ * A storage backend is any object with these async methods, where key is
+ * a path-like name chosen by the caller (see newKey):
+ *
+ *   put(key, data)  store a Buffer under key, replacing any file there
+ *   get(key)        return the Buffer stored under key;
+ *                   throws NotFoundError if there is none
+ *   remove(key)     delete the file under key, if there is one
+ *
+ * Files are kept on the local filesystem by default. Another backend
+ * (e.g. for a cloud bucket) can be swapped in with setStorage.
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+const { UPLOAD_DIR } = require("../config");
+const { NotFoundError } = require("../expressError");
+
+/** Storage backend that keeps each file under a root directory. */
+
+class LocalStorage {
+  constructor(root = UPLOAD_DIR) {
+    this.root = path.resolve(root);
+  }
+
+  async put(key, data) {
+    const file = this.#pathFor(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, data);
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.#pathFor(key));
+    } catch (err) {
+      if (err.code === "ENOENT") throw new NotFoundError(`No file: ${key}`);
+      throw err;
+    }
+  }
+
+  async remove(key) {
+    await fs.rm(this.#pathFor(key), { force: true });
+  }
+
+  /** Return the file's path, refusing keys that would leave the root. */
+
+  #pathFor(key) {
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(this.root + path.sep))
+      throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  }
+}
+
+let storage = new LocalStorage();
+
+/** Return the storage backend in use. */
+
+function getStorage() {
+  return storage;
+}
+
+/** Use `backend` for all file storage from now on. */
+
+function setStorage(backend) {
+  storage = backend;
+}
+
+/** Return a new, unguessable key under `prefix`, e.g. "resumes/3f9c...".
+ *  Keys never include user-supplied names. */
+
+function newKey(prefix) {
+  return `${prefix}/${crypto.randomBytes(16).toString("hex")}`;
+}
+
+module.exports = {
+  LocalStorage,
+  getStorage,
+  setStorage,
+  newKey,
+};
@@ -0,0 +1,62 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { LocalStorage, getStorage, setStorage, newKey } = require("./storage");
+const { NotFoundError } = require("../expressError");
+
+let root, storage;
+
+beforeEach(function () {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-storage-"));
+  storage = new LocalStorage(root);
+});
+
+afterEach(function () {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe("LocalStorage", function () {
+  test("works: put, get and remove", async function () {
+    await storage.put("resumes/a", Buffer.from("hello"));
+    expect(fs.existsSync(path.join(root, "resumes", "a"))).toBeTruthy();
+    expect((await storage.get("resumes/a")).toString()).toEqual("hello");
+
+    await storage.remove("resumes/a");
+    expect(fs.existsSync(path.join(root, "resumes", "a"))).toBeFalsy();
+  });
+
+  test("works: remove missing file", async function () {
+    await storage.remove("resumes/nope");
+  });
+
+  test("not found for missing file", async function () {
+    try {
+      await storage.get("resumes/nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("refuses keys outside the root", async function () {
+    await expect(storage.put("../escape", Buffer.from("x"))).rejects.toThrow();
+  });
+});
+
+describe("getStorage / setStorage", function () {
+  test("works", function () {
+    const original = getStorage();
+    setStorage(storage);
+    expect(getStorage()).toBe(storage);
+    setStorage(original);
+  });
+});
+
+describe("newKey", function () {
+  test("works", function () {
+    const key = newKey("resumes");
+    expect(key).toMatch(/^resumes\/[0-9a-f]{32}$/);
+    expect(newKey("resumes")).not.toEqual(key);
+  });
+});
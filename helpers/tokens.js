@@ -1,18 +1,110 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const {
+  SECRET_KEY,
+  ACCESS_TOKEN_EXPIRES_IN,
+  TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+} = require("../config");
+const { UnauthorizedError } = require("../expressError");
 
-/** return signed JWT from user data. */
+// Challenge tokens are signed with their own key, so they can never pass
+// as access tokens
+const CHALLENGE_KEY = `${SECRET_KEY}:2fa-challenge`;
+
+/** return signed JWT from user data; expires after ACCESS_TOKEN_EXPIRES_IN.
+ *
+ * The user's role (see helpers/roles.js) decides what the token may be used
+ * for; isAdmin is kept alongside it for clients that only check that.
+ *
+ * The token carries a unique id (jti) so it can be revoked on its own, and
+ * the user's token version (ver) so every token for a user can be revoked
+ * at once by bumping users.token_version. mfa says whether the login used
+ * two-factor authentication (user.mfa).
+ */
 
 function createToken(user) {
-  console.assert(user.isAdmin !== undefined,
-      "createToken passed user without isAdmin property");
+  console.assert(user.role !== undefined,
+      "createToken passed user without role property");
 
+  const role = user.role || "candidate";
   let payload = {
     username: user.username,
-    isAdmin: user.isAdmin || false,
+    role,
+    isAdmin: role === "admin",
+    ver: user.tokenVersion || 0,
+    mfa: !!user.mfa,
   };
 
-  return jwt.sign(payload, SECRET_KEY);
+  return jwt.sign(payload, SECRET_KEY, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    jwtid: crypto.randomBytes(16).toString("hex"),
+  });
+}
+
+/** return a signed two-factor challenge token for user, who has given the
+ *  right password; expires after TWO_FACTOR_CHALLENGE_EXPIRES_IN. */
+
+function createChallengeToken(user) {
+  return jwt.sign(
+    { username: user.username, role: user.role, ver: user.tokenVersion || 0 },
+    CHALLENGE_KEY,
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN });
+}
+
+/** return { username, role, tokenVersion } from a challenge token.
+ *
+ * Throws UnauthorizedError if it is invalid or expired.
+ */
+
+function verifyChallengeToken(token) {
+  try {
+    const { username, role, ver } = jwt.verify(token, CHALLENGE_KEY);
+    return { username, role, tokenVersion: ver };
+  } catch (err) {
+    if (err instanceof jwt.TokenExpiredError)
+      throw new UnauthorizedError("Challenge expired; log in again");
+    if (err instanceof jwt.JsonWebTokenError)
+      throw new UnauthorizedError("Invalid challenge token");
+    throw err;
+  }
+}
+
+/** return a new random, opaque refresh token. */
+
+function createRefreshToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+/** return a new random, opaque token for a link emailed to a user, such as
+ *  a password reset or email verification link. */
+
+function createLinkToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+// API keys start with this, which is how authenticateJWT tells them from
+// JWTs
+const API_KEY_PREFIX = "jk_";
+
+/** return a new random API key. */
+
+function createApiKey() {
+  return API_KEY_PREFIX + crypto.randomBytes(32).toString("hex");
+}
+
+/** return the sha256 hex digest of a token, for storing it in the db. */
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
 }
 
-module.exports = { createToken };
+module.exports = {
+  createToken,
+  createChallengeToken,
+  verifyChallengeToken,
+  createRefreshToken,
+  createLinkToken,
+  API_KEY_PREFIX,
+  createApiKey,
+  hashToken,
+};
@@ -1,36 +1,137 @@
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
+const {
+  createToken,
+  createChallengeToken,
+  verifyChallengeToken,
+  createRefreshToken,
+  createLinkToken,
+  createApiKey,
+  hashToken,
+} = require("./tokens");
 const { SECRET_KEY } = require("../config");
+const { UnauthorizedError } = require("../expressError");
 
 describe("createToken", function () {
   test("works: not admin", function () {
-    const token = createToken({ username: "test", is_admin: false });
+    const token = createToken({ username: "test", role: "candidate" });
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
+      ver: 0,
+      mfa: false,
       username: "test",
+      role: "candidate",
       isAdmin: false,
     });
   });
 
   test("works: admin", function () {
-    const token = createToken({ username: "test", isAdmin: true });
+    const token = createToken({ username: "test", role: "admin" });
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
+      ver: 0,
+      mfa: false,
       username: "test",
+      role: "admin",
       isAdmin: true,
     });
   });
 
+  test("works: two-factor login", function () {
+    const token = createToken({ username: "test", role: "admin", mfa: true });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.mfa).toEqual(true);
+  });
+
+  test("works: other roles", function () {
+    const token = createToken({ username: "test", role: "recruiter" });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.role).toEqual("recruiter");
+    expect(payload.isAdmin).toEqual(false);
+  });
+
   test("works: default no admin", function () {
     // given the security risk if this didn't work, checking this specifically
     const token = createToken({ username: "test" });
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
+      ver: 0,
+      mfa: false,
       username: "test",
+      role: "candidate",
       isAdmin: false,
     });
   });
 });
+
+describe("createToken: token version", function () {
+  test("works", function () {
+    const token = createToken({ username: "test", role: "candidate", tokenVersion: 3 });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.ver).toEqual(3);
+  });
+
+  test("works: unique token ids", function () {
+    const t1 = jwt.verify(createToken({ username: "test", role: "candidate" }), SECRET_KEY);
+    const t2 = jwt.verify(createToken({ username: "test", role: "candidate" }), SECRET_KEY);
+    expect(t1.jti).not.toEqual(t2.jti);
+  });
+});
+
+describe("challenge tokens", function () {
+  test("works", function () {
+    const token = createChallengeToken(
+      { username: "test", role: "admin", tokenVersion: 2 });
+    expect(verifyChallengeToken(token)).toEqual(
+      { username: "test", role: "admin", tokenVersion: 2 });
+  });
+
+  test("can't be used as access tokens, or the other way round", function () {
+    const challenge = createChallengeToken({ username: "test", role: "admin" });
+    expect(() => jwt.verify(challenge, SECRET_KEY)).toThrow();
+
+    const access = createToken({ username: "test", role: "admin" });
+    expect(() => verifyChallengeToken(access)).toThrow(UnauthorizedError);
+  });
+});
+
+describe("createRefreshToken", function () {
+  test("works", function () {
+    const token = createRefreshToken();
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(createRefreshToken()).not.toEqual(token);
+  });
+});
+
+describe("createLinkToken", function () {
+  test("works", function () {
+    const token = createLinkToken();
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(createLinkToken()).not.toEqual(token);
+  });
+});
+
+describe("createApiKey", function () {
+  test("works", function () {
+    const key = createApiKey();
+    expect(key).toMatch(/^jk_[0-9a-f]{64}$/);
+    expect(createApiKey()).not.toEqual(key);
+  });
+});
+
+describe("hashToken", function () {
+  test("works", function () {
+    const hash = hashToken("abc");
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashToken("abc")).toEqual(hash);
+    expect(hashToken("abd")).not.toEqual(hash);
+  });
+});
@@ -0,0 +1,106 @@
+"use strict";
+
+/** Time-based one-time passwords (RFC 6238), as used by authenticator
+ *  apps: 6-digit codes from HMAC-SHA1 over 30-second time steps.
+ *
+ * Secrets are handled as base32 strings, the form authenticator apps
+ * expect.
+ */
+
+const crypto = require("crypto");
+
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/** Return buf as unpadded base32. */
+
+function base32Encode(buf) {
+  let bits = "";
+  for (const byte of buf) bits += byte.toString(2).padStart(8, "0");
+  let out = "";
+  for (let i = 0; i < bits.length; i += 5)
+    out += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  return out;
+}
+
+/** Return the bytes of a base32 string; case, spaces and padding are
+ *  ignored. Throws Error for other characters. */
+
+function base32Decode(str) {
+  let bits = "";
+  for (const char of str.toUpperCase().replace(/[\s=]/g, "")) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error(`Invalid base32 character: ${char}`);
+    bits += value.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8)
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+/** Return a new random secret (160 bits, base32). */
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/** Return the time step a moment falls in; `time` is in milliseconds. */
+
+function timeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/** Return the code for a secret at a time step. */
+
+function totpCode(secret, step, digits = TOTP_DIGITS) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret))
+      .update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** digits).padStart(digits, "0");
+}
+
+/** Return the time step `code` is valid for, allowing `window` steps
+ *  either side of `time` for clock drift; or null if it matches none. */
+
+function matchStep(secret, code, { time = Date.now(), window = 1 } = {}) {
+  const now = timeStep(time);
+  for (let step = now - window; step <= now + window; step++) {
+    const expected = Buffer.from(totpCode(secret, step));
+    const given = Buffer.from(String(code));
+    if (given.length === expected.length &&
+        crypto.timingSafeEqual(given, expected))
+      return step;
+  }
+  return null;
+}
+
+/** Return the otpauth:// URI that sets up an authenticator app (usually
+ *  shown as a QR code). */
+
+function provisioningUri(secret, account, issuer) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  totpCode,
+  matchStep,
+  provisioningUri,
+};
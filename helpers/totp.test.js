@@ -0,0 +1,67 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  totpCode,
+  matchStep,
+  provisioningUri,
+} = require("./totp");
+
+// the RFC 6238 test secret, "12345678901234567890"
+const secret = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("base32", function () {
+  test("works", function () {
+    expect(base32Encode(Buffer.from("foobar"))).toEqual("MZXW6YTBOI");
+    expect(base32Decode("mzxw 6ytb oi======").toString()).toEqual("foobar");
+  });
+
+  test("fails for invalid characters", function () {
+    expect(() => base32Decode("MZ1")).toThrow("Invalid base32 character: 1");
+  });
+});
+
+describe("generateSecret", function () {
+  test("works", function () {
+    const generated = generateSecret();
+    expect(generated).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateSecret()).not.toEqual(generated);
+  });
+});
+
+describe("totpCode", function () {
+  test("works: RFC 6238 test vectors", function () {
+    expect(totpCode(secret, timeStep(59 * 1000), 8)).toEqual("94287082");
+    expect(totpCode(secret, timeStep(1111111109 * 1000), 8)).toEqual("07081804");
+    expect(totpCode(secret, timeStep(1111111109 * 1000))).toEqual("081804");
+  });
+});
+
+describe("matchStep", function () {
+  const time = 1111111109 * 1000;
+  const step = timeStep(time);
+
+  test("works", function () {
+    expect(matchStep(secret, "081804", { time })).toEqual(step);
+  });
+
+  test("works: allows clock drift of one step", function () {
+    expect(matchStep(secret, totpCode(secret, step - 1), { time })).toEqual(step - 1);
+    expect(matchStep(secret, totpCode(secret, step + 1), { time })).toEqual(step + 1);
+    expect(matchStep(secret, totpCode(secret, step + 2), { time })).toBeNull();
+  });
+
+  test("null for wrong code", function () {
+    expect(matchStep(secret, "000000", { time })).toBeNull();
+    expect(matchStep(secret, "81804", { time })).toBeNull();
+  });
+});
+
+describe("provisioningUri", function () {
+  test("works", function () {
+    expect(provisioningUri("MZXW6YTBOI", "u1", "Jobly")).toEqual(
+      "otpauth://totp/Jobly%3Au1?secret=MZXW6YTBOI&issuer=Jobly" +
+      "&algorithm=SHA1&digits=6&period=30");
+  });
+});
@@ -3,9 +3,14 @@ CREATE TABLE companies (
   name TEXT UNIQUE NOT NULL,
   num_employees INTEGER CHECK (num_employees >= 0),
   description TEXT NOT NULL,
-  logo_url TEXT
+  logo_url TEXT,
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', name), 'A') ||
+    setweight(to_tsvector('english', description), 'B')) STORED
 );
 
+CREATE INDEX companies_search_idx ON companies USING GIN (search_vector);
+
 CREATE TABLE users (
   username VARCHAR(25) PRIMARY KEY,
   password TEXT NOT NULL,
@@ -13,16 +18,151 @@ CREATE TABLE users (
   last_name TEXT NOT NULL,
   email TEXT NOT NULL
     CHECK (position('@' IN email) > 1),
-  is_admin BOOLEAN NOT NULL DEFAULT FALSE
+  email_verified BOOLEAN NOT NULL DEFAULT FALSE,
+  role TEXT NOT NULL DEFAULT 'candidate'
+    CHECK (role IN ('admin', 'recruiter', 'candidate', 'auditor')),
+  token_version INTEGER NOT NULL DEFAULT 0,
+  headline TEXT,
+  bio TEXT,
+  location TEXT
+);
+
+-- one row per skill, however users capitalize it
+
+CREATE TABLE skills (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL
+);
+
+CREATE UNIQUE INDEX skills_name_idx ON skills (lower(name));
+
+CREATE TABLE user_skills (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  skill_id INTEGER
+    REFERENCES skills ON DELETE CASCADE,
+  PRIMARY KEY (username, skill_id)
+);
+
+CREATE TABLE work_experience (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  company TEXT NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE,
+  description TEXT,
+  CONSTRAINT work_experience_dates CHECK (end_date >= start_date)
+);
+
+CREATE TABLE education (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  school TEXT NOT NULL,
+  degree TEXT,
+  field_of_study TEXT,
+  start_date DATE,
+  end_date DATE,
+  CONSTRAINT education_dates CHECK (end_date >= start_date)
+);
+
+-- recruiters post jobs and see applicants only for the companies they're
+-- linked to here
+
+CREATE TABLE company_recruiters (
+  company_handle VARCHAR(25)
+    REFERENCES companies ON DELETE CASCADE,
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  PRIMARY KEY (company_handle, username)
+);
+
+-- what one unit of each currency is worth in the base currency, which is
+-- the one whose rate is 1; kept up to date locally, e.g. from the seed file
+
+CREATE TABLE exchange_rates (
+  currency CHAR(3) PRIMARY KEY CHECK (currency = upper(currency)),
+  rate NUMERIC NOT NULL CHECK (rate > 0)
 );
 
+INSERT INTO exchange_rates (currency, rate) VALUES ('USD', 1);
+
 CREATE TABLE jobs (
   id SERIAL PRIMARY KEY,
   title TEXT NOT NULL,
-  salary INTEGER CHECK (salary >= 0),
+  salary_min INTEGER CHECK (salary_min >= 0),
+  salary_max INTEGER CHECK (salary_max >= 0),
+  currency CHAR(3) NOT NULL DEFAULT 'USD'
+    REFERENCES exchange_rates,
+  pay_period TEXT NOT NULL DEFAULT 'annual'
+    CHECK (pay_period IN ('hourly', 'annual')),
   equity NUMERIC CHECK (equity <= 1.0),
   company_handle VARCHAR(25) NOT NULL
-    REFERENCES companies ON DELETE CASCADE
+    REFERENCES companies ON DELETE CASCADE,
+  description TEXT,
+  location TEXT,
+  remote TEXT NOT NULL DEFAULT 'onsite'
+    CHECK (remote IN ('onsite', 'hybrid', 'remote')),
+  employment_type TEXT NOT NULL DEFAULT 'full-time'
+    CHECK (employment_type IN ('full-time', 'part-time', 'contract', 'internship')),
+  posted_at DATE NOT NULL DEFAULT CURRENT_DATE,
+  closes_at DATE,
+  search_vector TSVECTOR,
+  CONSTRAINT jobs_closes_after_posted CHECK (closes_at >= posted_at),
+  CONSTRAINT jobs_salary_range CHECK (salary_max >= salary_min)
+);
+
+-- a salary amount as a yearly figure in the base currency (2080 working
+-- hours a year), so that pay in different currencies and periods compares;
+-- numeric, since a large hourly rate's yearly figure overflows an integer
+
+CREATE FUNCTION annual_salary(amount INTEGER, period TEXT, cur CHAR(3))
+RETURNS NUMERIC AS $$
+  SELECT round(amount::numeric * CASE period WHEN 'hourly' THEN 2080 ELSE 1 END * rate)
+  FROM exchange_rates
+  WHERE currency = cur
+$$ LANGUAGE sql STABLE;
+
+CREATE INDEX jobs_search_idx ON jobs USING GIN (search_vector);
+
+-- a job's search vector covers its title and its company's name, so it is
+-- kept up to date by triggers rather than being a generated column
+
+CREATE FUNCTION jobs_search_vector() RETURNS trigger AS $$
+BEGIN
+  NEW.search_vector :=
+    setweight(to_tsvector('english', NEW.title), 'A') ||
+    setweight(to_tsvector('english', coalesce(
+      (SELECT name FROM companies WHERE handle = NEW.company_handle), '')), 'B');
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER jobs_search_vector_update
+  BEFORE INSERT OR UPDATE OF title, company_handle ON jobs
+  FOR EACH ROW EXECUTE FUNCTION jobs_search_vector();
+
+CREATE FUNCTION companies_refresh_job_search() RETURNS trigger AS $$
+BEGIN
+  UPDATE jobs SET title = title WHERE company_handle = NEW.handle;
+  RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER companies_name_update
+  AFTER UPDATE OF name ON companies
+  FOR EACH ROW EXECUTE FUNCTION companies_refresh_job_search();
+
+-- skills a job asks for; see skills above
+
+CREATE TABLE job_skills (
+  job_id INTEGER
+    REFERENCES jobs ON DELETE CASCADE,
+  skill_id INTEGER
+    REFERENCES skills ON DELETE CASCADE,
+  PRIMARY KEY (job_id, skill_id)
 );
 
 CREATE TABLE applications (
@@ -30,5 +170,184 @@ CREATE TABLE applications (
     REFERENCES users ON DELETE CASCADE,
   job_id INTEGER
     REFERENCES jobs ON DELETE CASCADE,
+  state TEXT NOT NULL DEFAULT 'applied'
+    CHECK (state IN ('interested', 'applied', 'interviewing',
+                     'offered', 'rejected', 'withdrawn')),
+  cover_letter TEXT,
+  -- the uploaded resume lives in file storage under resume_key
+  resume_key TEXT,
+  resume_filename TEXT,
+  resume_type TEXT,
+  resume_size INTEGER,
+  resume_uploaded_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
   PRIMARY KEY (username, job_id)
 );
+
+CREATE TABLE application_events (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL,
+  job_id INTEGER NOT NULL,
+  from_state TEXT,
+  to_state TEXT NOT NULL,
+  changed_by VARCHAR(25),
+  changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (username, job_id)
+    REFERENCES applications ON DELETE CASCADE
+);
+
+-- jobs a user has shortlisted; saving a job doesn't apply to it
+
+CREATE TABLE saved_jobs (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  job_id INTEGER
+    REFERENCES jobs ON DELETE CASCADE,
+  notes TEXT,
+  saved_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (username, job_id)
+);
+
+-- named job filters a user wants to follow; filters has the shape of
+-- filters in schemas/jobFilter.json
+
+CREATE TABLE saved_searches (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  filters JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (username, name)
+);
+
+-- new jobs that met a saved search's filters when they were created
+
+CREATE TABLE saved_search_matches (
+  search_id INTEGER
+    REFERENCES saved_searches ON DELETE CASCADE,
+  job_id INTEGER
+    REFERENCES jobs ON DELETE CASCADE,
+  matched_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  read_at TIMESTAMP,
+  PRIMARY KEY (search_id, job_id)
+);
+
+CREATE TABLE refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  token_hash TEXT UNIQUE NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  mfa BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+-- two-factor authentication: enabled_at is null until the user confirms
+-- setup with a first code; last_step is the time step of the last code
+-- used, so no code works twice
+
+CREATE TABLE user_totp (
+  username VARCHAR(25) PRIMARY KEY
+    REFERENCES users ON DELETE CASCADE,
+  secret TEXT NOT NULL,
+  enabled_at TIMESTAMP,
+  last_step BIGINT NOT NULL DEFAULT 0
+);
+
+CREATE TABLE totp_backup_codes (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMP
+);
+
+CREATE TABLE password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  token_hash TEXT UNIQUE NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
+);
+
+-- password reset emails asked for, per username or email address asked
+-- about (whether or not it has an account) and per client IP address, in
+-- the window since window_started_at; see models/passwordReset.js
+
+CREATE TABLE password_reset_requests (
+  kind TEXT NOT NULL CHECK (kind IN ('username', 'email', 'ip')),
+  key TEXT NOT NULL,
+  requests INTEGER NOT NULL,
+  window_started_at TIMESTAMP NOT NULL,
+  PRIMARY KEY (kind, key)
+);
+
+-- a token only verifies the address it was sent to
+
+CREATE TABLE email_verification_tokens (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
+);
+
+CREATE TABLE revoked_tokens (
+  jti TEXT PRIMARY KEY,
+  expires_at TIMESTAMP NOT NULL
+);
+
+CREATE TABLE mail_queue (
+  id SERIAL PRIMARY KEY,
+  template TEXT NOT NULL,
+  recipient TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX mail_queue_due_idx ON mail_queue (next_attempt_at)
+  WHERE sent_at IS NULL;
+
+-- failed logins in a row, per username and per client IP address; see
+-- models/loginAttempt.js. Attempts are counted as they start, so
+-- prev_failed_at keeps the time to go back to if one succeeds.
+
+CREATE TABLE login_failures (
+  kind TEXT NOT NULL CHECK (kind IN ('username', 'ip')),
+  key TEXT NOT NULL,
+  failures INTEGER NOT NULL,
+  last_failed_at TIMESTAMP NOT NULL,
+  prev_failed_at TIMESTAMP,
+  PRIMARY KEY (kind, key)
+);
+
+-- keys for machine clients; each grants only its scopes (permissions, see
+-- helpers/roles.js), and, with a company_handle, only for that company
+
+CREATE TABLE api_keys (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  key_hash TEXT UNIQUE NOT NULL,
+  scopes TEXT[] NOT NULL,
+  company_handle VARCHAR(25)
+    REFERENCES companies ON DELETE CASCADE,
+  created_by VARCHAR(25)
+    REFERENCES users ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP
+);
@@ -1,18 +1,18 @@
 -- both test users have the password "password"
 
-INSERT INTO users (username, password, first_name, last_name, email, is_admin)
+INSERT INTO users (username, password, first_name, last_name, email, role)
 VALUES ('testuser',
         '$2b$12$AZH7virni5jlTTiGgEg4zu3lSvAw68qVEfSIOjJ3RqtbJbdW/Oi5q',
         'Test',
         'User',
         'joel@joelburton.com',
-        FALSE),
+        'candidate'),
        ('testadmin',
         '$2b$12$AZH7virni5jlTTiGgEg4zu3lSvAw68qVEfSIOjJ3RqtbJbdW/Oi5q',
         'Test',
         'Admin!',
         'joel@joelburton.com',
-        TRUE);
+        'admin');
 
 INSERT INTO companies (handle,
                        name,
@@ -161,7 +161,18 @@ VALUES ('bauer-gallagher', 'Bauer-Gallagher', 862,
        ('weber-hernandez', 'Weber-Hernandez', 681,
         'Contain product south picture scientist.', '/logos/logo4.png');
 
-INSERT INTO jobs (title, salary, equity, company_handle)
+-- what each currency is worth in US dollars, the base currency; update
+-- these locally as rates move
+
+INSERT INTO exchange_rates (currency, rate)
+VALUES ('EUR', 1.08),
+       ('GBP', 1.27),
+       ('CAD', 0.73),
+       ('AUD', 0.66),
+       ('INR', 0.012),
+       ('JPY', 0.0067);
+
+INSERT INTO jobs (title, salary_min, equity, company_handle)
 VALUES ('Conservator, furniture', 110000, 0, 'watson-davis'),
        ('Information officer', 200000, 0, 'hall-mills'),
        ('Consulting civil engineer', 60000, 0, 'sellers-bryant'),
@@ -3,32 +3,71 @@
 /** Convenience middleware to handle common auth cases in routes. */
 
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { SECRET_KEY, ADMIN_2FA_REQUIRED } = require("../config");
 const { UnauthorizedError } = require("../expressError");
+const { userHasPermission, isCompanyScoped } = require("../helpers/roles");
+const { API_KEY_PREFIX } = require("../helpers/tokens");
+const RevokedToken = require("../models/revokedToken");
+const ApiKey = require("../models/apiKey");
+const Company = require("../models/company");
 
 
 /** Middleware: Authenticate user.
  *
  * If a token was provided, verify it, and, if valid, store the token payload
- * on res.locals (this will include the username and isAdmin field.)
+ * on res.locals (this will include the username, role and isAdmin fields.)
  *
- * It's not an error if no token was provided or if the token is not valid.
+ * It's not an error if no token was provided or if the token is not valid,
+ * but an expired or revoked token raises Unauthorized so clients know to
+ * refresh it or log in again.
+ *
+ * The token may instead be an API key (see models/apiKey.js); then
+ * res.locals.user is { username: null, role: null, isAdmin: false, apiKey,
+ * scopes, companyHandle }, with apiKey the key's id. An unknown, revoked or
+ * expired key raises Unauthorized.
  */
 
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
   try {
-    debugger;
     const authHeader = req.headers && req.headers.authorization;
     if (authHeader) {
       const token = authHeader.replace(/^[Bb]earer /, "").trim();
-      res.locals.user = jwt.verify(token, SECRET_KEY);
+      if (token.startsWith(API_KEY_PREFIX)) {
+        const key = await ApiKey.authenticate(token);
+        if (!key) return next(new UnauthorizedError("Invalid API key"));
+        res.locals.user = {
+          username: null,
+          role: null,
+          isAdmin: false,
+          apiKey: key.id,
+          scopes: key.scopes,
+          companyHandle: key.companyHandle,
+        };
+        return next();
+      }
+      const payload = jwt.verify(token, SECRET_KEY);
+      if (await RevokedToken.isRevoked(payload))
+        return next(new UnauthorizedError("Token revoked"));
+      res.locals.user = payload;
     }
     return next();
   } catch (err) {
-    return next();
+    if (err instanceof jwt.TokenExpiredError)
+      return next(new UnauthorizedError("Token expired"));
+    if (err instanceof jwt.JsonWebTokenError) return next();
+    return next(err);
   }
 }
 
+/** Throw UnauthorizedError if user is an admin who must, but didn't, log
+ *  in with two-factor authentication (see ADMIN_2FA_REQUIRED in config). */
+
+function ensureAdminMfa(user) {
+  if (ADMIN_2FA_REQUIRED && user.role === "admin" && !user.mfa)
+    throw new UnauthorizedError(
+      "Admins must log in with two-factor authentication");
+}
+
 /** Middleware to use when they must be logged in.
  *
  * If not, raises Unauthorized.
@@ -60,6 +99,37 @@ function ensureIsAuthorized(req, res, next) {
   }
 }
 
+  /** Return middleware to use when a request concerns one company and
+ *    recruiters may only act for the companies they're linked to.
+ *
+ *    companyOf(req) returns (or resolves to) the company's handle. Users
+ *    whose role isn't company-scoped pass; check their permission first
+ *    with ensurePermission or ensureCorrectUserOrPermission. API keys
+ *    issued for a company only pass for that company.
+ *
+ *    If not, raises Unauthorized.
+ **/
+
+function ensureCompanyAccess(companyOf) {
+  return async function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (!user) throw new UnauthorizedError();
+      if (user.apiKey && user.companyHandle) {
+        if (await companyOf(req) !== user.companyHandle)
+          throw new UnauthorizedError();
+      } else if (isCompanyScoped(user.role)) {
+        const handle = await companyOf(req);
+        if (!handle || !await Company.isRecruiter(handle, user.username))
+          throw new UnauthorizedError();
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
   /** Middleware to use when they must be an admin.
  *
  *    If not, raises Unauthorized.
@@ -68,6 +138,7 @@ function ensureIsAuthorized(req, res, next) {
 function ensureIsAdmin(req, res, next) {
   try {
     if (!res.locals.user.isAdmin) throw new UnauthorizedError();
+    ensureAdminMfa(res.locals.user);
     return next();
   } catch (err) {
     return next(err);
@@ -89,11 +160,57 @@ function ensureCorrectUser(req, res, next) {
   }
 }
 
+  /** Return middleware to use when their role (or API key's scopes) must
+ *    grant `permission`, e.g. ensurePermission("jobs:write"); see
+ *    helpers/roles.js. Admins
+ *    may also need to have logged in with two-factor authentication.
+ *
+ *    If not, raises Unauthorized.
+ **/
+
+function ensurePermission(permission) {
+  return function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (!user || !userHasPermission(user, permission)) 
+        throw new UnauthorizedError();
+      ensureAdminMfa(user);
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+  /** Return middleware to use when they must have the correct
+ *    username or a role granting `permission`.
+ * 
+ *    If not, raises Unauthorized.
+ **/
+
+function ensureCorrectUserOrPermission(permission) {
+  return function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (!user || (user.username !== req.params.username &&
+        !userHasPermission(user, permission))) 
+        throw new UnauthorizedError();
+      if (user.username !== req.params.username) ensureAdminMfa(user);
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
 
 module.exports = {
   authenticateJWT,
   ensureLoggedIn,
   ensureIsAuthorized,
+  ensureCompanyAccess,
   ensureIsAdmin,
-  ensureCorrectUser
+  ensureCorrectUser,
+  ensurePermission,
+  ensureCorrectUserOrPermission
 };
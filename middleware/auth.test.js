@@ -1,20 +1,41 @@
 "use strict";
 
 const jwt = require("jsonwebtoken");
+const db = require("../db.js");
 const { UnauthorizedError } = require("../expressError");
+const ApiKey = require("../models/apiKey");
 const {
   authenticateJWT,
   ensureLoggedIn,
+  ensurePermission,
+  ensureCorrectUserOrPermission,
+  ensureCompanyAccess,
 } = require("./auth");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("../models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
 
 
 const { SECRET_KEY } = require("../config");
-const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
+const testJwt = jwt.sign({ username: "u1", isAdmin: false }, SECRET_KEY);
+const jtiJwt = jwt.sign(
+    { username: "u1", isAdmin: false, ver: 0 }, SECRET_KEY, { jwtid: "abc" });
 const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong");
+const expiredJwt = jwt.sign(
+    { username: "test", isAdmin: false, exp: Math.floor(Date.now() / 1000) - 60 },
+    SECRET_KEY);
 
 
 describe("authenticateJWT", function () {
-  test("works: via header", function () {
+  test("works: via header", async function () {
     expect.assertions(2);
      //there are multiple ways to pass an authorization token, this is how you pass it in the header.
     //this has been provided to show you another way to pass the token. you are only expected to read this code for this project.
@@ -23,35 +44,121 @@ describe("authenticateJWT", function () {
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({
       user: {
         iat: expect.any(Number),
-        username: "test",
+        username: "u1",
         isAdmin: false,
       },
     });
   });
 
-  test("works: no header", function () {
+  test("works: no header", async function () {
     expect.assertions(2);
     const req = {};
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
 
-  test("works: invalid token", function () {
+  test("works: invalid token", async function () {
     expect.assertions(2);
     const req = { headers: { authorization: `Bearer ${badJwt}` } };
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("unauth if token expired", async function () {
+    expect.assertions(3);
+    const req = { headers: { authorization: `Bearer ${expiredJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+      expect(err.message).toEqual("Token expired");
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("unauth if token revoked", async function () {
+    expect.assertions(3);
+    await db.query(
+        `INSERT INTO revoked_tokens (jti, expires_at)
+         VALUES ('abc', CURRENT_TIMESTAMP + interval '1 hour')`);
+    const req = { headers: { authorization: `Bearer ${jtiJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+      expect(err.message).toEqual("Token revoked");
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("unauth if token version is stale", async function () {
+    expect.assertions(2);
+    await db.query(
+        `UPDATE users SET token_version = 1 WHERE username = 'u1'`);
+    const req = { headers: { authorization: `Bearer ${jtiJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: API key", async function () {
+    expect.assertions(2);
+    const { id, key } = await ApiKey.create(
+        { name: "ATS", scopes: ["jobs:write"], companyHandle: "c1" }, "u1");
+    const req = { headers: { authorization: `Bearer ${key}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({
+      user: {
+        username: null,
+        role: null,
+        isAdmin: false,
+        apiKey: id,
+        scopes: ["jobs:write"],
+        companyHandle: "c1",
+      },
+    });
+  });
+
+  test("unauth if API key invalid", async function () {
+    expect.assertions(3);
+    const req = { headers: { authorization: "Bearer jk_nope" } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+      expect(err.message).toEqual("Invalid API key");
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("unauth if user deleted", async function () {
+    expect.assertions(2);
+    await db.query(`DELETE FROM users WHERE username = 'u1'`);
+    const req = { headers: { authorization: `Bearer ${jtiJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
 });
@@ -78,3 +185,199 @@ describe("ensureLoggedIn", function () {
     ensureLoggedIn(req, res, next);
   });
 });
+
+
+describe("ensurePermission", function () {
+  test("works", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", role: "recruiter" } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensurePermission("jobs:write")(req, res, next);
+  });
+
+  test("unauth if role lacks permission", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", role: "recruiter" } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensurePermission("users:write")(req, res, next);
+  });
+
+  test("works: API key with scope", function () {
+    expect.assertions(2);
+    const res = { locals: { user: { role: null, scopes: ["jobs:write"] } } };
+    ensurePermission("jobs:write")({}, res, function (err) {
+      expect(err).toBeFalsy();
+    });
+    ensurePermission("jobs:read")({}, res, function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    });
+  });
+
+  test("unauth if no login", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensurePermission("jobs:write")(req, res, next);
+  });
+});
+
+
+describe("admin two-factor requirement", function () {
+  let required, RequiredUnauthorizedError;
+
+  beforeAll(function () {
+    // load the middleware as configured with ADMIN_2FA_REQUIRED set
+    process.env.ADMIN_2FA_REQUIRED = "true";
+    jest.isolateModules(function () {
+      jest.doMock("../db.js", () => ({}));
+      required = require("./auth");
+      RequiredUnauthorizedError = require("../expressError").UnauthorizedError;
+    });
+    delete process.env.ADMIN_2FA_REQUIRED;
+  });
+
+  test("works: admin logged in with 2FA", function () {
+    expect.assertions(1);
+    const req = { params: { username: "other" } };
+    const res = { locals: { user: { username: "test", role: "admin", mfa: true } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    required.ensurePermission("users:write")(req, res, next);
+  });
+
+  test("works: admin acting on their own account", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "test", role: "admin", mfa: false } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    required.ensureCorrectUserOrPermission("users:write")(req, res, next);
+  });
+
+  test("unauth for admin without 2FA", function () {
+    expect.assertions(3);
+    const req = { params: { username: "other" } };
+    const res = { locals: { user: { username: "test", role: "admin", isAdmin: true, mfa: false } } };
+    const next = function (err) {
+      expect(err instanceof RequiredUnauthorizedError).toBeTruthy();
+    };
+    required.ensurePermission("users:write")(req, res, next);
+    required.ensureCorrectUserOrPermission("users:write")(req, res, next);
+    required.ensureIsAdmin(req, res, next);
+  });
+
+  test("works: other roles don't need 2FA", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", role: "recruiter", mfa: false } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    required.ensurePermission("jobs:write")(req, res, next);
+  });
+});
+
+
+describe("ensureCorrectUserOrPermission", function () {
+  test("works: same user", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "test", role: "candidate" } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureCorrectUserOrPermission("users:read")(req, res, next);
+  });
+
+  test("works: permission", function () {
+    expect.assertions(1);
+    const req = { params: { username: "other" } };
+    const res = { locals: { user: { username: "test", role: "auditor" } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureCorrectUserOrPermission("users:read")(req, res, next);
+  });
+
+  test("unauth if other user without permission", function () {
+    expect.assertions(1);
+    const req = { params: { username: "other" } };
+    const res = { locals: { user: { username: "test", role: "auditor" } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureCorrectUserOrPermission("users:write")(req, res, next);
+  });
+});
+
+
+describe("ensureCompanyAccess", function () {
+  const companyOf = req => req.params.handle;
+
+  test("works: recruiter for the company", async function () {
+    expect.assertions(1);
+    await db.query(
+        `INSERT INTO company_recruiters (company_handle, username)
+         VALUES ('c1', 'u1')`);
+    const req = { params: { handle: "c1" } };
+    const res = { locals: { user: { username: "u1", role: "recruiter" } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await ensureCompanyAccess(companyOf)(req, res, next);
+  });
+
+  test("works: roles that aren't company-scoped", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "c1" } };
+    const res = { locals: { user: { username: "u1", role: "admin" } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await ensureCompanyAccess(companyOf)(req, res, next);
+  });
+
+  test("works: API key for the company", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "c1" } };
+    const res = { locals: { user: { apiKey: 1, companyHandle: "c1" } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await ensureCompanyAccess(companyOf)(req, res, next);
+  });
+
+  test("unauth if API key for another company", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "c1" } };
+    const res = { locals: { user: { apiKey: 1, companyHandle: "c2" } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await ensureCompanyAccess(companyOf)(req, res, next);
+  });
+
+  test("unauth if recruiter for another company", async function () {
+    expect.assertions(1);
+    await db.query(
+        `INSERT INTO company_recruiters (company_handle, username)
+         VALUES ('c2', 'u1')`);
+    const req = { params: { handle: "c1" } };
+    const res = { locals: { user: { username: "u1", role: "recruiter" } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await ensureCompanyAccess(companyOf)(req, res, next);
+  });
+});
@@ -32,7 +32,7 @@ async function commonBeforeAll() {
       ]);
 
   await db.query(`
-      INSERT INTO jobs(title, salary, equity, company_handle)
+      INSERT INTO jobs(title, salary_min, equity, company_handle)
       VALUES ('j1', 0, 0.0, 'c1')`);
 }
 
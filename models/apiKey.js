@@ -0,0 +1,103 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const { createApiKey, hashToken } = require("../helpers/tokens");
+
+/** Related functions for API keys, used by machine clients such as ATS
+ *  integrations instead of logging in as a user.
+ *
+ * Each key grants only its scopes (permissions, see helpers/roles.js) and,
+ * if it has a companyHandle, only for that company, without the user
+ * permissions that would reach beyond it. Only a sha256 hash of each key
+ * is stored.
+ */
+
+class ApiKey {
+  /** Create an API key, issued by the user createdBy.
+   *
+   * data should be { name, scopes, companyHandle, expiresAt }; companyHandle
+   * and expiresAt are optional.
+   *
+   * Returns { id, name, scopes, companyHandle, createdBy, createdAt,
+   *           expiresAt, key }; the key is not recoverable from the db
+   *           afterwards.
+   **/
+
+  static async create(
+      { name, scopes, companyHandle = null, expiresAt = null }, createdBy) {
+    const key = createApiKey();
+    const result = await db.query(
+          `INSERT INTO api_keys
+           (name, key_hash, scopes, company_handle, created_by, expires_at)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING id, name, scopes,
+                     company_handle AS "companyHandle",
+                     created_by AS "createdBy",
+                     created_at AS "createdAt",
+                     expires_at AS "expiresAt"`,
+        [name, hashToken(key), scopes, companyHandle, createdBy, expiresAt]);
+
+    return { ...result.rows[0], key };
+  }
+
+  /** Find all API keys, newest first.
+   *
+   * Returns [{ id, name, scopes, companyHandle, createdBy, createdAt,
+   *            expiresAt, lastUsedAt, revokedAt }, ...]
+   **/
+
+  static async findAll() {
+    const result = await db.query(
+          `SELECT id, name, scopes,
+                  company_handle AS "companyHandle",
+                  created_by AS "createdBy",
+                  created_at AS "createdAt",
+                  expires_at AS "expiresAt",
+                  last_used_at AS "lastUsedAt",
+                  revoked_at AS "revokedAt"
+           FROM api_keys
+           ORDER BY id DESC`);
+
+    return result.rows;
+  }
+
+  /** Revoke an API key; it can't be used again.
+   *
+   * Throws NotFoundError if not found or already revoked.
+   **/
+
+  static async revoke(id) {
+    const result = await db.query(
+          `UPDATE api_keys
+           SET revoked_at = CURRENT_TIMESTAMP
+           WHERE id = $1 AND revoked_at IS NULL
+           RETURNING id`,
+        [id]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No API key: ${id}`);
+  }
+
+  /** Look up an API key and record that it was used.
+   *
+   * Returns { id, name, scopes, companyHandle }, or undefined if the key is
+   * unknown, revoked or expired.
+   **/
+
+  static async authenticate(key) {
+    const result = await db.query(
+          `UPDATE api_keys
+           SET last_used_at = CURRENT_TIMESTAMP
+           WHERE key_hash = $1
+             AND revoked_at IS NULL
+             AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+           RETURNING id, name, scopes,
+                     company_handle AS "companyHandle"`,
+        [hashToken(key)]);
+
+    return result.rows[0];
+  }
+}
+
+
+module.exports = ApiKey;
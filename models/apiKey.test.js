@@ -0,0 +1,129 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError } = require("../expressError");
+const ApiKey = require("./apiKey.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const apiKey = await ApiKey.create(
+        { name: "ATS", scopes: ["jobs:write"], companyHandle: "c1" }, "u1");
+    expect(apiKey).toEqual({
+      id: expect.any(Number),
+      name: "ATS",
+      scopes: ["jobs:write"],
+      companyHandle: "c1",
+      createdBy: "u1",
+      createdAt: expect.any(Date),
+      expiresAt: null,
+      key: expect.stringMatching(/^jk_[0-9a-f]{64}$/),
+    });
+
+    const found = await db.query(
+        `SELECT key_hash FROM api_keys WHERE id = $1`, [apiKey.id]);
+    expect(found.rows[0].key_hash).not.toEqual(apiKey.key);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    const k1 = await ApiKey.create({ name: "k1", scopes: ["jobs:read"] }, "u1");
+    const k2 = await ApiKey.create({ name: "k2", scopes: ["jobs:write"] }, "u1");
+    const apiKeys = await ApiKey.findAll();
+    expect(apiKeys.map(k => k.id)).toEqual([k2.id, k1.id]);
+    expect(apiKeys[0]).toEqual({
+      id: k2.id,
+      name: "k2",
+      scopes: ["jobs:write"],
+      companyHandle: null,
+      createdBy: "u1",
+      createdAt: expect.any(Date),
+      expiresAt: null,
+      lastUsedAt: null,
+      revokedAt: null,
+    });
+  });
+});
+
+/************************************** authenticate */
+
+describe("authenticate", function () {
+  test("works", async function () {
+    const { id, key } = await ApiKey.create(
+        { name: "ATS", scopes: ["jobs:write"], companyHandle: "c1" }, "u1");
+    expect(await ApiKey.authenticate(key)).toEqual({
+      id,
+      name: "ATS",
+      scopes: ["jobs:write"],
+      companyHandle: "c1",
+    });
+
+    const [found] = await ApiKey.findAll();
+    expect(found.lastUsedAt).toEqual(expect.any(Date));
+  });
+
+  test("unknown key", async function () {
+    expect(await ApiKey.authenticate("jk_nope")).toBeUndefined();
+  });
+
+  test("revoked key", async function () {
+    const { id, key } = await ApiKey.create(
+        { name: "ATS", scopes: ["jobs:write"] }, "u1");
+    await ApiKey.revoke(id);
+    expect(await ApiKey.authenticate(key)).toBeUndefined();
+  });
+
+  test("expired key", async function () {
+    const { key } = await ApiKey.create(
+        { name: "ATS", scopes: ["jobs:write"], expiresAt: "2000-01-01" }, "u1");
+    expect(await ApiKey.authenticate(key)).toBeUndefined();
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    const { id } = await ApiKey.create(
+        { name: "ATS", scopes: ["jobs:write"] }, "u1");
+    await ApiKey.revoke(id);
+    const [found] = await ApiKey.findAll();
+    expect(found.revokedAt).toEqual(expect.any(Date));
+  });
+
+  test("not found if no such key", async function () {
+    try {
+      await ApiKey.revoke(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if already revoked", async function () {
+    const { id } = await ApiKey.create(
+        { name: "ATS", scopes: ["jobs:write"] }, "u1");
+    await ApiKey.revoke(id);
+    try {
+      await ApiKey.revoke(id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,99 @@
+"use strict";
+
+const db = require("../db");
+const { sqlForFilters } = require("../helpers/sql");
+const { sqlForPage, pageOf, sortKeys } = require("../helpers/pagination");
+
+/** Fields applications can be sorted on; see sortKeys in helpers/pagination.js.
+ *
+ * Timestamps are cut to milliseconds so they compare equal to the Dates
+ * JavaScript reads back, and so to the values stored in cursors.
+ */
+
+const APPLICATION_SORTABLE = {
+  appliedAt: { col: "date_trunc('milliseconds', a.created_at)", type: "timestamp" },
+  updatedAt: { col: "date_trunc('milliseconds', a.updated_at)", type: "timestamp" },
+  username: { col: "a.username" },
+  lastName: { col: "u.last_name" },
+  state: { col: "a.state" },
+  jobId: { col: "a.job_id", type: "integer" },
+};
+
+/** Related functions for applications, as seen by the hiring side.
+ *
+ * A candidate's own applications are handled by the User model.
+ */
+
+class Application {
+  /** Find applications, with the applicant's details, one page at a time.
+   *
+   * filters can include:
+   *   - jobId
+   *   - companyHandle (applications to any of the company's jobs)
+   *   - state
+   *   - appliedSince (applications made on or after this date)
+   *
+   * page is { limit, offset, cursor, sort }; see helpers/pagination.js.
+   * sort can use appliedAt, updatedAt, username, lastName, state and jobId
+   * (default: -appliedAt, newest first).
+   *
+   * Returns { applications, total, next }
+   *   where applications is [{ username, firstName, lastName, email,
+   *                            headline, location, skills, jobId, jobTitle,
+   *                            companyHandle, state, appliedAt,
+   *                            updatedAt }, ...],
+   *   skills being the applicant's skill names (see models/profile.js),
+   *   total counts every matching application
+   *   and next is the cursor for the following page, or null
+   **/
+
+  static async findAll(filters = {}, page = {}) {
+    const { whereClause, values } = sqlForFilters(filters, {
+      jobId: p => `a.job_id = ${p}`,
+      companyHandle: p => `j.company_handle = ${p}`,
+      state: p => `a.state = ${p}`,
+      appliedSince: p => `a.created_at >= ${p}::date`,
+    });
+    const orderBy = sortKeys(
+      page.sort, APPLICATION_SORTABLE, ["jobId", "username"], "-appliedAt");
+    const pageSql = sqlForPage(page, orderBy, whereClause, values.length + 1);
+    const from = `FROM applications a
+                  JOIN users u ON u.username = a.username
+                  JOIN jobs j ON j.id = a.job_id`;
+
+    const applicationsRes = await db.query(
+          `SELECT a.username,
+                  u.first_name AS "firstName",
+                  u.last_name AS "lastName",
+                  u.email,
+                  u.headline,
+                  u.location,
+                  ARRAY(SELECT s.name
+                        FROM user_skills us
+                        JOIN skills s ON s.id = us.skill_id
+                        WHERE us.username = a.username
+                        ORDER BY lower(s.name)) AS "skills",
+                  a.job_id AS "jobId",
+                  j.title AS "jobTitle",
+                  j.company_handle AS "companyHandle",
+                  a.state,
+                  a.created_at AS "appliedAt",
+                  a.updated_at AS "updatedAt"
+           ${from}
+           ${pageSql.whereClause}
+           ${pageSql.orderClause}
+           ${pageSql.limitClause}`,
+        [...values, ...pageSql.values]);
+    const totalRes = await db.query(
+          `SELECT COUNT(*)::integer AS "total"
+           ${from}
+           ${whereClause}`,
+        values);
+
+    const { rows, next } = pageOf(applicationsRes.rows, pageSql.limit, orderBy);
+    return { applications: rows, total: totalRes.rows[0].total, next };
+  }
+}
+
+
+module.exports = Application;
@@ -0,0 +1,102 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError } = require("../expressError");
+const Application = require("./application.js");
+const Profile = require("./profile.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+let j1, j2;
+
+beforeEach(async function () {
+  j1 = (await db.query(`SELECT id FROM jobs WHERE title = 'j1'`)).rows[0].id;
+  j2 = (await db.query(
+        `INSERT INTO jobs (title, equity, company_handle)
+         VALUES ('j2', 0, 'c2')
+         RETURNING id`)).rows[0].id;
+  await Profile.update("u2", { headline: "Data engineer", skills: ["SQL", "Python"] });
+  await db.query(
+        `INSERT INTO applications (username, job_id, state, created_at)
+         VALUES ('u1', $1, 'applied', '2026-01-01 09:00'),
+                ('u2', $1, 'interviewing', '2026-02-01 09:00'),
+                ('u1', $2, 'applied', '2026-03-01 09:00')`,
+      [j1, j2]);
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: no filter, newest first", async function () {
+    const page = await Application.findAll();
+    expect(page.total).toEqual(3);
+    expect(page.next).toBeNull();
+    expect(page.applications.map(a => [a.username, a.jobId]))
+        .toEqual([["u1", j2], ["u2", j1], ["u1", j1]]);
+    expect(page.applications[1]).toEqual({
+      username: "u2",
+      firstName: "U2F",
+      lastName: "U2L",
+      email: "u2@email.com",
+      headline: "Data engineer",
+      location: null,
+      skills: ["Python", "SQL"],
+      jobId: j1,
+      jobTitle: "j1",
+      companyHandle: "c1",
+      state: "interviewing",
+      appliedAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+    });
+  });
+
+  test("works: by job", async function () {
+    const page = await Application.findAll({ jobId: j1 });
+    expect(page.total).toEqual(2);
+    expect(page.applications.map(a => a.username)).toEqual(["u2", "u1"]);
+  });
+
+  test("works: by company and state", async function () {
+    const page = await Application.findAll({ companyHandle: "c1", state: "applied" });
+    expect(page.total).toEqual(1);
+    expect(page.applications[0]).toEqual(
+        expect.objectContaining({ username: "u1", jobId: j1 }));
+  });
+
+  test("works: appliedSince", async function () {
+    const page = await Application.findAll({ appliedSince: "2026-02-01" });
+    expect(page.applications.map(a => a.jobId)).toEqual([j2, j1]);
+  });
+
+  test("works: cursor through appliedAt", async function () {
+    const first = await Application.findAll({}, { limit: 2 });
+    expect(first.applications.map(a => a.username)).toEqual(["u1", "u2"]);
+    const second = await Application.findAll({}, { limit: 2, cursor: first.next });
+    expect(second.applications.map(a => [a.username, a.jobId])).toEqual([["u1", j1]]);
+    expect(second.next).toBeNull();
+  });
+
+  test("works: sort", async function () {
+    const page = await Application.findAll({}, { sort: "username,-appliedAt" });
+    expect(page.applications.map(a => [a.username, a.jobId]))
+        .toEqual([["u1", j2], ["u1", j1], ["u2", j1]]);
+  });
+
+  test("bad request with unknown sort field", async function () {
+    try {
+      await Application.findAll({}, { sort: "nope" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
@@ -2,7 +2,20 @@
 
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPartialUpdate, sqlForFilters } = require("../helpers/sql");
+const { sqlForPage, pageOf, sortKeys } = require("../helpers/pagination");
+
+/** Fields companies can be sorted on; see sortKeys in helpers/pagination.js. */
+
+const COMPANY_SORTABLE = {
+  handle: { col: "handle" },
+  name: { col: "name" },
+  numEmployees: {
+    col: "COALESCE(num_employees, -1)",
+    nullAs: -1,
+    type: "integer",
+  },
+};
 
 /** Related functions for companies. */
 
@@ -44,28 +57,47 @@ class Company {
     return company;
   }
 
-  /** Find all companies.
+  /** Find all companies, one page at a time.
    *
-   * Returns [{ handle, name, description, numEmployees, logoUrl }, ...]
+   * page is { limit, offset, cursor, sort }; see helpers/pagination.js.
+   * sort can use handle, name (the default) and numEmployees.
+   *
+   * Returns { companies, total, next }
+   *   where companies is [{ handle, name, description, numEmployees, logoUrl }, ...],
+   *   total counts every company matching the filters
+   *   and next is the cursor for the following page, or null
    * */
 
-  static async findAll(filters=null) {
-    const query = this.#filterAll(filters);
+  static async findAll(filters=null, page={}) {
+    const { whereClause, values } = this.#filterAll(filters);
+    const orderBy = sortKeys(page.sort, COMPANY_SORTABLE, "handle", "name");
+    const pageSql = sqlForPage(page, orderBy, whereClause, values.length + 1);
     const companiesRes = await db.query(
           `SELECT handle,
                   name,
                   description,
                   num_employees AS "numEmployees",
                   logo_url AS "logoUrl"
-           FROM companies ${query ? query : ''}
-           ORDER BY name`);
-    return companiesRes.rows;
+           FROM companies ${pageSql.whereClause}
+           ${pageSql.orderClause}
+           ${pageSql.limitClause}`,
+        [...values, ...pageSql.values]);
+    const totalRes = await db.query(
+          `SELECT COUNT(*)::integer AS "total"
+           FROM companies ${whereClause}`,
+        values);
+
+    const { rows, next } = pageOf(companiesRes.rows, pageSql.limit, orderBy);
+    return { companies: rows, total: totalRes.rows[0].total, next };
   }
 
   /** Given a company handle, return data about company.
    *
    * Returns { handle, name, description, numEmployees, logoUrl, jobs }
-   *   where jobs is [{ id, title, salary, equity, companyHandle }, ...]
+   *   where jobs is [{ id, title, salaryMin, salaryMax, currency, payPeriod,
+   *                    equity, pipeline }, ...]
+   *   and pipeline counts the job's applications by state,
+   *   e.g. { applied: 3, interviewing: 1 }
    *
    * Throws NotFoundError if not found.
    **/
@@ -79,7 +111,10 @@ class Company {
               c.logo_url AS "logoUrl",
               j.id, 
               j.title, 
-              j.salary, 
+              j.salary_min AS "salaryMin",
+              j.salary_max AS "salaryMax",
+              j.currency,
+              j.pay_period AS "payPeriod",
               j.equity
           FROM companies c
           LEFT JOIN jobs j 
@@ -99,11 +134,29 @@ class Company {
           numEmployees: v.numEmployees,
           logoUrl: v.logoUrl,
           jobs: companyRes.rows.map(j => j.id ?
-            ({ id: j.id, title: j.title, salary: j.salary, equity: j.equity }) : 
+            ({ id: j.id, title: j.title, salaryMin: j.salaryMin,
+               salaryMax: j.salaryMax, currency: j.currency,
+               payPeriod: j.payPeriod, equity: j.equity }) : 
               null).filter(j => j)
         });
     }, '');
 
+    const pipelineRes = await db.query(
+          `SELECT a.job_id AS "jobId",
+                  a.state,
+                  COUNT(*)::integer AS "count"
+           FROM applications a
+           JOIN jobs j ON j.id = a.job_id
+           WHERE j.company_handle = $1
+           GROUP BY a.job_id, a.state`,
+        [handle]);
+
+    company.jobs.forEach(job => {
+      job.pipeline = pipelineRes.rows
+        .filter(p => p.jobId === job.id)
+        .reduce((o, p) => ({ ...o, [p.state]: p.count }), {});
+    });
+
     return company;
   }
 
@@ -161,7 +214,51 @@ class Company {
     if (!company) throw new NotFoundError(`No company: ${handle}`);
   }
 
-  /** Builds the partial 'where' clauses of the sql statement to filter 
+  /** Link a user to a company as one of its recruiters.
+   *
+   * Returns { handle, username }
+   **/
+
+  static async addRecruiter(handle, username) {
+    const result = await db.query(
+          `INSERT INTO company_recruiters (company_handle, username)
+           VALUES ($1, $2)
+           RETURNING company_handle AS "handle", username`,
+        [handle, username]);
+
+    return result.rows[0];
+  }
+
+  /** Unlink a recruiter from a company; returns undefined.
+   *
+   * Throws NotFoundError if the user isn't one of the company's recruiters.
+   **/
+
+  static async removeRecruiter(handle, username) {
+    const result = await db.query(
+          `DELETE
+           FROM company_recruiters
+           WHERE company_handle = $1 AND username = $2
+           RETURNING username`,
+        [handle, username]);
+
+    if (!result.rows[0])
+      throw new NotFoundError(`No recruiter ${username} for company: ${handle}`);
+  }
+
+  /** Return true if the user recruits for the company. */
+
+  static async isRecruiter(handle, username) {
+    const result = await db.query(
+          `SELECT 1
+           FROM company_recruiters
+           WHERE company_handle = $1 AND username = $2`,
+        [handle, username]);
+
+    return result.rows.length > 0;
+  }
+
+  /** Builds the 'where' clause of the sql statement to filter 
   *  all company results based on optional filtering criteria
   * 
   *  Filters can include:
@@ -169,8 +266,8 @@ class Company {
   *   - minEmployees
   *   - maxEmployees
   * 
-  *   Returns sql statement as text if filter options are included;
-  *   Returns undefined if filters are not included
+  *   Returns { whereClause, values } for use with db.query;
+  *   whereClause is empty if filters are not included
   * 
   *   Throws BadRequestError if minEmployees parameter is greater 
   *   than the maxEmployees parameter
@@ -178,18 +275,14 @@ class Company {
   **/
 
   static #filterAll(filters) {
-    if (!filters) return;
-    if (filters.minEmployees >= filters.maxEmployees) 
+    if (filters && filters.minEmployees >= filters.maxEmployees) 
       throw new BadRequestError("instance.filters.maxEmployees must be greater than instance.filters.minEmployees");
   
-    const keys = Object.keys(filters);
-    const values = Object.values(filters);
-  
-    return keys.reduce((obj, val, idx) => {
-      return obj += `${idx===0 ? '\nWHERE' : '\nAND'} ${val==='name' ? 
-      `lower(name) LIKE lower('%' || '${values[idx]}' || '%')` : 
-      `num_employees ${val==='minEmployees' ? `>=` : `<=`} ${values[idx]}`}`
-    }, '');
+    return sqlForFilters(filters, {
+      name: p => `lower(name) LIKE '%' || lower(${p}) || '%'`,
+      minEmployees: p => `num_employees >= ${p}`,
+      maxEmployees: p => `num_employees <= ${p}`,
+    });
   }
   
 }
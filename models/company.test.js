@@ -60,7 +60,7 @@ describe("create", function () {
 
 describe("findAll", function () {
   test("works: no filter", async function () {
-    let companies = await Company.findAll();
+    let { companies } = await Company.findAll();
     expect(companies).toEqual([
       {
         handle: "c1",
@@ -91,7 +91,7 @@ describe("findAll", function () {
   const f3 = { minEmployees: 1, maxEmployees: 0 };
 
   test("works: filter by name", async function () {
-    let companies = await Company.findAll(f1);
+    let { companies } = await Company.findAll(f1);
     expect(companies).toEqual([
       {
         handle: "c1",
@@ -104,7 +104,7 @@ describe("findAll", function () {
   });
 
   test("works: filter by min & max users", async function () {
-    let companies = await Company.findAll(f2);
+    let { companies } = await Company.findAll(f2);
     expect(companies).toEqual([
       {
         handle: "c1",
@@ -123,6 +123,35 @@ describe("findAll", function () {
     ]);
   });
 
+  test("works: filter by name containing a quote", async function () {
+    let { companies } = await Company.findAll({ name: "C1' OR '1'='1" });
+    expect(companies).toEqual([]);
+  });
+
+  test("works: paging with limit and cursor", async function () {
+    let page = await Company.findAll(null, { limit: 2 });
+    expect(page.companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+    expect(page.total).toEqual(3);
+    expect(page.next).toEqual(expect.any(String));
+
+    page = await Company.findAll(null, { limit: 2, cursor: page.next });
+    expect(page.companies.map(c => c.handle)).toEqual(["c3"]);
+    expect(page.total).toEqual(3);
+    expect(page.next).toBeNull();
+  });
+
+  test("works: paging with offset and filters", async function () {
+    let page = await Company.findAll(f2, { limit: 1, offset: 1 });
+    expect(page.companies.map(c => c.handle)).toEqual(["c2"]);
+    expect(page.total).toEqual(2);
+    expect(page.next).toBeNull();
+  });
+
+  test("works: sorting", async function () {
+    let page = await Company.findAll(null, { sort: "-numEmployees" });
+    expect(page.companies.map(c => c.handle)).toEqual(["c3", "c2", "c1"]);
+  });
+
   test("bad filter properties: min & max", async function () {
     try {
       await Company.findAll(f3);
@@ -149,13 +178,29 @@ describe("get", function () {
         {
           id: expect.any(Number),
           title: "j1",
-          salary: 0,
-          equity: "0.0"
+          salaryMin: 0,
+          salaryMax: null,
+          currency: "USD",
+          payPeriod: "annual",
+          equity: "0.0",
+          pipeline: {}
         }
       ]
     });
   });
 
+  test("works: counts applications by state", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs WHERE title = 'j1'`);
+    const jobId = jobRes.rows[0].id;
+    await db.query(
+          `INSERT INTO applications (username, job_id, state)
+           VALUES ('u1', $1, 'applied'), ('u2', $1, 'interviewing')`,
+        [jobId]);
+
+    let company = await Company.get("c1");
+    expect(company.jobs[0].pipeline).toEqual({ applied: 1, interviewing: 1 });
+  });
+
   test("not found if no such company", async function () {
     try {
       await Company.get("nope");
@@ -261,3 +306,26 @@ describe("remove", function () {
     }
   });
 });
+
+/************************************** recruiters */
+
+describe("recruiters", function () {
+  test("works: add, check and remove", async function () {
+    const recruiter = await Company.addRecruiter("c1", "u1");
+    expect(recruiter).toEqual({ handle: "c1", username: "u1" });
+    expect(await Company.isRecruiter("c1", "u1")).toBe(true);
+    expect(await Company.isRecruiter("c2", "u1")).toBe(false);
+
+    await Company.removeRecruiter("c1", "u1");
+    expect(await Company.isRecruiter("c1", "u1")).toBe(false);
+  });
+
+  test("not found removing a user who isn't a recruiter", async function () {
+    try {
+      await Company.removeRecruiter("c1", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,104 @@
+"use strict";
+
+const db = require("../db");
+const Mail = require("./mail");
+const {
+  NotFoundError,
+  BadRequestError,
+  UnauthorizedError,
+} = require("../expressError");
+const { createLinkToken, hashToken } = require("../helpers/tokens");
+const { EMAIL_VERIFICATION_TTL_HOURS, APP_URL } = require("../config");
+
+/** Related functions for verifying users' email addresses.
+ *
+ * A verification token is emailed to the user as a link and only its
+ * sha256 hash is stored, with the address it was sent to: it verifies
+ * that address only, so it is no good once the user changes their email.
+ * Tokens expire after EMAIL_VERIFICATION_TTL_HOURS and are single-use.
+ * The queued email's copy of the link is redacted once it is sent (see
+ * models/mail.js).
+ */
+
+class EmailVerification {
+  /** Email a verification link to a user, using the named mail template
+   *  (see helpers/mailTemplates.js); the registration emails include one.
+   *
+   * Returns the address the link was sent to.
+   *
+   * Throws NotFoundError if user not found.
+   * Throws BadRequestError if their email is already verified.
+   **/
+
+  static async send(username, template = "emailVerification") {
+    const result = await db.query(
+          `SELECT username,
+                  first_name AS "firstName",
+                  email,
+                  email_verified AS "emailVerified"
+           FROM users
+           WHERE username = $1`,
+        [username]);
+
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (user.emailVerified)
+      throw new BadRequestError(`Email already verified: ${user.email}`);
+
+    const token = createLinkToken();
+    await db.query(
+          `INSERT INTO email_verification_tokens
+           (username, email, token_hash, expires_at)
+           VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(hours => $4))`,
+        [user.username, user.email, hashToken(token), EMAIL_VERIFICATION_TTL_HOURS]);
+
+    await Mail.enqueue(template, user.email, {
+      firstName: user.firstName,
+      username: user.username,
+      url: `${APP_URL}/verify-email?token=${token}`,
+      expiresInHours: EMAIL_VERIFICATION_TTL_HOURS,
+    });
+
+    return user.email;
+  }
+
+  /** Mark a user's email address verified using a verification token.
+   *
+   * Returns the username.
+   *
+   * Throws UnauthorizedError if the token is unknown, expired or used, or
+   * the user's email has changed since it was sent.
+   **/
+
+  static async verify(token) {
+    const result = await db.query(
+          `UPDATE email_verification_tokens
+           SET used_at = CURRENT_TIMESTAMP
+           WHERE token_hash = $1
+             AND used_at IS NULL
+             AND expires_at > CURRENT_TIMESTAMP
+           RETURNING username, email`,
+        [hashToken(token)]);
+
+    const found = result.rows[0];
+
+    if (!found)
+      throw new UnauthorizedError("Invalid or expired verification token");
+
+    const userRes = await db.query(
+          `UPDATE users
+           SET email_verified = TRUE
+           WHERE username = $1 AND email = $2
+           RETURNING username`,
+        [found.username, found.email]);
+
+    if (!userRes.rows[0])
+      throw new UnauthorizedError("Email address has changed since this link was sent");
+
+    return found.username;
+  }
+}
+
+
+module.exports = EmailVerification;
@@ -0,0 +1,121 @@
+"use strict";
+
+const {
+  BadRequestError,
+  NotFoundError,
+  UnauthorizedError,
+} = require("../expressError");
+const db = require("../db.js");
+const EmailVerification = require("./emailVerification.js");
+const User = require("./user.js");
+const Mail = require("./mail.js");
+const { hashToken } = require("../helpers/tokens");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Return the verification tokens emailed so far, oldest first. */
+
+async function emailedTokens() {
+  const result = await db.query(`SELECT body FROM mail_queue ORDER BY id`);
+  return result.rows.map(r => /token=([0-9a-f]+)/.exec(r.body)[1]);
+}
+
+/************************************** send */
+
+describe("send", function () {
+  test("works", async function () {
+    expect(await EmailVerification.send("u1")).toEqual("u1@email.com");
+    const [token] = await emailedTokens();
+
+    const found = await db.query(
+          `SELECT username, email, token_hash AS "tokenHash"
+           FROM email_verification_tokens`);
+    expect(found.rows).toEqual(
+      [{ username: "u1", email: "u1@email.com", tokenHash: hashToken(token) }]);
+
+    const mail = await db.query(`SELECT template, recipient FROM mail_queue`);
+    expect(mail.rows).toEqual(
+      [{ template: "emailVerification", recipient: "u1@email.com" }]);
+  });
+
+  test("works: other template", async function () {
+    await EmailVerification.send("u1", "registration");
+    const mail = await db.query(`SELECT template, body FROM mail_queue`);
+    expect(mail.rows[0].template).toEqual("registration");
+    expect(mail.rows[0].body).toContain("/verify-email?token=");
+  });
+
+  test("works: no usable token is left in the mail queue once sent", async function () {
+    for (const template of ["emailVerification", "registration"])
+      await EmailVerification.send("u1", template);
+    const tokens = await emailedTokens();
+    await Mail.deliver();
+
+    const mail = await db.query(`SELECT body FROM mail_queue`);
+    for (const { body } of mail.rows) {
+      for (const token of tokens) expect(body).not.toContain(token);
+      expect(body).toContain("/verify-email?token=REDACTED");
+    }
+    expect(await EmailVerification.verify(tokens[1])).toEqual("u1");
+  });
+
+  test("bad request if already verified", async function () {
+    await db.query(`UPDATE users SET email_verified = TRUE WHERE username = 'u1'`);
+    await expect(EmailVerification.send("u1")).rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(EmailVerification.send("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** verify */
+
+describe("verify", function () {
+  test("works", async function () {
+    await EmailVerification.send("u1");
+    const [token] = await emailedTokens();
+
+    expect(await EmailVerification.verify(token)).toEqual("u1");
+    expect((await User.get("u1")).emailVerified).toEqual(true);
+  });
+
+  test("unauth when used twice", async function () {
+    await EmailVerification.send("u1");
+    const [token] = await emailedTokens();
+    await EmailVerification.verify(token);
+
+    await expect(EmailVerification.verify(token))
+      .rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth for expired token", async function () {
+    await EmailVerification.send("u1");
+    const [token] = await emailedTokens();
+    await db.query(
+          `UPDATE email_verification_tokens
+           SET expires_at = CURRENT_TIMESTAMP - interval '1 minute'`);
+
+    await expect(EmailVerification.verify(token))
+      .rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth once the email has changed", async function () {
+    await EmailVerification.send("u1");
+    const [token] = await emailedTokens();
+    await User.update("u1", { email: "other@email.com" });
+
+    await expect(EmailVerification.verify(token))
+      .rejects.toThrow("Email address has changed since this link was sent");
+    expect((await User.get("u1")).emailVerified).toEqual(false);
+  });
+});
@@ -2,58 +2,241 @@
 
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPartialUpdate, sqlForFilters } = require("../helpers/sql");
+const { sqlForPage, pageOf, sortKeys } = require("../helpers/pagination");
+const Skill = require("./skill");
+
+/** Fields jobs can be sorted on; see sortKeys in helpers/pagination.js. */
+
+const JOB_SORTABLE = {
+  id: { col: "id", type: "integer" },
+  title: { col: "title" },
+  annualSalary: {
+    col: "COALESCE(annual_salary(salary_min, pay_period, currency), -1)",
+    nullAs: -1,
+    type: "numeric",
+  },
+  equity: { col: "COALESCE(equity, -1)", nullAs: -1, type: "numeric" },
+  companyHandle: { col: "company_handle" },
+  postedAt: { col: "posted_at", type: "date" },
+};
+
+/** Job fields whose column names differ from their names in the API. */
+
+const JOB_JS_TO_SQL = {
+  salaryMin: "salary_min",
+  salaryMax: "salary_max",
+  payPeriod: "pay_period",
+  employmentType: "employment_type",
+  postedAt: "posted_at",
+  closesAt: "closes_at",
+};
+
+/** The filters jobs can be found by (see Job.findAll), each with the JSON
+ *  type its value has and its condition given an SQL expression for that
+ *  value, already cast to the matching SQL type.
+ *
+ * Both Job.findAll, where values are query parameters, and
+ * SEARCH_MATCHES_SQL, where they come from saved searches' stored
+ * filters, build their conditions from this, so the two always agree.
+ * postedSince is compared as a "YYYY-MM-DD" string, so that a stored
+ * value can't fail a cast to date.
+ */
+
+const JOB_FILTERS = {
+  title: {
+    type: "string",
+    sql: v => `lower(title) LIKE '%' || lower(${v}) || '%'`,
+  },
+  minSalary: {
+    type: "number",
+    sql: v =>
+      `annual_salary(COALESCE(salary_max, salary_min), pay_period, currency) >= ${v}`,
+  },
+  maxSalary: {
+    type: "number",
+    sql: v => `annual_salary(salary_min, pay_period, currency) <= ${v}`,
+  },
+  hasEquity: {
+    type: "boolean",
+    sql: v => `(NOT ${v} OR equity > 0)`,
+  },
+  location: {
+    type: "string",
+    sql: v => `lower(location) LIKE '%' || lower(${v}) || '%'`,
+  },
+  remote: {
+    type: "string",
+    sql: v => `remote = ${v}`,
+  },
+  employmentType: {
+    type: "string",
+    sql: v => `employment_type = ${v}`,
+  },
+  postedSince: {
+    type: "string",
+    sql: v => `to_char(posted_at, 'YYYY-MM-DD') >= ${v}`,
+  },
+  isOpen: {
+    type: "boolean",
+    sql: v => `(NOT ${v} OR closes_at IS NULL OR closes_at >= CURRENT_DATE)`,
+  },
+};
+
+/** SQL types for the JSON types of JOB_FILTERS values. */
+
+const JSON_TO_SQL_TYPES = { string: "text", number: "numeric", boolean: "boolean" };
+
+/** Inserts a match for each saved search (see models/savedSearch.js)
+ *  whose filters the job in the CTE `job` meets, in one statement.
+ *
+ * Each filter a search has is applied from JOB_FILTERS. This never raises
+ * an error, however a search's filters were stored: values of the wrong
+ * JSON type match nothing.
+ */
+
+const SEARCH_MATCHES_SQL =
+      `INSERT INTO saved_search_matches (search_id, job_id)
+       SELECT s.id, j.id
+       FROM saved_searches s
+       CROSS JOIN job j
+       CROSS JOIN LATERAL (SELECT s.filters AS f) sf
+       WHERE ${Object.entries(JOB_FILTERS).map(([key, { type, sql }]) =>
+         `CASE WHEN jsonb_typeof(f->'${key}') = '${type}'
+                  THEN ${sql(`(f->>'${key}')::${JSON_TO_SQL_TYPES[type]}`)}
+                  ELSE NOT f ? '${key}' END`).join(`
+         AND `)}`;
 
 /** Related functions for jobs. */
 
 class Job {
   /** Create a job (from data), update db, return new job data.
    *
-   * data should be { title, salary, equity, company_handle }
+   * data should be { title, salaryMin, salaryMax, currency, payPeriod, equity,
+   *                   company_handle, description, location, remote,
+   *                   employmentType, postedAt, closesAt, skills }
+   *
+   * salaryMin, salaryMax, description, location and closesAt may be left
+   * out; currency defaults to "USD", payPeriod to "annual", remote to
+   * "onsite", employmentType to "full-time", postedAt to today and
+   * skills, the names of the skills the job requires, to none.
+   *
+   * Returns { id, title, salaryMin, salaryMax, currency, payPeriod,
+   *           annualSalary, equity, company_handle, description, location,
+   *           remote, employmentType, postedAt, closesAt, skills }
    *
-   * Returns { id, title, salary, equity, companyHandle }
+   * annualSalary is salaryMin as a yearly amount in the base currency.
+   *
+   * The new job is recorded as a match for each saved search whose
+   * filters it meets (see models/savedSearch.js), in the same statement
+   * that inserts it.
    *
    * */
 
-  static async create({ title, salary, equity, company_handle }) {
+  static async create({ title, salaryMin = null, salaryMax = null,
+                        currency = "USD", payPeriod = "annual", equity,
+                        company_handle, description = null, location = null,
+                        remote = "onsite", employmentType = "full-time",
+                        postedAt = null, closesAt = null, skills = [] }) {
     const result = await db.query(
-          `INSERT INTO jobs
-           (title, salary, equity, company_handle)
-           VALUES ($1, $2, $3, $4)
-           RETURNING id, title, salary, equity, company_handle`,
+          `WITH job AS (
+             INSERT INTO jobs
+             (title, salary_min, salary_max, currency, pay_period, equity,
+              company_handle, description, location, remote, employment_type,
+              posted_at, closes_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11,
+                     COALESCE($12::date, CURRENT_DATE), $13)
+             RETURNING *
+           ), matches AS (
+             ${SEARCH_MATCHES_SQL}
+           )
+           SELECT id, title,
+                  salary_min AS "salaryMin",
+                  salary_max AS "salaryMax",
+                  currency,
+                  pay_period AS "payPeriod",
+                  annual_salary(salary_min, pay_period, currency) AS "annualSalary",
+                  equity, company_handle,
+                  description, location, remote,
+                  employment_type AS "employmentType",
+                  posted_at AS "postedAt",
+                  closes_at AS "closesAt"
+           FROM job`,
         [
           title,
-          salary,
+          salaryMin,
+          salaryMax,
+          currency,
+          payPeriod,
           equity,
-          company_handle
+          company_handle,
+          description,
+          location,
+          remote,
+          employmentType,
+          postedAt,
+          closesAt
         ],
     );
     const job = result.rows[0];
 
+    if (skills.length) await this.#setSkills(job.id, skills);
+    job.skills = await this.#skillsOf(job.id);
+
     return job;
   }
 
-  /** Find all jobs.
+  /** Find all jobs, one page at a time.
    *
-   * Returns [{ id, title, salary, equity, companyHandle }, ...]
+   * page is { limit, offset, cursor, sort }; see helpers/pagination.js.
+   * sort can use id, title (the default), annualSalary, equity,
+   * companyHandle and postedAt.
+   *
+   * Returns { jobs, total, next }
+   *   where jobs is [{ id, title, salaryMin, salaryMax, currency, payPeriod,
+   *                    annualSalary, equity, companyHandle, location, remote,
+   *                    employmentType, postedAt, closesAt }, ...],
+   *   total counts every job matching the filters
+   *   and next is the cursor for the following page, or null
    * */
 
-  static async findAll(filters=null) {
-    const query = this.#filterAll(filters);
+  static async findAll(filters=null, page={}) {
+    const { whereClause, values } = this.#filterAll(filters);
+    const orderBy = sortKeys(page.sort, JOB_SORTABLE, "id", "title");
+    const pageSql = sqlForPage(page, orderBy, whereClause, values.length + 1);
     const results = await db.query(
           `SELECT id,
                   title, 
-                  salary, 
+                  salary_min AS "salaryMin",
+                  salary_max AS "salaryMax",
+                  currency,
+                  pay_period AS "payPeriod",
+                  annual_salary(salary_min, pay_period, currency) AS "annualSalary",
                   equity, 
-                  company_handle AS "companyHandle"
-           FROM jobs ${query ? query : ''}
-           ORDER BY title`);
-    return results.rows;
+                  company_handle AS "companyHandle",
+                  location,
+                  remote,
+                  employment_type AS "employmentType",
+                  posted_at AS "postedAt",
+                  closes_at AS "closesAt"
+           FROM jobs ${pageSql.whereClause}
+           ${pageSql.orderClause}
+           ${pageSql.limitClause}`,
+        [...values, ...pageSql.values]);
+    const totalRes = await db.query(
+          `SELECT COUNT(*)::integer AS "total"
+           FROM jobs ${whereClause}`,
+        values);
+
+    const { rows, next } = pageOf(results.rows, pageSql.limit, orderBy);
+    return { jobs: rows, total: totalRes.rows[0].total, next };
   }
 
   /** Given a job id, return data about job.
    *
-   * Returns { id, title, salary, equity, companyHandle }
+   * Returns { id, title, salaryMin, salaryMax, currency, payPeriod,
+   *           annualSalary, equity, companyHandle, description, location,
+   *           remote, employmentType, postedAt, closesAt, skills }
    *
    * Throws NotFoundError if not found.
    **/
@@ -63,9 +246,19 @@ class Job {
     const jobRes = await db.query(
             `SELECT id,
                   title,
-                  salary,
+                  salary_min AS "salaryMin",
+                  salary_max AS "salaryMax",
+                  currency,
+                  pay_period AS "payPeriod",
+                  annual_salary(salary_min, pay_period, currency) AS "annualSalary",
                   equity,
-                  company_handle AS "companyHandle"
+                  company_handle AS "companyHandle",
+                  description,
+                  location,
+                  remote,
+                  employment_type AS "employmentType",
+                  posted_at AS "postedAt",
+                  closes_at AS "closesAt"
             FROM jobs
             WHERE id = $1`,
             [id]);
@@ -74,6 +267,8 @@ class Job {
 
     if (!job) throw new NotFoundError(`No job: ${id}`);
 
+    job.skills = await this.#skillsOf(id);
+
     return job;
   }
 
@@ -82,30 +277,58 @@ class Job {
    * This is a "partial update" --- it's fine if data doesn't contain all the
    * fields; this only changes provided ones.
    *
-   * Data can include: {title, salary, equity}
+   * Data can include: {title, salaryMin, salaryMax, currency, payPeriod,
+   *                    equity, description, location, remote, employmentType,
+   *                    postedAt, closesAt, skills}
+   *
+   * skills, when given, replaces the job's whole list of skills.
    *
-   * Returns {id, title, salary, equity, companyHandle}
+   * Returns {id, title, salaryMin, salaryMax, currency, payPeriod,
+   *          annualSalary, equity, companyHandle, description, location,
+   *          remote, employmentType, postedAt, closesAt, skills}
    *
    * Throws NotFoundError if not found.
    */
 
   static async update(id, data) {
     if (isNaN(id)) throw new NotFoundError(`No job: ${id}`);
-    const { setCols, values } = sqlForPartialUpdate(data, {});
+    const { skills, ...fields } = data;
+    if (skills && !Object.keys(fields).length) {
+      await this.get(id);
+      await this.#setSkills(id, skills);
+      return await this.get(id);
+    }
+
+    const { setCols, values } = sqlForPartialUpdate(fields, JOB_JS_TO_SQL);
+    const idVarIdx = "$" + (values.length + 1);
 
     const querySql = `UPDATE jobs 
                       SET ${setCols} 
-                      WHERE id = ${id} 
+                      WHERE id = ${idVarIdx} 
                       RETURNING id, 
                                 title, 
-                                salary, 
+                                salary_min AS "salaryMin",
+                                salary_max AS "salaryMax",
+                                currency,
+                                pay_period AS "payPeriod",
+                                annual_salary(salary_min, pay_period, currency)
+                                  AS "annualSalary",
                                 equity, 
-                                company_handle AS "companyHandle"`;
-    const result = await db.query(querySql, [...values]);
+                                company_handle AS "companyHandle",
+                                description,
+                                location,
+                                remote,
+                                employment_type AS "employmentType",
+                                posted_at AS "postedAt",
+                                closes_at AS "closesAt"`;
+    const result = await db.query(querySql, [...values, id]);
     const job = result.rows[0];
 
     if (!job) throw new NotFoundError(`No job: ${id}`);
 
+    if (skills) await this.#setSkills(id, skills);
+    job.skills = await this.#skillsOf(id);
+
     return job;
   }
 
@@ -127,32 +350,62 @@ class Job {
     if (!job) throw new NotFoundError(`No job: ${id}`);
   }
 
-/** Builds the partial 'where' clauses of the sql statement to filter 
+  /** Replace the skills a job requires. */
+
+  static async #setSkills(id, names) {
+    const skillIds = await Skill.idsFor(names);
+    await db.query(
+          `DELETE FROM job_skills WHERE job_id = $1`,
+        [id]);
+    await db.query(
+          `INSERT INTO job_skills (job_id, skill_id)
+           SELECT $1, unnest($2::integer[])`,
+        [id, skillIds]);
+  }
+
+  /** Return the names of the skills a job requires. */
+
+  static async #skillsOf(id) {
+    const result = await db.query(
+          `SELECT s.name
+           FROM job_skills js
+           JOIN skills s ON s.id = js.skill_id
+           WHERE js.job_id = $1
+           ORDER BY lower(s.name)`,
+        [id]);
+    return result.rows.map(s => s.name);
+  }
+
+/** Builds the 'where' clause of the sql statement to filter 
   *  all job results based on optional filtering criteria
   * 
   *  Filters can include:
   *   - title 
-  *   - minSalary
-  *   - hasEquity
+  *   - minSalary, maxSalary (yearly amounts in the base currency; a job
+  *     matches if any part of its salary range lies between them)
+  *   - hasEquity (false is the same as leaving it out)
+  *   - location (case-insensitive, partial match)
+  *   - remote (onsite, hybrid or remote)
+  *   - employmentType (full-time, part-time, contract or internship)
+  *   - postedSince (a date; jobs posted on or after it)
+  *   - isOpen (jobs not yet closed; false is the same as leaving it out)
   * 
-  *   Returns sql statement as text if filter options are included;
-  *   Returns undefined if filters are not included
+  *   Returns { whereClause, values } for use with db.query;
+  *   whereClause is empty if filters are not included
+  *
+  *   The conditions come from JOB_FILTERS, which SEARCH_MATCHES_SQL
+  *   applies to new jobs as well
   * 
   **/
 
   static #filterAll(filters) {
-    if (!filters) return;
-  
-    const keys = Object.keys(filters);
-    const values = Object.values(filters);
-  
-    return keys.reduce((obj, val, idx) => {
-      return obj += `${(idx===0 && values[idx]) ? '\nWHERE' : 
-      `${val==='hasEquity' && !values[idx] ? '' : '\nAND' }`} ${val==='title' ? 
-      `lower(title) LIKE lower('%' || '${values[idx]}' || '%')` : 
-      `${val==='minSalary' ? `salary >= ${values[idx]}` : 
-      `${val==='hasEquity' && values[idx] ? 'equity > 0' : ''}`}`}`
-    }, '');
+    if (filters && filters.minSalary > filters.maxSalary) 
+      throw new BadRequestError("instance.filters.maxSalary must not be less than instance.filters.minSalary");
+
+    const filterToSql = {};
+    for (const [key, { type, sql }] of Object.entries(JOB_FILTERS))
+      filterToSql[key] = p => sql(`${p}::${JSON_TO_SQL_TYPES[type]}`);
+    return sqlForFilters(filters, filterToSql);
   }
   
 }
@@ -20,7 +20,7 @@ afterAll(commonAfterAll);
 describe("create", function () {
   const newJob = {
     title: "new",
-    salary: 0,
+    salaryMin: 0,
     equity: null,
     company_handle: "c2"
   };
@@ -30,40 +30,106 @@ describe("create", function () {
     expect(job).toEqual({
         id: expect.any(Number),
         title: "new",
-        salary: 0,
+        salaryMin: 0,
+        salaryMax: null,
+        currency: "USD",
+        payPeriod: "annual",
+        annualSalary: "0",
         equity: null,
-        company_handle: "c2"
+        company_handle: "c2",
+        description: null,
+        location: null,
+        remote: "onsite",
+        employmentType: "full-time",
+        postedAt: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
+        closesAt: null,
+        skills: []
     });
 
     const result = await db.query(
-          `SELECT id, title, salary, equity, company_handle
+          `SELECT id, title, salary_min, equity, company_handle
            FROM jobs
            WHERE id = ${job.id}`);
     expect(result.rows).toEqual([
       {
         id: expect.any(Number),
         title: "new",
-        salary: 0,
+        salary_min: 0,
         equity: null,
         company_handle: "c2"
       },
     ]);
   });
 
+  test("works: with listing details", async function () {
+    let job = await Job.create({
+      ...newJob,
+      description: "Build things",
+      location: "Denver, CO",
+      remote: "hybrid",
+      employmentType: "contract",
+      postedAt: "2026-01-05",
+      closesAt: "2026-02-05",
+      skills: ["SQL", "Python"],
+    });
+    expect(job).toEqual({
+      salaryMax: null,
+      currency: "USD",
+      payPeriod: "annual",
+      annualSalary: "0",
+      id: expect.any(Number),
+      ...newJob,
+      description: "Build things",
+      location: "Denver, CO",
+      remote: "hybrid",
+      employmentType: "contract",
+      postedAt: "2026-01-05",
+      closesAt: "2026-02-05",
+      skills: ["Python", "SQL"],
+    });
+  });
+
+  test("fails: salary range upside down", async function () {
+    try {
+      await Job.create({ ...newJob, salaryMin: 2, salaryMax: 1 });
+      fail();
+    } catch (err) {
+      expect(err.constraint).toEqual("jobs_salary_range");
+    }
+  });
+
+  test("fails: closes before it is posted", async function () {
+    try {
+      await Job.create(
+        { ...newJob, postedAt: "2026-01-05", closesAt: "2026-01-04" });
+      fail();
+    } catch (err) {
+      expect(err.constraint).toEqual("jobs_closes_after_posted");
+    }
+  });
 });
 
 // /************************************** findAll */
 
 describe("findAll", function () {
   test("works: no filter", async function () {
-    let jobs = await Job.findAll();
+    let { jobs } = await Job.findAll();
     expect(jobs).toEqual([
       {
         id: expect.any(Number),
         title: "j1",
-        salary: 0,
+        salaryMin: 0,
+        salaryMax: null,
+        currency: "USD",
+        payPeriod: "annual",
+        annualSalary: "0",
         equity: "0.0",
-        companyHandle: "c1"
+        companyHandle: "c1",
+        location: null,
+        remote: "onsite",
+        employmentType: "full-time",
+        postedAt: expect.any(String),
+        closesAt: null
       }
     ]);
   });
@@ -74,34 +140,136 @@ describe("findAll", function () {
   const f4 = { hasEquity: false };
 
   test("works: with title filter", async function () {
-    let jobs = await Job.findAll(f1);
+    let { jobs } = await Job.findAll(f1);
     expect(jobs).toEqual([
       {
         id: expect.any(Number),
         title: "j1",
-        salary: 0,
+        salaryMin: 0,
+        salaryMax: null,
+        currency: "USD",
+        payPeriod: "annual",
+        annualSalary: "0",
         equity: "0.0",
-        companyHandle: "c1"
+        companyHandle: "c1",
+        location: null,
+        remote: "onsite",
+        employmentType: "full-time",
+        postedAt: expect.any(String),
+        closesAt: null
       }
     ]);
   });
+  test("works: paging with limit and cursor", async function () {
+    await db.query(`
+      INSERT INTO jobs(title, salary_min, equity, company_handle)
+      VALUES ('j1', 1, NULL, 'c2'), ('j2', 2, NULL, 'c2')`);
+
+    let page = await Job.findAll(null, { limit: 2 });
+    expect(page.jobs.map(j => j.title)).toEqual(["j1", "j1"]);
+    expect(page.total).toEqual(3);
+
+    page = await Job.findAll(null, { limit: 2, cursor: page.next });
+    expect(page.jobs.map(j => j.title)).toEqual(["j2"]);
+    expect(page.next).toBeNull();
+  });
+  test("works: sorting with nulls and cursor", async function () {
+    await db.query(`
+      INSERT INTO jobs(title, salary_min, equity, company_handle)
+      VALUES ('j2', 100, NULL, 'c2'), ('j3', NULL, NULL, 'c2'),
+             ('j4', 100, NULL, 'c2')`);
+
+    let page = await Job.findAll(null, { sort: "-annualSalary,-title", limit: 2 });
+    expect(page.jobs.map(j => j.title)).toEqual(["j4", "j2"]);
+
+    page = await Job.findAll(
+      null, { sort: "-annualSalary,-title", limit: 2, cursor: page.next });
+    expect(page.jobs.map(j => j.title)).toEqual(["j1", "j3"]);
+    expect(page.next).toBeNull();
+  });
+  test("bad request with unknown sort field", async function () {
+    try {
+      await Job.findAll(null, { sort: "nope" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+  test("works: with title filter containing a quote", async function () {
+    let { jobs } = await Job.findAll({ title: "j1' OR '1'='1" });
+    expect(jobs).toEqual([]);
+  });
   test("works: with min salary filter", async function () {
-    let jobs = await Job.findAll(f2);
+    let { jobs } = await Job.findAll(f2);
     expect(jobs).toEqual([]);
   });
+  test("works: salary filters compare yearly base-currency amounts", async function () {
+    await db.query(`INSERT INTO exchange_rates (currency, rate) VALUES ('EUR', 1.5)`);
+    await db.query(`
+      INSERT INTO jobs(title, salary_min, salary_max, currency, pay_period, company_handle)
+      VALUES ('eur', 40000, 60000, 'EUR', 'annual', 'c2'),
+             ('hourly', 30, 40, 'USD', 'hourly', 'c2'),
+             ('usd', 70000, NULL, 'USD', 'annual', 'c2')`);
+
+    // eur: 60000-90000, hourly: 62400-83200, usd: 70000
+    let { jobs } = await Job.findAll({ minSalary: 85000 });
+    expect(jobs.map(j => j.title)).toEqual(["eur"]);
+    ({ jobs } = await Job.findAll({ maxSalary: 65000 }));
+    expect(jobs.map(j => j.title)).toEqual(["eur", "hourly", "j1"]);
+    ({ jobs } = await Job.findAll({ minSalary: 70000, maxSalary: 70000 }));
+    expect(jobs.map(j => j.title)).toEqual(["eur", "hourly", "usd"]);
+    ({ jobs } = await Job.findAll({ minSalary: 1 }, { sort: "-annualSalary" }));
+    expect(jobs.map(j => [j.title, j.annualSalary]))
+      .toEqual([["usd", "70000"], ["hourly", "62400"], ["eur", "60000"]]);
+  });
+  test("bad request if minSalary is over maxSalary", async function () {
+    try {
+      await Job.findAll({ minSalary: 2, maxSalary: 1 });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+  test("works: with listing filters", async function () {
+    await db.query(`
+      INSERT INTO jobs(title, company_handle, location, remote,
+                       employment_type, posted_at, closes_at)
+      VALUES ('j2', 'c2', 'Denver, CO', 'remote', 'contract',
+              '2026-01-10', '2026-01-20'),
+             ('j3', 'c2', 'Boulder, CO', 'hybrid', 'contract',
+              '2026-01-01', NULL)`);
+
+    let { jobs } = await Job.findAll({ location: "co", employmentType: "contract" });
+    expect(jobs.map(j => j.title)).toEqual(["j2", "j3"]);
+    ({ jobs } = await Job.findAll({ remote: "remote" }));
+    expect(jobs.map(j => j.title)).toEqual(["j2"]);
+    ({ jobs } = await Job.findAll({ location: "co", postedSince: "2026-01-05" }));
+    expect(jobs.map(j => j.title)).toEqual(["j2"]);
+    ({ jobs } = await Job.findAll({ location: "co", isOpen: true }));
+    expect(jobs.map(j => j.title)).toEqual(["j3"]);
+  });
   test("works: with has equity filter (true)", async function () {
-    let jobs = await Job.findAll(f3);
+    let { jobs } = await Job.findAll(f3);
     expect(jobs).toEqual([]);
   });
   test("works: with has equity filter (false)", async function () {
-    let jobs = await Job.findAll(f4);
+    let { jobs } = await Job.findAll(f4);
     expect(jobs).toEqual([
       {
         id: expect.any(Number),
         title: "j1",
-        salary: 0,
+        salaryMin: 0,
+        salaryMax: null,
+        currency: "USD",
+        payPeriod: "annual",
+        annualSalary: "0",
         equity: "0.0",
-        companyHandle: "c1"
+        companyHandle: "c1",
+        location: null,
+        remote: "onsite",
+        employmentType: "full-time",
+        postedAt: expect.any(String),
+        closesAt: null
       }
     ]);
   });
@@ -118,9 +286,20 @@ describe("get", function () {
     expect(job).toEqual({
         id: jobId,
         title: "j1",
-        salary: 0,
+        salaryMin: 0,
+        salaryMax: null,
+        currency: "USD",
+        payPeriod: "annual",
+        annualSalary: "0",
         equity: "0.0",
-        companyHandle: "c1"
+        companyHandle: "c1",
+        description: null,
+        location: null,
+        remote: "onsite",
+        employmentType: "full-time",
+        postedAt: expect.any(String),
+        closesAt: null,
+        skills: []
     });
   });
 
@@ -139,7 +318,7 @@ describe("get", function () {
 describe("update", function () {
   const updateData = {
     title: "New",
-    salary: 1,
+    salaryMin: 1,
     equity: "0.1"
   };
 
@@ -151,17 +330,28 @@ describe("update", function () {
     expect(job).toEqual({
       id: jobId,
       companyHandle: "c1",
+      salaryMax: null,
+      currency: "USD",
+      payPeriod: "annual",
+      annualSalary: "1",
+      description: null,
+      location: null,
+      remote: "onsite",
+      employmentType: "full-time",
+      postedAt: expect.any(String),
+      closesAt: null,
+      skills: [],
       ...updateData
     });
 
     const result = await db.query(
-          `SELECT id, title, salary, equity, company_handle
+          `SELECT id, title, salary_min, equity, company_handle
            FROM jobs
            WHERE id = ${jobId}`);
     expect(result.rows).toEqual([{
       id: jobId,
       title: "New",
-      salary: 1,
+      salary_min: 1,
       equity: "0.1",
       company_handle: "c1"
     }]);
@@ -173,7 +363,7 @@ describe("update", function () {
     const jobId = res.rows[0].id;
     const updateDataSetNulls = {
       title: "New",
-      salary: null,
+      salaryMin: null,
       equity: null
     };
 
@@ -181,22 +371,73 @@ describe("update", function () {
     expect(job).toEqual({
       id: jobId,
       companyHandle: "c1",
+      salaryMax: null,
+      currency: "USD",
+      payPeriod: "annual",
+      annualSalary: null,
+      description: null,
+      location: null,
+      remote: "onsite",
+      employmentType: "full-time",
+      postedAt: expect.any(String),
+      closesAt: null,
+      skills: [],
       ...updateDataSetNulls
     });
 
     const result = await db.query(
-          `SELECT id, title, salary, equity, company_handle
+          `SELECT id, title, salary_min, equity, company_handle
            FROM jobs
            WHERE id = '${jobId}'`);
     expect(result.rows).toEqual([{
       id: jobId,
       title: "New",
-      salary: null,
+      salary_min: null,
       equity: null,
       company_handle: "c1"
     }]);
   });
 
+  test("works: listing details", async function () {
+    const res = await db.query(
+      `SELECT * FROM jobs`);
+    const jobId = res.rows[0].id;
+    let job = await Job.update(jobId, {
+      remote: "remote",
+      employmentType: "part-time",
+      postedAt: "2026-03-01",
+      closesAt: "2026-04-01",
+    });
+    expect(job).toEqual(expect.objectContaining({
+      remote: "remote",
+      employmentType: "part-time",
+      postedAt: "2026-03-01",
+      closesAt: "2026-04-01",
+    }));
+  });
+
+  test("works: skills", async function () {
+    const res = await db.query(
+      `SELECT * FROM jobs`);
+    const jobId = res.rows[0].id;
+    await Job.update(jobId, { skills: ["Go", "SQL"] });
+    let job = await Job.update(jobId, { title: "New", skills: ["sql"] });
+    expect(job.title).toEqual("New");
+    expect(job.skills).toEqual(["SQL"]);
+
+    job = await Job.get(jobId);
+    expect(job.skills).toEqual(["SQL"]);
+  });
+
+  test("not found if no such job: skills only", async function () {
+    try {
+      await Job.update(0, { skills: ["SQL"] });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
   test("not found if no such job", async function () {
     try {
       await Job.update("nope", updateData);
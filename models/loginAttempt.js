@@ -0,0 +1,123 @@
+"use strict";
+
+const db = require("../db");
+const { TooManyRequestsError } = require("../expressError");
+const {
+  LOGIN_MAX_FAILURES,
+  LOGIN_MAX_FAILURES_PER_IP,
+  LOGIN_LOCKOUT_MINUTES,
+} = require("../config");
+
+/** Related functions for rate-limiting logins.
+ *
+ * Failed logins are counted per username and per client IP address.
+ *
+ * After n failures in a row for a username, its next try must wait
+ * 2^(n-1) seconds. Once the count reaches LOGIN_MAX_FAILURES for a
+ * username, or LOGIN_MAX_FAILURES_PER_IP for an address, logins for it
+ * are locked for LOGIN_LOCKOUT_MINUTES. (Addresses don't back off, since
+ * many users may share one.)
+ *
+ * So that a burst of requests can't all get in before any of them fails,
+ * each attempt is counted as a failure when it begins, in the same
+ * statement that decides whether it may go ahead. One that doesn't fail
+ * is released again.
+ *
+ * A successful login clears the username's count; counts also start over
+ * when LOGIN_LOCKOUT_MINUTES pass without a failure.
+ */
+
+class LoginAttempt {
+  /** Begin a login for username from ip, counting it as failed until it
+   *  is released.
+   *
+   * Throws TooManyRequestsError, with the seconds to wait as retryAfter,
+   * if either is backing off or locked; the attempt isn't counted then.
+   **/
+
+  static async begin(username, ip) {
+    const result = await db.query(
+          `WITH prior AS (
+             SELECT kind, failures, last_failed_at,
+                    failures >= (CASE kind WHEN 'ip' THEN $4::integer
+                                           ELSE $3::integer END) AS "locked"
+             FROM login_failures
+             WHERE ((kind = 'username' AND key = $1)
+                    OR (kind = 'ip' AND key = $2))
+               AND failures > 0
+             FOR UPDATE
+           ), waits AS (
+             SELECT "locked",
+                    ceil(extract(epoch FROM
+                      last_failed_at + make_interval(secs => CASE
+                        WHEN "locked" THEN $5::integer * 60
+                        WHEN kind = 'username' THEN least(power(2, failures - 1), $5 * 60)
+                        ELSE 0
+                      END) - CURRENT_TIMESTAMP))::integer AS "retryAfter"
+             FROM prior
+           ), counted AS (
+             INSERT INTO login_failures AS f (kind, key, failures, last_failed_at)
+             SELECT kind, key, 1, CURRENT_TIMESTAMP
+             FROM (VALUES ('username', $1::text), ('ip', $2::text)) AS v (kind, key)
+             WHERE NOT EXISTS (SELECT 1 FROM waits WHERE "retryAfter" > 0)
+             ON CONFLICT (kind, key) DO UPDATE
+             SET failures = CASE
+                   WHEN f.last_failed_at
+                        <= CURRENT_TIMESTAMP - make_interval(mins => $5) THEN 1
+                   ELSE f.failures + 1
+                 END,
+                 prev_failed_at = f.last_failed_at,
+                 last_failed_at = CURRENT_TIMESTAMP
+           )
+           SELECT "locked", "retryAfter"
+           FROM waits
+           WHERE "retryAfter" > 0`,
+        [username, ip, LOGIN_MAX_FAILURES, LOGIN_MAX_FAILURES_PER_IP,
+         LOGIN_LOCKOUT_MINUTES]);
+
+    const waits = result.rows;
+    if (waits.length === 0) return;
+
+    const retryAfter = Math.max(...waits.map(r => r.retryAfter));
+    const message = waits.some(r => r.locked)
+        ? "Too many failed logins; login is locked for now"
+        : "Too many failed logins; wait before trying again";
+    throw new TooManyRequestsError(message, retryAfter);
+  }
+
+  /** Stop counting a login begun for username from ip as failed, because
+   *  it wasn't: the password was right, or it ended in an unrelated error.
+   *  Earlier failures still count. */
+
+  static async release(username, ip) {
+    await db.query(
+          `UPDATE login_failures
+           SET failures = failures - 1,
+               last_failed_at = COALESCE(prev_failed_at, last_failed_at),
+               prev_failed_at = NULL
+           WHERE ((kind = 'username' AND key = $1)
+                  OR (kind = 'ip' AND key = $2))
+             AND failures > 0`,
+        [username, ip]);
+  }
+
+  /** Clear username's failed logins, after a successful one or when an
+   *  admin unlocks the account. Failures from its IP addresses still
+   *  count.
+   *
+   * Returns true if there were any to clear.
+   **/
+
+  static async clear(username) {
+    const result = await db.query(
+          `DELETE FROM login_failures
+           WHERE kind = 'username' AND key = $1
+           RETURNING failures`,
+        [username]);
+
+    return result.rows.some(r => r.failures > 0);
+  }
+}
+
+
+module.exports = LoginAttempt;
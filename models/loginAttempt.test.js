@@ -0,0 +1,158 @@
+"use strict";
+
+const { TooManyRequestsError } = require("../expressError");
+const db = require("../db.js");
+const LoginAttempt = require("./loginAttempt.js");
+const {
+  LOGIN_MAX_FAILURES,
+  LOGIN_MAX_FAILURES_PER_IP,
+  LOGIN_LOCKOUT_MINUTES,
+} = require("../config");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Move every recorded failure `seconds` into the past. */
+
+async function age(seconds) {
+  await db.query(
+        `UPDATE login_failures
+         SET last_failed_at = last_failed_at - make_interval(secs => $1),
+             prev_failed_at = prev_failed_at - make_interval(secs => $1)`,
+      [seconds]);
+}
+
+/** Record `failures` failed logins in a row, just now, for a kind
+ *  ("username" or "ip") and key. */
+
+async function failed(kind, key, failures) {
+  await db.query(
+        `INSERT INTO login_failures (kind, key, failures, last_failed_at)
+         VALUES ($1, $2, $3, CURRENT_TIMESTAMP)`,
+      [kind, key, failures]);
+}
+
+/** Return the error begin throws, or undefined. */
+
+async function beginError(username, ip) {
+  try {
+    await LoginAttempt.begin(username, ip);
+  } catch (err) {
+    return err;
+  }
+}
+
+/** Return the failures counted for a kind and key, or undefined. */
+
+async function failuresFor(kind, key) {
+  const result = await db.query(
+        `SELECT failures FROM login_failures WHERE kind = $1 AND key = $2`,
+      [kind, key]);
+  return result.rows[0]?.failures;
+}
+
+/************************************** begin */
+
+describe("begin", function () {
+  test("works: no failures", async function () {
+    await LoginAttempt.begin("u1", "1.2.3.4");
+    expect(await failuresFor("username", "u1")).toEqual(1);
+    expect(await failuresFor("ip", "1.2.3.4")).toEqual(1);
+  });
+
+  test("works: counts the attempt before it is tried", async function () {
+    await LoginAttempt.begin("u1", "1.2.3.4");
+    const err = await beginError("u1", "5.6.7.8");
+    expect(err instanceof TooManyRequestsError).toBeTruthy();
+    expect(err.retryAfter).toEqual(1);
+    expect(await failuresFor("username", "u1")).toEqual(1);
+    expect(await failuresFor("ip", "5.6.7.8")).toBeUndefined();
+  });
+
+  test("works: usernames back off exponentially", async function () {
+    await LoginAttempt.begin("u1", "1.2.3.4");
+    await age(1);
+    await LoginAttempt.begin("u1", "1.2.3.4");
+    await age(2);
+    await LoginAttempt.begin("u1", "1.2.3.4");
+
+    const err = await beginError("u1", "5.6.7.8");
+    expect(err.retryAfter).toEqual(4);
+    expect(err.message).toEqual("Too many failed logins; wait before trying again");
+
+    await LoginAttempt.begin("u2", "5.6.7.8");
+  });
+
+  test("works: usernames lock after too many failures", async function () {
+    await failed("username", "u1", LOGIN_MAX_FAILURES);
+
+    const err = await beginError("u1", "5.6.7.8");
+    expect(err.retryAfter).toEqual(LOGIN_LOCKOUT_MINUTES * 60);
+    expect(err.message).toEqual("Too many failed logins; login is locked for now");
+
+    await age(LOGIN_LOCKOUT_MINUTES * 60);
+    await LoginAttempt.begin("u1", "5.6.7.8");
+    expect(await failuresFor("username", "u1")).toEqual(1);
+  });
+
+  test("works: addresses lock after too many failures", async function () {
+    await failed("ip", "1.2.3.4", LOGIN_MAX_FAILURES_PER_IP);
+
+    const err = await beginError("u1", "1.2.3.4");
+    expect(err instanceof TooManyRequestsError).toBeTruthy();
+    await LoginAttempt.begin("u1", "5.6.7.8");
+  });
+
+  test("works: addresses don't back off", async function () {
+    await LoginAttempt.begin("u1", "1.2.3.4");
+    await LoginAttempt.begin("u2", "1.2.3.4");
+    expect(await failuresFor("ip", "1.2.3.4")).toEqual(2);
+  });
+});
+
+/************************************** release */
+
+describe("release", function () {
+  test("works", async function () {
+    await LoginAttempt.begin("u1", "1.2.3.4");
+    await age(5);
+    await LoginAttempt.begin("u1", "1.2.3.4");
+    await LoginAttempt.release("u1", "1.2.3.4");
+    expect(await failuresFor("username", "u1")).toEqual(1);
+    expect(await failuresFor("ip", "1.2.3.4")).toEqual(1);
+
+    // the earlier failure's backoff is over, as it was before
+    await LoginAttempt.begin("u1", "1.2.3.4");
+    expect(await failuresFor("username", "u1")).toEqual(2);
+  });
+
+  test("works: a released attempt doesn't back off", async function () {
+    await LoginAttempt.begin("u1", "1.2.3.4");
+    await LoginAttempt.release("u1", "1.2.3.4");
+    await LoginAttempt.begin("u1", "1.2.3.4");
+    expect(await failuresFor("username", "u1")).toEqual(1);
+  });
+});
+
+/************************************** clear */
+
+describe("clear", function () {
+  test("works", async function () {
+    await LoginAttempt.begin("u1", "1.2.3.4");
+    expect(await LoginAttempt.clear("u1")).toEqual(true);
+    await LoginAttempt.begin("u1", "1.2.3.4");
+    await LoginAttempt.release("u1", "1.2.3.4");
+    expect(await LoginAttempt.clear("u1")).toEqual(false);
+
+    const found = await db.query(`SELECT kind FROM login_failures`);
+    expect(found.rows).toEqual([{ kind: "ip" }]);
+  });
+});
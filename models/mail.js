@@ -0,0 +1,105 @@
+"use strict";
+
+const db = require("../db");
+const { renderTemplate } = require("../helpers/mailTemplates");
+const { getTransport } = require("../helpers/mailer");
+const { MAIL_FROM, MAIL_MAX_ATTEMPTS } = require("../config");
+
+/** Related functions for outgoing mail.
+ *
+ * Messages are rendered and stored in mail_queue, then sent by deliver,
+ * which server.js runs every minute. A send that fails is retried with
+ * exponential backoff (1, 2, 4, ... minutes) until MAIL_MAX_ATTEMPTS
+ * attempts have been made; the last error is kept on the message.
+ *
+ * Some messages carry secrets in their links, such as password reset and
+ * email verification tokens, of which only hashes are kept elsewhere. Once
+ * a message is sent, or given up on, the tokens in its stored body are
+ * redacted (see REDACTED_BODY_SQL), so the queue holds none that work.
+ */
+
+/** A message's body with the value of every token= link parameter
+ *  replaced. */
+
+const REDACTED_BODY_SQL =
+      `regexp_replace(body, 'token=[^[:space:]&]+', 'token=REDACTED', 'g')`;
+
+class Mail {
+  /** Queue the named template (see helpers/mailTemplates.js) for `to`.
+   *
+   * Returns { id, recipient, subject }
+   **/
+
+  static async enqueue(template, to, data) {
+    const { subject, text } = renderTemplate(template, data);
+    const result = await db.query(
+          `INSERT INTO mail_queue (template, recipient, subject, body)
+           VALUES ($1, $2, $3, $4)
+           RETURNING id, recipient, subject`,
+        [template, to, subject, text]);
+
+    return result.rows[0];
+  }
+
+  /** Send up to `limit` queued messages that are due.
+   *
+   * Each message is claimed before it is sent, by counting the attempt and
+   * pushing its next attempt back, so a message is never sent twice at
+   * once and one whose send dies halfway is retried later.
+   *
+   * Returns { sent, failed }, the number of messages in each case.
+   **/
+
+  static async deliver({ limit = 50 } = {}) {
+    const result = await db.query(
+          `UPDATE mail_queue
+           SET attempts = attempts + 1,
+               next_attempt_at = CURRENT_TIMESTAMP
+                 + make_interval(mins => power(2, attempts)::integer)
+           WHERE id IN (SELECT id
+                        FROM mail_queue
+                        WHERE sent_at IS NULL
+                          AND attempts < $1
+                          AND next_attempt_at <= CURRENT_TIMESTAMP
+                        ORDER BY next_attempt_at, id
+                        LIMIT $2
+                        FOR UPDATE SKIP LOCKED)
+           RETURNING id, recipient, subject, body`,
+        [MAIL_MAX_ATTEMPTS, limit]);
+
+    let sent = 0;
+    let failed = 0;
+    for (const message of result.rows) {
+      try {
+        await getTransport().send({
+          from: MAIL_FROM,
+          to: message.recipient,
+          subject: message.subject,
+          text: message.body,
+        });
+        await db.query(
+              `UPDATE mail_queue
+               SET sent_at = CURRENT_TIMESTAMP,
+                   last_error = NULL,
+                   body = ${REDACTED_BODY_SQL}
+               WHERE id = $1`,
+            [message.id]);
+        sent++;
+      } catch (err) {
+        await db.query(
+              `UPDATE mail_queue
+               SET last_error = $2,
+                   body = CASE WHEN attempts >= $3 THEN ${REDACTED_BODY_SQL}
+                               ELSE body END
+               WHERE id = $1`,
+            [message.id, err.message, MAIL_MAX_ATTEMPTS]);
+        failed++;
+      }
+    }
+
+    return { sent, failed };
+  }
+}
+
+
+module.exports = Mail;
@@ -0,0 +1,205 @@
+"use strict";
+
+const db = require("../db.js");
+const Mail = require("./mail.js");
+const User = require("./user.js");
+const { getTransport, setTransport } = require("../helpers/mailer");
+const { MAIL_FROM, MAIL_MAX_ATTEMPTS } = require("../config");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Transport that keeps what it is sent, failing while `down` is set. */
+
+const outbox = {
+  sent: [],
+  down: false,
+  async send(message) {
+    if (this.down) throw new Error("connection refused");
+    this.sent.push(message);
+  },
+};
+
+const original = getTransport();
+
+beforeEach(function () {
+  outbox.sent = [];
+  outbox.down = false;
+  setTransport(outbox);
+});
+
+afterAll(function () {
+  setTransport(original);
+});
+
+/** Make every queued message due now. */
+
+async function makeDue() {
+  await db.query(`UPDATE mail_queue SET next_attempt_at = CURRENT_TIMESTAMP`);
+}
+
+/************************************** enqueue */
+
+describe("enqueue", function () {
+  test("works", async function () {
+    const queued = await Mail.enqueue("registration", "u1@email.com",
+      { firstName: "U1F", username: "u1" });
+    expect(queued).toEqual({
+      id: expect.any(Number),
+      recipient: "u1@email.com",
+      subject: "Welcome to Jobly",
+    });
+  });
+
+  test("fails for unknown template", async function () {
+    await expect(Mail.enqueue("nope", "u1@email.com", {}))
+      .rejects.toThrow("Unknown mail template");
+  });
+});
+
+/************************************** deliver */
+
+describe("deliver", function () {
+  test("works", async function () {
+    await Mail.enqueue("registration", "u1@email.com",
+      { firstName: "U1F", username: "u1" });
+
+    expect(await Mail.deliver()).toEqual({ sent: 1, failed: 0 });
+    expect(outbox.sent).toEqual([{
+      from: MAIL_FROM,
+      to: "u1@email.com",
+      subject: "Welcome to Jobly",
+      text: expect.stringContaining("Your username is u1."),
+    }]);
+
+    await makeDue();
+    expect(await Mail.deliver()).toEqual({ sent: 0, failed: 0 });
+  });
+
+  test("works: failed sends are retried later", async function () {
+    const { id } = await Mail.enqueue("registration", "u1@email.com",
+      { firstName: "U1F", username: "u1" });
+
+    outbox.down = true;
+    expect(await Mail.deliver()).toEqual({ sent: 0, failed: 1 });
+    const failed = await db.query(
+          `SELECT attempts, last_error AS "lastError",
+                  next_attempt_at > CURRENT_TIMESTAMP AS "later"
+           FROM mail_queue WHERE id = $1`, [id]);
+    expect(failed.rows[0]).toEqual(
+      { attempts: 1, lastError: "connection refused", later: true });
+
+    outbox.down = false;
+    expect(await Mail.deliver()).toEqual({ sent: 0, failed: 0 });
+    await makeDue();
+    expect(await Mail.deliver()).toEqual({ sent: 1, failed: 0 });
+    expect(outbox.sent.length).toEqual(1);
+  });
+
+  test("works: gives up after the last attempt", async function () {
+    await Mail.enqueue("registration", "u1@email.com",
+      { firstName: "U1F", username: "u1" });
+
+    outbox.down = true;
+    for (let i = 0; i < MAIL_MAX_ATTEMPTS; i++) {
+      expect(await Mail.deliver()).toEqual({ sent: 0, failed: 1 });
+      await makeDue();
+    }
+    expect(await Mail.deliver()).toEqual({ sent: 0, failed: 0 });
+  });
+});
+
+/************************************** redacting link tokens */
+
+describe("link tokens", function () {
+  const token = "0123456789abcdef".repeat(4);
+
+  async function queueReset() {
+    await Mail.enqueue("passwordReset", "u1@email.com", {
+      firstName: "U1F",
+      username: "u1",
+      url: `http://localhost:3000/reset-password?token=${token}`,
+      expiresInMinutes: 60,
+    });
+  }
+
+  async function storedBody() {
+    const result = await db.query(`SELECT body FROM mail_queue`);
+    return result.rows[0].body;
+  }
+
+  test("works: sent with the token, then redacted", async function () {
+    await queueReset();
+    expect(await storedBody()).toContain(token);
+
+    await Mail.deliver();
+    expect(outbox.sent[0].text).toContain(`token=${token}`);
+    const body = await storedBody();
+    expect(body).not.toContain(token);
+    expect(body).toContain("reset-password?token=REDACTED");
+  });
+
+  test("works: redacted when given up on", async function () {
+    await queueReset();
+
+    outbox.down = true;
+    for (let i = 0; i < MAIL_MAX_ATTEMPTS - 1; i++) {
+      await Mail.deliver();
+      await makeDue();
+    }
+    expect(await storedBody()).toContain(token);
+
+    await Mail.deliver();
+    expect(await storedBody()).not.toContain(token);
+  });
+});
+
+/************************************** application emails */
+
+describe("application emails", function () {
+  let jobId;
+
+  beforeEach(async function () {
+    const result = await db.query(`SELECT id FROM jobs WHERE title = 'j1'`);
+    jobId = result.rows[0].id;
+  });
+
+  async function queued() {
+    const result = await db.query(
+          `SELECT template, recipient FROM mail_queue ORDER BY id`);
+    return result.rows;
+  }
+
+  test("works: applying queues a confirmation", async function () {
+    await User.apply({ username: "u1", id: jobId });
+    expect(await queued()).toEqual(
+      [{ template: "applicationReceived", recipient: "u1@email.com" }]);
+
+    await Mail.deliver();
+    expect(outbox.sent[0].subject).toEqual("Application received: j1");
+    expect(outbox.sent[0].text).toContain("j1 at C1");
+  });
+
+  test("works: no mail for saving as interested", async function () {
+    await User.apply({ username: "u1", id: jobId, state: "interested" });
+    expect(await queued()).toEqual([]);
+  });
+
+  test("works: state changes by others are emailed", async function () {
+    await User.apply({ username: "u1", id: jobId });
+    await User.setApplicationState("u1", jobId, "interviewing", "u2");
+    await User.unapply("u1", jobId);
+    expect(await queued()).toEqual([
+      { template: "applicationReceived", recipient: "u1@email.com" },
+      { template: "applicationStatus", recipient: "u1@email.com" },
+    ]);
+  });
+});
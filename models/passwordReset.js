@@ -0,0 +1,151 @@
+"use strict";
+
+const db = require("../db");
+const User = require("./user");
+const Mail = require("./mail");
+const LoginAttempt = require("./loginAttempt");
+const { UnauthorizedError, TooManyRequestsError } = require("../expressError");
+const { createLinkToken, hashToken } = require("../helpers/tokens");
+const {
+  PASSWORD_RESET_TTL_MINUTES,
+  PASSWORD_RESET_MAX_REQUESTS,
+  PASSWORD_RESET_MAX_REQUESTS_PER_IP,
+  PASSWORD_RESET_WINDOW_MINUTES,
+  APP_URL,
+} = require("../config");
+
+/** Related functions for password resets.
+ *
+ * A reset token is emailed to the user as a link and only its sha256 hash
+ * is stored. Tokens expire after PASSWORD_RESET_TTL_MINUTES and are
+ * single-use: resetting the password uses up every token the user holds.
+ *
+ * Requests are limited per username or email asked about, and per client
+ * IP address, so the endpoint can't be used to flood someone's inbox.
+ */
+
+class PasswordReset {
+  /** Email a reset link to the user with this username or email, asked
+   *  for from ip.
+   *
+   * lookup is { username } or { email }; an email shared by several
+   * accounts gets a link for each. Returns undefined whether or not an
+   * account matched, so callers can't reveal which accounts exist.
+   *
+   * Throws TooManyRequestsError, with the seconds to wait as retryAfter,
+   * once PASSWORD_RESET_MAX_REQUESTS have been made for the username or
+   * email, or PASSWORD_RESET_MAX_REQUESTS_PER_IP from ip, within
+   * PASSWORD_RESET_WINDOW_MINUTES. Unknown accounts are counted too, so
+   * this doesn't reveal them either.
+   **/
+
+  static async request({ username, email }, ip) {
+    await PasswordReset.#countRequest(
+        username !== undefined
+          ? ["username", username]
+          : ["email", email.toLowerCase()],
+        ip);
+
+    const result = await db.query(
+          `SELECT username, first_name AS "firstName", email
+           FROM users
+           WHERE username = $1 OR lower(email) = lower($2)`,
+        [username ?? null, email ?? null]);
+
+    for (const user of result.rows) {
+      const token = createLinkToken();
+      await db.query(
+            `INSERT INTO password_reset_tokens
+             (username, token_hash, expires_at)
+             VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3))`,
+          [user.username, hashToken(token), PASSWORD_RESET_TTL_MINUTES]);
+
+      await Mail.enqueue("passwordReset", user.email, {
+        firstName: user.firstName,
+        username: user.username,
+        url: `${APP_URL}/reset-password?token=${token}`,
+        expiresInMinutes: PASSWORD_RESET_TTL_MINUTES,
+      });
+    }
+  }
+
+  /** Count a request for lookup, a [kind, key] pair, from ip, then throw
+   *  TooManyRequestsError if either is over its limit.
+   *
+   * Counting and checking are one statement, so concurrent requests can't
+   * all slip under the limit.
+   **/
+
+  static async #countRequest([kind, key], ip) {
+    const result = await db.query(
+          `INSERT INTO password_reset_requests AS r
+                  (kind, key, requests, window_started_at)
+           VALUES ($1, $2, 1, CURRENT_TIMESTAMP),
+                  ('ip', $3, 1, CURRENT_TIMESTAMP)
+           ON CONFLICT (kind, key) DO UPDATE
+           SET requests = CASE
+                 WHEN r.window_started_at
+                      <= CURRENT_TIMESTAMP - make_interval(mins => $6) THEN 1
+                 ELSE r.requests + 1
+               END,
+               window_started_at = CASE
+                 WHEN r.window_started_at
+                      <= CURRENT_TIMESTAMP - make_interval(mins => $6)
+                   THEN CURRENT_TIMESTAMP
+                 ELSE r.window_started_at
+               END
+           RETURNING requests > (CASE kind WHEN 'ip' THEN $5::integer
+                                           ELSE $4::integer END) AS "limited",
+                     ceil(extract(epoch FROM
+                       window_started_at + make_interval(mins => $6)
+                       - CURRENT_TIMESTAMP))::integer AS "retryAfter"`,
+        [kind, key, ip, PASSWORD_RESET_MAX_REQUESTS,
+         PASSWORD_RESET_MAX_REQUESTS_PER_IP, PASSWORD_RESET_WINDOW_MINUTES]);
+
+    const limited = result.rows.filter(r => r.limited);
+    if (limited.length === 0) return;
+
+    throw new TooManyRequestsError(
+        "Too many password reset requests; wait before trying again",
+        Math.max(...limited.map(r => r.retryAfter)));
+  }
+
+  /** Set a new password using a reset token.
+   *
+   * As with any password change, the user's access and refresh tokens are
+   * revoked, logging them out everywhere. Any login lockout on the account
+   * is lifted.
+   *
+   * Returns the username.
+   *
+   * Throws UnauthorizedError if the token is unknown, expired or used.
+   **/
+
+  static async reset(token, password) {
+    const result = await db.query(
+          `UPDATE password_reset_tokens
+           SET used_at = CURRENT_TIMESTAMP
+           WHERE token_hash = $1
+             AND used_at IS NULL
+             AND expires_at > CURRENT_TIMESTAMP
+           RETURNING username`,
+        [hashToken(token)]);
+
+    const found = result.rows[0];
+
+    if (!found) throw new UnauthorizedError("Invalid or expired reset token");
+
+    await db.query(
+          `UPDATE password_reset_tokens
+           SET used_at = CURRENT_TIMESTAMP
+           WHERE username = $1 AND used_at IS NULL`,
+        [found.username]);
+    await User.update(found.username, { password });
+    await LoginAttempt.clear(found.username);
+
+    return found.username;
+  }
+}
+
+
+module.exports = PasswordReset;
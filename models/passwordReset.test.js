@@ -0,0 +1,165 @@
+"use strict";
+
+const { UnauthorizedError, TooManyRequestsError } = require("../expressError");
+const db = require("../db.js");
+const PasswordReset = require("./passwordReset.js");
+const User = require("./user.js");
+const Mail = require("./mail.js");
+const RefreshToken = require("./refreshToken.js");
+const { hashToken } = require("../helpers/tokens");
+const {
+  PASSWORD_RESET_MAX_REQUESTS,
+  PASSWORD_RESET_MAX_REQUESTS_PER_IP,
+  PASSWORD_RESET_WINDOW_MINUTES,
+} = require("../config");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Return the reset tokens emailed so far, oldest first. */
+
+async function emailedTokens() {
+  const result = await db.query(
+        `SELECT body FROM mail_queue
+         WHERE template = 'passwordReset'
+         ORDER BY id`);
+  return result.rows.map(r => /token=([0-9a-f]+)/.exec(r.body)[1]);
+}
+
+/************************************** request */
+
+describe("request", function () {
+  test("works: by username", async function () {
+    await PasswordReset.request({ username: "u1" }, "1.2.3.4");
+    const [token] = await emailedTokens();
+
+    const found = await db.query(
+          `SELECT username, token_hash AS "tokenHash", used_at AS "usedAt"
+           FROM password_reset_tokens`);
+    expect(found.rows).toEqual(
+      [{ username: "u1", tokenHash: hashToken(token), usedAt: null }]);
+
+    const mail = await db.query(`SELECT recipient, body FROM mail_queue`);
+    expect(mail.rows[0].recipient).toEqual("u1@email.com");
+    expect(mail.rows[0].body).toContain("your Jobly account, u1.");
+  });
+
+  test("works: by email, whatever its case", async function () {
+    await PasswordReset.request({ email: "U2@Email.com" }, "1.2.3.4");
+    const found = await db.query(
+          `SELECT username FROM password_reset_tokens`);
+    expect(found.rows).toEqual([{ username: "u2" }]);
+  });
+
+  test("works: nothing sent for unknown account", async function () {
+    await PasswordReset.request({ username: "nope" }, "1.2.3.4");
+    await PasswordReset.request({ email: "nope@email.com" }, "1.2.3.4");
+    expect(await emailedTokens()).toEqual([]);
+  });
+
+  test("works: no usable token is left in the mail queue once sent", async function () {
+    await PasswordReset.request({ username: "u1" }, "1.2.3.4");
+    const [token] = await emailedTokens();
+    await Mail.deliver();
+
+    const mail = await db.query(`SELECT body FROM mail_queue`);
+    expect(mail.rows[0].body).not.toContain(token);
+    expect(mail.rows[0].body).not.toMatch(/token=[0-9a-f]{64}/);
+    await PasswordReset.reset(token, "new-password");
+  });
+
+  test("too many requests for one account", async function () {
+    for (let i = 0; i < PASSWORD_RESET_MAX_REQUESTS; i++)
+      await PasswordReset.request({ email: "u1@email.com" }, `10.0.0.${i}`);
+
+    const err = await PasswordReset.request({ email: "U1@Email.com" }, "5.6.7.8")
+      .catch(e => e);
+    expect(err instanceof TooManyRequestsError).toBeTruthy();
+    expect(err.retryAfter).toEqual(PASSWORD_RESET_WINDOW_MINUTES * 60);
+    expect(await emailedTokens()).toHaveLength(PASSWORD_RESET_MAX_REQUESTS);
+
+    // limited the same way for accounts that don't exist
+    for (let i = 0; i < PASSWORD_RESET_MAX_REQUESTS; i++)
+      await PasswordReset.request({ username: "nope" }, `10.0.0.${i}`);
+    await expect(PasswordReset.request({ username: "nope" }, "5.6.7.8"))
+      .rejects.toThrow(TooManyRequestsError);
+  });
+
+  test("too many requests from one address", async function () {
+    for (let i = 0; i < PASSWORD_RESET_MAX_REQUESTS_PER_IP; i++)
+      await PasswordReset.request({ username: `user${i}` }, "1.2.3.4");
+
+    await expect(PasswordReset.request({ username: "u1" }, "1.2.3.4"))
+      .rejects.toThrow(TooManyRequestsError);
+    await PasswordReset.request({ username: "u1" }, "5.6.7.8");
+  });
+
+  test("works: limits start over after the window", async function () {
+    for (let i = 0; i < PASSWORD_RESET_MAX_REQUESTS; i++)
+      await PasswordReset.request({ username: "u1" }, "1.2.3.4");
+    await db.query(
+          `UPDATE password_reset_requests
+           SET window_started_at = window_started_at
+                                   - make_interval(mins => $1)`,
+        [PASSWORD_RESET_WINDOW_MINUTES]);
+
+    await PasswordReset.request({ username: "u1" }, "1.2.3.4");
+    const found = await db.query(
+          `SELECT requests FROM password_reset_requests
+           WHERE kind = 'username'`);
+    expect(found.rows).toEqual([{ requests: 1 }]);
+  });
+});
+
+/************************************** reset */
+
+describe("reset", function () {
+  test("works", async function () {
+    await PasswordReset.request({ username: "u1" }, "1.2.3.4");
+    const [token] = await emailedTokens();
+    const refreshToken = await RefreshToken.create("u1");
+
+    expect(await PasswordReset.reset(token, "new-password")).toEqual("u1");
+    const user = await User.authenticate("u1", "new-password");
+    expect(user.tokenVersion).toEqual(1);
+    await expect(RefreshToken.rotate(refreshToken))
+      .rejects.toThrow(UnauthorizedError);
+  });
+
+  test("works: tokens are single-use", async function () {
+    await PasswordReset.request({ username: "u1" }, "1.2.3.4");
+    await PasswordReset.request({ username: "u1" }, "1.2.3.4");
+    const [first, second] = await emailedTokens();
+
+    await PasswordReset.reset(second, "new-password");
+    for (const token of [first, second]) {
+      await expect(PasswordReset.reset(token, "other-password"))
+        .rejects.toThrow(UnauthorizedError);
+    }
+    await User.authenticate("u1", "new-password");
+  });
+
+  test("unauth for expired token", async function () {
+    await PasswordReset.request({ username: "u1" }, "1.2.3.4");
+    const [token] = await emailedTokens();
+    await db.query(
+          `UPDATE password_reset_tokens
+           SET expires_at = CURRENT_TIMESTAMP - interval '1 minute'`);
+
+    await expect(PasswordReset.reset(token, "new-password"))
+      .rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth for unknown token", async function () {
+    await expect(PasswordReset.reset("nope", "new-password"))
+      .rejects.toThrow(UnauthorizedError);
+  });
+});
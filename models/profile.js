@@ -0,0 +1,175 @@
+"use strict";
+
+const db = require("../db");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+const { NotFoundError } = require("../expressError");
+const Skill = require("./skill");
+
+/** Related functions for candidate profiles.
+ *
+ * A profile is { headline, bio, location, skills, experience, education }
+ *   where skills is [name, ...],
+ *   experience is [{ id, title, company, startDate, endDate, description }, ...]
+ *   and education is [{ id, school, degree, fieldOfStudy, startDate,
+ *                       endDate }, ...]
+ *
+ * Skills are shared between users (see models/skill.js); experience and
+ * education entries belong to one user and are listed most recent first.
+ */
+
+class Profile {
+  /** Given a username, return the user's profile.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async get(username) {
+    const userRes = await db.query(
+          `SELECT headline, bio, location
+           FROM users
+           WHERE username = $1`,
+        [username]);
+
+    const profile = userRes.rows[0];
+
+    if (!profile) throw new NotFoundError(`No user: ${username}`);
+
+    const skillsRes = await db.query(
+          `SELECT s.name
+           FROM user_skills us
+           JOIN skills s ON s.id = us.skill_id
+           WHERE us.username = $1
+           ORDER BY lower(s.name)`,
+        [username]);
+    const experienceRes = await db.query(
+          `SELECT id,
+                  title,
+                  company,
+                  start_date AS "startDate",
+                  end_date AS "endDate",
+                  description
+           FROM work_experience
+           WHERE username = $1
+           ORDER BY start_date DESC, id`,
+        [username]);
+    const educationRes = await db.query(
+          `SELECT id,
+                  school,
+                  degree,
+                  field_of_study AS "fieldOfStudy",
+                  start_date AS "startDate",
+                  end_date AS "endDate"
+           FROM education
+           WHERE username = $1
+           ORDER BY start_date DESC NULLS LAST, id`,
+        [username]);
+
+    profile.skills = skillsRes.rows.map(s => s.name);
+    profile.experience = experienceRes.rows;
+    profile.education = educationRes.rows;
+
+    return profile;
+  }
+
+  /** Update a user's profile with `data`.
+   *
+   * This is a "partial update": headline, bio and location are changed
+   * only if given. skills, experience and education replace the user's
+   * whole list when given, e.g. { skills: [] } clears the skills.
+   *
+   * Data can include:
+   *   { headline, bio, location, skills: [name, ...],
+   *     experience: [{ title, company, startDate, endDate, description }, ...],
+   *     education: [{ school, degree, fieldOfStudy, startDate, endDate }, ...] }
+   *
+   * Returns the updated profile.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async update(username, data) {
+    const { skills, experience, education, ...fields } = data;
+
+    let result;
+    if (Object.keys(fields).length) {
+      const { setCols, values } = sqlForPartialUpdate(fields, {});
+      const usernameVarIdx = "$" + (values.length + 1);
+      result = await db.query(
+            `UPDATE users
+             SET ${setCols}
+             WHERE username = ${usernameVarIdx}
+             RETURNING username`,
+          [...values, username]);
+    } else {
+      result = await db.query(
+            `SELECT username FROM users WHERE username = $1`,
+          [username]);
+    }
+
+    if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    if (skills) await this.#setSkills(username, skills);
+    if (experience) await this.#setExperience(username, experience);
+    if (education) await this.#setEducation(username, education);
+
+    return await this.get(username);
+  }
+
+  /** Replace the user's skills, adding any skill not seen before. */
+
+  static async #setSkills(username, names) {
+    const skillIds = await Skill.idsFor(names);
+    await db.query(
+          `DELETE FROM user_skills WHERE username = $1`,
+        [username]);
+    await db.query(
+          `INSERT INTO user_skills (username, skill_id)
+           SELECT $1, unnest($2::integer[])`,
+        [username, skillIds]);
+  }
+
+  /** Replace the user's work experience entries. */
+
+  static async #setExperience(username, entries) {
+    await db.query(
+          `DELETE FROM work_experience WHERE username = $1`,
+        [username]);
+    await db.query(
+          `INSERT INTO work_experience
+              (username, title, company, start_date, end_date, description)
+           SELECT $1, *
+           FROM unnest($2::text[], $3::text[], $4::date[], $5::date[], $6::text[])`,
+        [
+          username,
+          entries.map(e => e.title),
+          entries.map(e => e.company),
+          entries.map(e => e.startDate),
+          entries.map(e => e.endDate || null),
+          entries.map(e => e.description || null),
+        ]);
+  }
+
+  /** Replace the user's education entries. */
+
+  static async #setEducation(username, entries) {
+    await db.query(
+          `DELETE FROM education WHERE username = $1`,
+        [username]);
+    await db.query(
+          `INSERT INTO education
+              (username, school, degree, field_of_study, start_date, end_date)
+           SELECT $1, *
+           FROM unnest($2::text[], $3::text[], $4::text[], $5::date[], $6::date[])`,
+        [
+          username,
+          entries.map(e => e.school),
+          entries.map(e => e.degree || null),
+          entries.map(e => e.fieldOfStudy || null),
+          entries.map(e => e.startDate || null),
+          entries.map(e => e.endDate || null),
+        ]);
+  }
+}
+
+
+module.exports = Profile;
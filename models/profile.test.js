@@ -0,0 +1,100 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError } = require("../expressError");
+const Profile = require("./profile.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** get */
+
+describe("get", function () {
+  test("works: empty profile", async function () {
+    expect(await Profile.get("u1")).toEqual({
+      headline: null,
+      bio: null,
+      location: null,
+      skills: [],
+      experience: [],
+      education: [],
+    });
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Profile.get("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** update */
+
+describe("update", function () {
+  test("works", async function () {
+    const profile = await Profile.update("u1", {
+      headline: "Backend developer",
+      location: "Berlin",
+      skills: ["SQL", "Node.js"],
+      experience: [
+        { title: "Intern", company: "Acme", startDate: "2019-06-01",
+          endDate: "2019-08-31" },
+        { title: "Developer", company: "Acme", startDate: "2020-01-01" },
+      ],
+      education: [{ school: "TU Berlin", degree: "BSc" }],
+    });
+    expect(profile).toEqual({
+      headline: "Backend developer",
+      bio: null,
+      location: "Berlin",
+      skills: ["Node.js", "SQL"],
+      experience: [
+        { id: expect.any(Number), title: "Developer", company: "Acme",
+          startDate: "2020-01-01", endDate: null, description: null },
+        { id: expect.any(Number), title: "Intern", company: "Acme",
+          startDate: "2019-06-01", endDate: "2019-08-31", description: null },
+      ],
+      education: [
+        { id: expect.any(Number), school: "TU Berlin", degree: "BSc",
+          fieldOfStudy: null, startDate: null, endDate: null },
+      ],
+    });
+  });
+
+  test("works: lists are replaced, other fields kept", async function () {
+    await Profile.update("u1", { headline: "Developer", skills: ["SQL", "Go"] });
+    const profile = await Profile.update("u1", { skills: ["Rust"] });
+    expect(profile.headline).toEqual("Developer");
+    expect(profile.skills).toEqual(["Rust"]);
+  });
+
+  test("works: skills are shared, whatever their case", async function () {
+    await Profile.update("u1", { skills: ["JavaScript"] });
+    const profile = await Profile.update("u2", { skills: ["javascript", "JAVASCRIPT"] });
+    expect(profile.skills).toEqual(["JavaScript"]);
+
+    const result = await db.query(
+          `SELECT name FROM skills WHERE lower(name) = 'javascript'`);
+    expect(result.rows.length).toEqual(1);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Profile.update("nope", { skills: ["SQL"] });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,138 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+
+/** How much each part of a job's score counts; they add up to 1.
+ *
+ *  skills  share of the job's required skills the user has
+ *  title   share of the words in the job's title that appear in titles of
+ *          jobs the user applied to before
+ *  salary  1 if the job's salary range meets the user's salary
+ *          preferences (or none were given), 0.5 if the job lists no
+ *          salary, 0 otherwise
+ */
+
+const RECOMMENDATION_WEIGHTS = { skills: 0.6, title: 0.3, salary: 0.1 };
+
+const DEFAULT_RECOMMENDATION_LIMIT = 20;
+
+/** Related functions for job recommendations. */
+
+class Recommendation {
+  /** Rank the open jobs a user hasn't applied to by how well they fit.
+   *
+   * preferences can include:
+   *   - minSalary, maxSalary (yearly amounts in the base currency, as for
+   *     the jobs filter)
+   *   - limit (how many jobs to return; default 20)
+   *
+   * Only jobs sharing a skill or a title word with the user are included;
+   * see RECOMMENDATION_WEIGHTS for how they are scored.
+   *
+   * Returns [{ id, title, salaryMin, salaryMax, currency, payPeriod,
+   *            annualSalary, equity, companyHandle, location, remote,
+   *            employmentType, postedAt, closesAt, matchingSkills,
+   *            score }, ...]
+   *   best match first, where matchingSkills are the names of the job's
+   *   skills the user has and score is between 0 and 1
+   *
+   * Throws NotFoundError if user not found.
+   * Throws BadRequestError if minSalary is greater than maxSalary.
+   **/
+
+  static async forUser(username, { minSalary = null, maxSalary = null,
+                                   limit = DEFAULT_RECOMMENDATION_LIMIT } = {}) {
+    if (minSalary !== null && maxSalary !== null && minSalary > maxSalary)
+      throw new BadRequestError("maxSalary must not be less than minSalary");
+
+    const userRes = await db.query(
+          `SELECT username FROM users WHERE username = $1`,
+        [username]);
+
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const result = await db.query(
+          `WITH my_skills AS (
+             SELECT skill_id FROM user_skills WHERE username = $1
+           ), past_words AS (
+             SELECT DISTINCT unnest(tsvector_to_array(
+                      to_tsvector('english', j.title))) AS word
+             FROM applications a
+             JOIN jobs j ON j.id = a.job_id
+             WHERE a.username = $1
+           ), open_jobs AS (
+             SELECT j.*,
+                    ARRAY(SELECT s.name
+                          FROM job_skills js
+                          JOIN my_skills ms ON ms.skill_id = js.skill_id
+                          JOIN skills s ON s.id = js.skill_id
+                          WHERE js.job_id = j.id
+                          ORDER BY lower(s.name)) AS matching_skills,
+                    (SELECT COUNT(*)
+                     FROM job_skills js
+                     WHERE js.job_id = j.id) AS skill_count,
+                    tsvector_to_array(to_tsvector('english', j.title)) AS words
+             FROM jobs j
+             WHERE (j.closes_at IS NULL OR j.closes_at >= CURRENT_DATE)
+               AND NOT EXISTS (SELECT 1
+                               FROM applications a
+                               WHERE a.job_id = j.id AND a.username = $1)
+           ), scored AS (
+             SELECT *,
+                    CASE WHEN skill_count = 0 THEN 0
+                         ELSE cardinality(matching_skills)::numeric / skill_count
+                    END AS skill_score,
+                    CASE WHEN cardinality(words) = 0 THEN 0
+                         ELSE (SELECT COUNT(*)
+                               FROM unnest(words) AS w
+                               WHERE w IN (SELECT word FROM past_words))::numeric
+                              / cardinality(words)
+                    END AS title_score,
+                    CASE WHEN $2::numeric IS NULL AND $3::numeric IS NULL THEN 1
+                         WHEN salary_min IS NULL THEN 0.5
+                         WHEN ($2::numeric IS NULL OR annual_salary(
+                                 COALESCE(salary_max, salary_min), pay_period, currency) >= $2)
+                          AND ($3::numeric IS NULL OR annual_salary(
+                                 salary_min, pay_period, currency) <= $3) THEN 1
+                         ELSE 0
+                    END AS salary_score
+             FROM open_jobs
+           )
+           SELECT id,
+                  title,
+                  salary_min AS "salaryMin",
+                  salary_max AS "salaryMax",
+                  currency,
+                  pay_period AS "payPeriod",
+                  annual_salary(salary_min, pay_period, currency) AS "annualSalary",
+                  equity,
+                  company_handle AS "companyHandle",
+                  location,
+                  remote,
+                  employment_type AS "employmentType",
+                  posted_at AS "postedAt",
+                  closes_at AS "closesAt",
+                  matching_skills AS "matchingSkills",
+                  round($4 * skill_score + $5 * title_score + $6 * salary_score, 3)::float8
+                    AS "score"
+           FROM scored
+           WHERE skill_score > 0 OR title_score > 0
+           ORDER BY "score" DESC, posted_at DESC, id
+           LIMIT $7`,
+        [
+          username,
+          minSalary,
+          maxSalary,
+          RECOMMENDATION_WEIGHTS.skills,
+          RECOMMENDATION_WEIGHTS.title,
+          RECOMMENDATION_WEIGHTS.salary,
+          limit,
+        ]);
+
+    return result.rows;
+  }
+}
+
+
+module.exports = Recommendation;
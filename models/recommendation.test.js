@@ -0,0 +1,107 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Recommendation = require("./recommendation.js");
+const Job = require("./job.js");
+const User = require("./user.js");
+const Profile = require("./profile.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+let python, java;
+
+beforeEach(async function () {
+  python = await Job.create({ title: "Senior Python Developer", salaryMin: 100000,
+    equity: 0, company_handle: "c1", skills: ["Python", "SQL"] });
+  java = await Job.create({ title: "Java Developer", salaryMin: 50000,
+    equity: 0, company_handle: "c2", skills: ["Java"] });
+  await Job.create({ title: "Python Data Analyst", equity: 0, company_handle: "c1",
+    postedAt: "2020-01-01", closesAt: "2020-02-01", skills: ["Python"] });
+  const applied = await Job.create(
+    { title: "Backend Developer", equity: 0, company_handle: "c3" });
+
+  await Profile.update("u1", { skills: ["python", "sql"] });
+  await User.apply({ username: "u1", id: applied.id });
+});
+
+/************************************** forUser */
+
+describe("forUser", function () {
+  test("works", async function () {
+    const jobs = await Recommendation.forUser("u1");
+    expect(jobs.map(j => [j.id, j.score])).toEqual([
+      [python.id, 0.8],
+      [java.id, 0.25],
+    ]);
+    expect(jobs[0]).toEqual({
+      id: python.id,
+      title: "Senior Python Developer",
+      salaryMin: 100000,
+      salaryMax: null,
+      currency: "USD",
+      payPeriod: "annual",
+      annualSalary: "100000",
+      equity: "0",
+      companyHandle: "c1",
+      location: null,
+      remote: "onsite",
+      employmentType: "full-time",
+      postedAt: expect.any(String),
+      closesAt: null,
+      matchingSkills: ["Python", "SQL"],
+      score: 0.8,
+    });
+  });
+
+  test("works: salary preferences", async function () {
+    let jobs = await Recommendation.forUser("u1", { minSalary: 80000 });
+    expect(jobs.map(j => j.score)).toEqual([0.8, 0.15]);
+
+    jobs = await Recommendation.forUser("u1", { maxSalary: 60000 });
+    expect(jobs.map(j => j.score)).toEqual([0.7, 0.25]);
+  });
+
+  test("works: salaries beyond 32-bit integers", async function () {
+    let jobs = await Recommendation.forUser("u1", { minSalary: 3000000000 });
+    expect(jobs.map(j => j.score)).toEqual([0.7, 0.15]);
+
+    jobs = await Recommendation.forUser("u1", { maxSalary: 999999999999 });
+    expect(jobs.map(j => j.score)).toEqual([0.8, 0.25]);
+  });
+
+  test("works: limit", async function () {
+    const jobs = await Recommendation.forUser("u1", { limit: 1 });
+    expect(jobs.map(j => j.id)).toEqual([python.id]);
+  });
+
+  test("works: nothing to go on", async function () {
+    expect(await Recommendation.forUser("u2")).toEqual([]);
+  });
+
+  test("bad request if minSalary is over maxSalary", async function () {
+    try {
+      await Recommendation.forUser("u1", { minSalary: 2, maxSalary: 1 });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Recommendation.forUser("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
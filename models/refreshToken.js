@@ -0,0 +1,110 @@
+"use strict";
+
+const db = require("../db");
+const { UnauthorizedError } = require("../expressError");
+const { createRefreshToken, hashToken } = require("../helpers/tokens");
+const { REFRESH_TOKEN_TTL_DAYS } = require("../config");
+
+/** Related functions for refresh tokens.
+ *
+ * Only a sha256 hash of each token is stored. Tokens are single-use: each
+ * call to rotate revokes the token presented and issues a new one.
+ */
+
+class RefreshToken {
+  /** Issue a new refresh token for username; mfa says whether the login
+   *  used two-factor authentication, which tokens it is exchanged for keep.
+   *
+   * Returns the token string; it is not recoverable from the db afterwards.
+   **/
+
+  static async create(username, { mfa = false } = {}) {
+    const token = createRefreshToken();
+    await db.query(
+          `INSERT INTO refresh_tokens
+           (username, token_hash, expires_at, mfa)
+           VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(days => $3), $4)`,
+        [username, hashToken(token), REFRESH_TOKEN_TTL_DAYS, mfa]);
+
+    return token;
+  }
+
+  /** Exchange a refresh token for a new one.
+   *
+   * Returns { token, user } where user is { username, role, tokenVersion,
+   *                                          mfa }
+   *
+   * Throws UnauthorizedError if the token is unknown, expired or revoked.
+   * Presenting an already-revoked token means it leaked, so every refresh
+   * token for that user is revoked as well.
+   **/
+
+  static async rotate(token) {
+    const result = await db.query(
+          `SELECT r.id,
+                  r.username,
+                  r.expires_at < CURRENT_TIMESTAMP AS "expired",
+                  r.revoked_at AS "revokedAt",
+                  r.mfa,
+                  u.role,
+                  u.token_version AS "tokenVersion"
+           FROM refresh_tokens r
+           JOIN users u ON u.username = r.username
+           WHERE r.token_hash = $1`,
+        [hashToken(token)]);
+
+    const found = result.rows[0];
+
+    if (!found) throw new UnauthorizedError("Invalid refresh token");
+    if (found.revokedAt) {
+      await this.revokeAll(found.username);
+      throw new UnauthorizedError("Invalid refresh token");
+    }
+    if (found.expired) throw new UnauthorizedError("Refresh token expired");
+
+    const revoked = await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = CURRENT_TIMESTAMP
+           WHERE id = $1 AND revoked_at IS NULL
+           RETURNING id`,
+        [found.id]);
+
+    if (!revoked.rows[0]) throw new UnauthorizedError("Invalid refresh token");
+
+    return {
+      token: await this.create(found.username, { mfa: found.mfa }),
+      user: {
+        username: found.username,
+        role: found.role,
+        tokenVersion: found.tokenVersion,
+        mfa: found.mfa,
+      },
+    };
+  }
+
+  /** Revoke a single refresh token belonging to username; returns undefined.
+   *
+   * Unknown tokens, or tokens belonging to someone else, are ignored.
+   **/
+
+  static async revoke(username, token) {
+    await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = CURRENT_TIMESTAMP
+           WHERE username = $1 AND token_hash = $2 AND revoked_at IS NULL`,
+        [username, hashToken(token)]);
+  }
+
+  /** Revoke every outstanding refresh token for username; returns undefined. */
+
+  static async revokeAll(username) {
+    await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = CURRENT_TIMESTAMP
+           WHERE username = $1 AND revoked_at IS NULL`,
+        [username]);
+  }
+}
+
+
+module.exports = RefreshToken;
@@ -0,0 +1,104 @@
+"use strict";
+
+const { UnauthorizedError } = require("../expressError");
+const db = require("../db.js");
+const RefreshToken = require("./refreshToken.js");
+const { hashToken } = require("../helpers/tokens");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const token = await RefreshToken.create("u1");
+    const found = await db.query(
+        "SELECT * FROM refresh_tokens WHERE username = 'u1'");
+    expect(found.rows.length).toEqual(1);
+    expect(found.rows[0].token_hash).toEqual(hashToken(token));
+    expect(found.rows[0].revoked_at).toBeNull();
+  });
+});
+
+/************************************** rotate */
+
+describe("rotate", function () {
+  test("works", async function () {
+    const token = await RefreshToken.create("u1");
+    const rotated = await RefreshToken.rotate(token);
+    expect(rotated).toEqual({
+      token: expect.any(String),
+      user: { username: "u1", role: "candidate", tokenVersion: 0, mfa: false },
+    });
+    expect(rotated.token).not.toEqual(token);
+  });
+
+  test("works: keeps two-factor logins", async function () {
+    const token = await RefreshToken.create("u1", { mfa: true });
+    const rotated = await RefreshToken.rotate(token);
+    expect(rotated.user.mfa).toEqual(true);
+    expect((await RefreshToken.rotate(rotated.token)).user.mfa).toEqual(true);
+  });
+
+  test("unauth if unknown", async function () {
+    try {
+      await RefreshToken.rotate("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth if expired", async function () {
+    const token = await RefreshToken.create("u1");
+    await db.query(
+        `UPDATE refresh_tokens
+         SET expires_at = CURRENT_TIMESTAMP - interval '1 day'`);
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("reuse revokes every token for the user", async function () {
+    const token = await RefreshToken.create("u1");
+    const rotated = await RefreshToken.rotate(token);
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+    try {
+      await RefreshToken.rotate(rotated.token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** revokeAll */
+
+describe("revokeAll", function () {
+  test("works", async function () {
+    await RefreshToken.create("u1");
+    await RefreshToken.create("u1");
+    await RefreshToken.revokeAll("u1");
+    const found = await db.query(
+        `SELECT * FROM refresh_tokens
+         WHERE username = 'u1' AND revoked_at IS NULL`);
+    expect(found.rows.length).toEqual(0);
+  });
+});
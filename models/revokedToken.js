@@ -0,0 +1,57 @@
+"use strict";
+
+const db = require("../db");
+
+/** Related functions for revoking access tokens before they expire.
+ *
+ * A single token is revoked by storing its id (jti) until it would have
+ * expired anyway. Every token for a user is revoked by bumping
+ * users.token_version, which tokens carry as `ver`.
+ */
+
+class RevokedToken {
+  /** Revoke one token, given its payload { jti, exp }; returns undefined. */
+
+  static async add({ jti, exp }) {
+    await db.query(
+          `DELETE FROM revoked_tokens
+           WHERE expires_at < CURRENT_TIMESTAMP`);
+    await db.query(
+          `INSERT INTO revoked_tokens (jti, expires_at)
+           VALUES ($1, to_timestamp($2))
+           ON CONFLICT (jti) DO NOTHING`,
+        [jti, exp]);
+  }
+
+  /** Revoke every token issued so far for username; returns undefined. */
+
+  static async revokeAllForUser(username) {
+    await db.query(
+          `UPDATE users
+           SET token_version = token_version + 1
+           WHERE username = $1`,
+        [username]);
+  }
+
+  /** Given a verified token payload { username, jti, ver }, return true if
+   *  the token has been revoked or its user no longer exists.
+   **/
+
+  static async isRevoked({ username, jti, ver }) {
+    const result = await db.query(
+          `SELECT token_version AS "tokenVersion",
+                  EXISTS (SELECT 1
+                          FROM revoked_tokens
+                          WHERE jti = $2) AS "revoked"
+           FROM users
+           WHERE username = $1`,
+        [username, jti || null]);
+
+    const user = result.rows[0];
+
+    return !user || user.revoked || user.tokenVersion !== (ver || 0);
+  }
+}
+
+
+module.exports = RevokedToken;
@@ -0,0 +1,65 @@
+"use strict";
+
+const db = require("../db.js");
+const RevokedToken = require("./revokedToken.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const exp = Math.floor(Date.now() / 1000) + 3600;
+
+/************************************** isRevoked */
+
+describe("isRevoked", function () {
+  test("works: valid token", async function () {
+    expect(await RevokedToken.isRevoked(
+      { username: "u1", jti: "abc", ver: 0 })).toBe(false);
+  });
+
+  test("works: token without version", async function () {
+    expect(await RevokedToken.isRevoked({ username: "u1" })).toBe(false);
+  });
+
+  test("works: revoked token", async function () {
+    await RevokedToken.add({ jti: "abc", exp });
+    expect(await RevokedToken.isRevoked(
+      { username: "u1", jti: "abc", ver: 0 })).toBe(true);
+    expect(await RevokedToken.isRevoked(
+      { username: "u1", jti: "def", ver: 0 })).toBe(false);
+  });
+
+  test("works: all tokens for user revoked", async function () {
+    await RevokedToken.revokeAllForUser("u1");
+    expect(await RevokedToken.isRevoked(
+      { username: "u1", jti: "abc", ver: 0 })).toBe(true);
+    expect(await RevokedToken.isRevoked(
+      { username: "u1", jti: "abc", ver: 1 })).toBe(false);
+  });
+
+  test("works: no such user", async function () {
+    expect(await RevokedToken.isRevoked(
+      { username: "nope", jti: "abc", ver: 0 })).toBe(true);
+  });
+});
+
+/************************************** add */
+
+describe("add", function () {
+  test("works: clears out expired entries", async function () {
+    await db.query(
+        `INSERT INTO revoked_tokens (jti, expires_at)
+         VALUES ('old', CURRENT_TIMESTAMP - interval '1 hour')`);
+    await RevokedToken.add({ jti: "abc", exp });
+    await RevokedToken.add({ jti: "abc", exp });
+    const found = await db.query("SELECT jti FROM revoked_tokens");
+    expect(found.rows).toEqual([{ jti: "abc" }]);
+  });
+});
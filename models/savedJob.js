@@ -0,0 +1,91 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const { isSqlInteger } = require("../helpers/sql");
+
+/** Related functions for saved jobs: a user's shortlist of jobs, kept
+ *  apart from their applications.
+ *
+ * A saved job is { jobId, title, companyHandle, closesAt, notes, savedAt }
+ */
+
+class SavedJob {
+  /** Save a job to a user's list, or change the notes on one already saved.
+   *
+   * Returns the saved job.
+   *
+   * Throws NotFoundError if job id is not a valid id; a missing user or job
+   * fails the foreign keys (see the route).
+   **/
+
+  static async save(username, id, notes = null) {
+    if (!isSqlInteger(id)) throw new NotFoundError(`No job: ${id}`);
+    const result = await db.query(
+          `WITH saved AS (
+             INSERT INTO saved_jobs (username, job_id, notes)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (username, job_id) DO UPDATE SET notes = EXCLUDED.notes
+             RETURNING job_id, notes, saved_at)
+           SELECT s.job_id AS "jobId",
+                  j.title,
+                  j.company_handle AS "companyHandle",
+                  j.closes_at AS "closesAt",
+                  s.notes,
+                  s.saved_at AS "savedAt"
+           FROM saved s
+           JOIN jobs j ON j.id = s.job_id`,
+        [username, id, notes]);
+
+    return result.rows[0];
+  }
+
+  /** Return the jobs a user has saved, most recently saved first.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async findAll(username) {
+    const userRes = await db.query(
+          `SELECT username FROM users WHERE username = $1`,
+        [username]);
+
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const result = await db.query(
+          `SELECT s.job_id AS "jobId",
+                  j.title,
+                  j.company_handle AS "companyHandle",
+                  j.closes_at AS "closesAt",
+                  s.notes,
+                  s.saved_at AS "savedAt"
+           FROM saved_jobs s
+           JOIN jobs j ON j.id = s.job_id
+           WHERE s.username = $1
+           ORDER BY s.saved_at DESC, s.job_id`,
+        [username]);
+
+    return result.rows;
+  }
+
+  /** Remove a job from a user's list; returns undefined.
+   *
+   * Throws NotFoundError if the job isn't on it.
+   **/
+
+  static async remove(username, id) {
+    if (!isSqlInteger(id)) throw new NotFoundError(`No job: ${id}`);
+    const result = await db.query(
+          `DELETE
+           FROM saved_jobs
+           WHERE username = $1 AND job_id = $2
+           RETURNING job_id`,
+        [username, id]);
+
+    if (!result.rows[0])
+      throw new NotFoundError(`No saved job: ${username}, job ${id}`);
+  }
+}
+
+
+module.exports = SavedJob;
@@ -0,0 +1,98 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError } = require("../expressError");
+const SavedJob = require("./savedJob.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+let jobId;
+
+beforeEach(async function () {
+  jobId = (await db.query(`SELECT id FROM jobs WHERE title = 'j1'`)).rows[0].id;
+});
+
+/************************************** save */
+
+describe("save", function () {
+  test("works", async function () {
+    const saved = await SavedJob.save("u1", jobId, "Ask about equity");
+    expect(saved).toEqual({
+      jobId,
+      title: "j1",
+      companyHandle: "c1",
+      closesAt: null,
+      notes: "Ask about equity",
+      savedAt: expect.any(Date),
+    });
+    expect(await SavedJob.findAll("u1")).toEqual([saved]);
+  });
+
+  test("works: saving again replaces the notes", async function () {
+    await SavedJob.save("u1", jobId, "Ask about equity");
+    const saved = await SavedJob.save("u1", jobId);
+    expect(saved.notes).toBeNull();
+    expect((await SavedJob.findAll("u1")).length).toEqual(1);
+  });
+
+  test("works: doesn't apply to the job", async function () {
+    await SavedJob.save("u1", jobId);
+    const result = await db.query(
+          `SELECT * FROM applications WHERE username = 'u1'`);
+    expect(result.rows).toEqual([]);
+  });
+
+  test("not found if job id is not a number", async function () {
+    try {
+      await SavedJob.save("u1", "nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: nothing saved", async function () {
+    expect(await SavedJob.findAll("u1")).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await SavedJob.findAll("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await SavedJob.save("u1", jobId);
+    await SavedJob.remove("u1", jobId);
+    expect(await SavedJob.findAll("u1")).toEqual([]);
+  });
+
+  test("not found if not saved", async function () {
+    try {
+      await SavedJob.remove("u1", jobId);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,147 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+
+/** Related functions for saved searches.
+ *
+ * A saved search is a named set of job filters, shaped like filters in
+ * schemas/jobFilter.json. Each job made with Job.create afterwards is
+ * checked against every saved search; the ones it meets get a match,
+ * which stays unread until the user marks it read.
+ */
+
+class SavedSearch {
+  /** Save a search for a user.
+   *
+   * data should be { name, filters }
+   *
+   * Returns { id, name, filters, createdAt }
+   *
+   * Throws BadRequestError if minSalary is greater than maxSalary; a
+   * duplicate name or missing user fails the table's constraints (see the
+   * route).
+   **/
+
+  static async create(username, { name, filters = {} }) {
+    if (filters.minSalary > filters.maxSalary)
+      throw new BadRequestError("filters.maxSalary must not be less than filters.minSalary");
+
+    const result = await db.query(
+          `INSERT INTO saved_searches (username, name, filters)
+           VALUES ($1, $2, $3)
+           RETURNING id, name, filters, created_at AS "createdAt"`,
+        [username, name, filters]);
+
+    return result.rows[0];
+  }
+
+  /** Return a user's saved searches, in name order.
+   *
+   * Returns [{ id, name, filters, createdAt, unread }, ...]
+   *   where unread counts the search's unread matches
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async findAll(username) {
+    await this.#checkUser(username);
+    const result = await db.query(
+          `SELECT s.id,
+                  s.name,
+                  s.filters,
+                  s.created_at AS "createdAt",
+                  COUNT(m.job_id) FILTER (WHERE m.read_at IS NULL)::integer
+                    AS "unread"
+           FROM saved_searches s
+           LEFT JOIN saved_search_matches m ON m.search_id = s.id
+           WHERE s.username = $1
+           GROUP BY s.id
+           ORDER BY s.name`,
+        [username]);
+
+    return result.rows;
+  }
+
+  /** Delete one of a user's saved searches, with its matches; returns
+   *  undefined.
+   *
+   * Throws NotFoundError if the user has no such search.
+   **/
+
+  static async remove(username, id) {
+    if (isNaN(id)) throw new NotFoundError(`No saved search: ${id}`);
+    const result = await db.query(
+          `DELETE
+           FROM saved_searches
+           WHERE username = $1 AND id = $2
+           RETURNING id`,
+        [username, id]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No saved search: ${id}`);
+  }
+
+  /** Return the unread matches across a user's saved searches, newest
+   *  first.
+   *
+   * Returns [{ searchId, searchName, jobId, title, companyHandle,
+   *            matchedAt }, ...]
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async unreadMatches(username) {
+    await this.#checkUser(username);
+    const result = await db.query(
+          `SELECT s.id AS "searchId",
+                  s.name AS "searchName",
+                  j.id AS "jobId",
+                  j.title,
+                  j.company_handle AS "companyHandle",
+                  m.matched_at AS "matchedAt"
+           FROM saved_search_matches m
+           JOIN saved_searches s ON s.id = m.search_id
+           JOIN jobs j ON j.id = m.job_id
+           WHERE s.username = $1 AND m.read_at IS NULL
+           ORDER BY m.matched_at DESC, j.id DESC, s.id`,
+        [username]);
+
+    return result.rows;
+  }
+
+  /** Mark a user's unread matches read: all of them, or only those of
+   *  the search with id searchId.
+   *
+   * Returns the number of matches marked.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async markRead(username, searchId = null) {
+    await this.#checkUser(username);
+    const result = await db.query(
+          `UPDATE saved_search_matches m
+           SET read_at = CURRENT_TIMESTAMP
+           FROM saved_searches s
+           WHERE s.id = m.search_id
+             AND s.username = $1
+             AND ($2::integer IS NULL OR s.id = $2)
+             AND m.read_at IS NULL`,
+        [username, searchId]);
+
+    return result.rowCount;
+  }
+
+  /** Throw NotFoundError if there is no such user. */
+
+  static async #checkUser(username) {
+    const result = await db.query(
+          `SELECT username FROM users WHERE username = $1`,
+        [username]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+  }
+}
+
+
+module.exports = SavedSearch;
@@ -0,0 +1,206 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const SavedSearch = require("./savedSearch.js");
+const Job = require("./job.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const search = await SavedSearch.create("u1",
+      { name: "Remote dev", filters: { title: "dev", remote: "remote" } });
+    expect(search).toEqual({
+      id: expect.any(Number),
+      name: "Remote dev",
+      filters: { title: "dev", remote: "remote" },
+      createdAt: expect.any(Date),
+    });
+  });
+
+  test("bad request if minSalary is over maxSalary", async function () {
+    try {
+      await SavedSearch.create("u1",
+        { name: "Pay", filters: { minSalary: 2, maxSalary: 1 } });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** matching new jobs */
+
+describe("matches", function () {
+  let remoteDev, wellPaid;
+
+  beforeEach(async function () {
+    remoteDev = await SavedSearch.create("u1",
+      { name: "Remote dev", filters: { title: "dev", remote: "remote" } });
+    wellPaid = await SavedSearch.create("u1",
+      { name: "Well paid", filters: { minSalary: 100000 } });
+    await SavedSearch.create("u2", { name: "Anything", filters: {} });
+  });
+
+  test("works: new jobs are matched against each search", async function () {
+    const job = await Job.create({ title: "Developer", salaryMin: 120000,
+      equity: 0, company_handle: "c1", remote: "remote" });
+    await Job.create({ title: "Designer", salaryMin: 50000,
+      equity: 0, company_handle: "c2" });
+
+    const matches = await SavedSearch.unreadMatches("u1");
+    expect(matches).toEqual([
+      { searchId: remoteDev.id, searchName: "Remote dev", jobId: job.id,
+        title: "Developer", companyHandle: "c1", matchedAt: expect.any(Date) },
+      { searchId: wellPaid.id, searchName: "Well paid", jobId: job.id,
+        title: "Developer", companyHandle: "c1", matchedAt: expect.any(Date) },
+    ]);
+    expect((await SavedSearch.unreadMatches("u2")).length).toEqual(2);
+
+    const searches = await SavedSearch.findAll("u1");
+    expect(searches.map(s => [s.name, s.unread])).toEqual(
+      [["Remote dev", 1], ["Well paid", 1]]);
+  });
+
+  test("works: every filter", async function () {
+    const all = await SavedSearch.create("u1", { name: "All", filters: {
+      title: "dev", minSalary: 100000, maxSalary: 150000, hasEquity: true,
+      location: "denver", remote: "hybrid", employmentType: "contract",
+      postedSince: "2026-01-01", isOpen: true } });
+    const job = await Job.create({ title: "Developer", salaryMin: 120000,
+      equity: 0.1, company_handle: "c1", location: "Denver, CO",
+      remote: "hybrid", employmentType: "contract", postedAt: "2026-01-05" });
+    await Job.create({ title: "Developer", salaryMin: 120000,
+      equity: 0.1, company_handle: "c1", location: "Denver, CO",
+      remote: "hybrid", employmentType: "contract", postedAt: "2025-12-31" });
+
+    const matches = await SavedSearch.unreadMatches("u1");
+    expect(matches.filter(m => m.searchId === all.id).map(m => m.jobId))
+      .toEqual([job.id]);
+  });
+
+  test("works: each filter matches the same jobs as Job.findAll", async function () {
+    const filterCases = [
+      { title: "dev" },
+      { minSalary: 100000 },
+      { maxSalary: 100000 },
+      { hasEquity: true },
+      { hasEquity: false },
+      { location: "denver" },
+      { remote: "hybrid" },
+      { employmentType: "contract" },
+      { postedSince: "2026-01-01" },
+      { isOpen: true },
+      { isOpen: false },
+    ];
+    const searches = [];
+    for (const [i, filters] of filterCases.entries())
+      searches.push(await SavedSearch.create("u1", { name: `f${i}`, filters }));
+
+    const jobs = [
+      { title: "Developer", salaryMin: 120000, equity: 0.1,
+        location: "Denver, CO", remote: "hybrid", employmentType: "contract",
+        postedAt: "2026-01-05" },
+      { title: "Designer", salaryMin: 40, payPeriod: "hourly", equity: 0,
+        location: "Boston", postedAt: "2025-12-31", closesAt: "2026-01-01" },
+      { title: "DevOps", salaryMin: null, equity: null, remote: "remote" },
+    ];
+    const created = [];
+    for (const job of jobs)
+      created.push((await Job.create({ ...job, company_handle: "c1" })).id);
+
+    const matches = await SavedSearch.unreadMatches("u1");
+    for (const [i, filters] of filterCases.entries()) {
+      const saved = matches
+        .filter(m => m.searchId === searches[i].id)
+        .map(m => m.jobId);
+      const live = (await Job.findAll(filters, { limit: 100 })).jobs
+        .map(j => j.id)
+        .filter(id => created.includes(id));
+      expect([filters, saved.sort()]).toEqual([filters, live.sort()]);
+    }
+  });
+
+  test("works: a search with bad stored filters matches nothing", async function () {
+    await db.query(
+        `INSERT INTO saved_searches (username, name, filters)
+         VALUES ('u1', 'Bad', '{"postedSince": "2024-02-30", "minSalary": "x"}')`);
+    const job = await Job.create({ title: "Developer", salaryMin: 120000,
+      equity: 0, company_handle: "c1", remote: "remote" });
+
+    const matches = await SavedSearch.unreadMatches("u1");
+    expect(matches.map(m => [m.searchName, m.jobId])).toEqual(
+      [["Remote dev", job.id], ["Well paid", job.id]]);
+  });
+
+  test("works: mark read", async function () {
+    await Job.create({ title: "Developer", salaryMin: 120000,
+      equity: 0, company_handle: "c1", remote: "remote" });
+
+    expect(await SavedSearch.markRead("u1", wellPaid.id)).toEqual(1);
+    expect((await SavedSearch.unreadMatches("u1")).map(m => m.searchId))
+      .toEqual([remoteDev.id]);
+
+    expect(await SavedSearch.markRead("u1")).toEqual(1);
+    expect(await SavedSearch.unreadMatches("u1")).toEqual([]);
+    expect((await SavedSearch.unreadMatches("u2")).length).toEqual(1);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await SavedSearch.unreadMatches("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: no searches", async function () {
+    expect(await SavedSearch.findAll("u1")).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await SavedSearch.findAll("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    const search = await SavedSearch.create("u1", { name: "Any", filters: {} });
+    await SavedSearch.remove("u1", search.id);
+    expect(await SavedSearch.findAll("u1")).toEqual([]);
+  });
+
+  test("not found for another user's search", async function () {
+    const search = await SavedSearch.create("u1", { name: "Any", filters: {} });
+    try {
+      await SavedSearch.remove("u2", search.id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,103 @@
+"use strict";
+
+const db = require("../db");
+const { DEFAULT_PAGE_LIMIT } = require("../helpers/pagination");
+
+/** Options for ts_headline: matched words are wrapped in <mark> tags. */
+
+const HEADLINE_OPTIONS =
+  "StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15";
+
+/** SQL for `expr` with HTML's special characters escaped, so that the only
+ *  markup in a snippet is the <mark> tags ts_headline adds. */
+
+function escapeHtmlSql(expr) {
+  return [["&", "&amp;"], ["<", "&lt;"], [">", "&gt;"], ['"', "&quot;"],
+          ["'", "&#39;"]]
+    .reduce((sql, [ch, entity]) =>
+      `replace(${sql}, '${ch.replace("'", "''")}', '${entity}')`, expr);
+}
+
+/** Companies and jobs matching the web-search query $1, with a snippet
+ *  (using ts_headline options $2) and rank for each. */
+
+const MATCHES_SQL =
+      `WITH query AS (SELECT websearch_to_tsquery('english', $1) AS tsq)
+       SELECT 'company' AS "type",
+              c.handle,
+              c.name,
+              NULL::integer AS "jobId",
+              NULL AS "title",
+              ts_headline('english',
+                          ${escapeHtmlSql("c.name || ': ' || c.description")},
+                          q.tsq, $2) AS "snippet",
+              ts_rank(c.search_vector, q.tsq) AS "rank"
+       FROM companies c, query q
+       WHERE c.search_vector @@ q.tsq
+       UNION ALL
+       SELECT 'job',
+              c.handle,
+              c.name,
+              j.id,
+              j.title,
+              ts_headline('english',
+                          ${escapeHtmlSql("j.title || ' at ' || c.name")},
+                          q.tsq, $2),
+              ts_rank(j.search_vector, q.tsq)
+       FROM jobs j
+       JOIN companies c ON c.handle = j.company_handle, query q
+       WHERE j.search_vector @@ q.tsq`;
+
+/** Full-text search across companies and jobs. */
+
+class Search {
+  /** Search companies (name, description) and jobs (title, company name)
+   *  for q, best matches first.
+   *
+   * q is in web-search syntax: words, "quoted phrases", OR, and -excluded.
+   * page is { limit, offset }; limit defaults to DEFAULT_PAGE_LIMIT.
+   *
+   * Returns { results, total }
+   *   where results is a mix of
+   *     { type: "company", handle, name, snippet, rank } and
+   *     { type: "job", id, title, companyHandle, companyName, snippet, rank },
+   *   snippet is HTML: the text is escaped and the matched words are
+   *   highlighted with <mark> tags
+   *   and total counts every match
+   **/
+
+  static async find(q, { limit = DEFAULT_PAGE_LIMIT, offset = 0 } = {}) {
+    const result = await db.query(
+          `${MATCHES_SQL}
+           ORDER BY rank DESC, type, handle, "jobId"
+           LIMIT $3 OFFSET $4`,
+        [q, HEADLINE_OPTIONS, limit, offset]);
+    const totalRes = await db.query(
+          `SELECT COUNT(*)::integer AS "total"
+           FROM (${MATCHES_SQL}) AS matches`,
+        [q, HEADLINE_OPTIONS]);
+
+    const results = result.rows.map(r => r.type === "company" ?
+      ({ 
+        type: r.type, 
+        handle: r.handle, 
+        name: r.name, 
+        snippet: r.snippet, 
+        rank: r.rank 
+      }) :
+      ({
+        type: r.type,
+        id: r.jobId,
+        title: r.title,
+        companyHandle: r.handle,
+        companyName: r.name,
+        snippet: r.snippet,
+        rank: r.rank
+      }));
+
+    return { results, total: totalRes.rows[0].total };
+  }
+}
+
+
+module.exports = Search;
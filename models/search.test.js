@@ -0,0 +1,99 @@
+"use strict";
+
+const db = require("../db.js");
+const Search = require("./search.js");
+const Company = require("./company.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function addSearchData() {
+  await db.query(`
+    INSERT INTO companies(handle, name, num_employees, description)
+    VALUES ('rocket', 'Rocket Labs', 10, 'We build engines for rockets.'),
+           ('bakery', 'Bread Co', 5, 'Fresh loaves baked every morning.')`);
+  await db.query(`
+    INSERT INTO jobs(title, salary_min, equity, company_handle)
+    VALUES ('Rocket Engineer', 100, NULL, 'rocket'),
+           ('Baker', 50, NULL, 'bakery')`);
+}
+
+/************************************** find */
+
+describe("find", function () {
+  test("works: mixed, ranked results", async function () {
+    await addSearchData();
+    const { results, total } = await Search.find("rocket");
+    expect(total).toEqual(2);
+    expect(results).toEqual(expect.arrayContaining([
+      {
+        type: "company",
+        handle: "rocket",
+        name: "Rocket Labs",
+        snippet: expect.stringContaining("<mark>Rocket</mark>"),
+        rank: expect.any(Number),
+      },
+      {
+        type: "job",
+        id: expect.any(Number),
+        title: "Rocket Engineer",
+        companyHandle: "rocket",
+        companyName: "Rocket Labs",
+        snippet: expect.stringContaining("<mark>Rocket</mark>"),
+        rank: expect.any(Number),
+      },
+    ]));
+    expect(results[0].rank).toBeGreaterThanOrEqual(results[1].rank);
+  });
+
+  test("works: matches other word forms and orders", async function () {
+    await addSearchData();
+    const { results } = await Search.find("rockets build");
+    expect(results.map(r => r.type)).toEqual(["company"]);
+
+    const { results: plural } = await Search.find("bakes mornings");
+    expect(plural.map(r => r.name)).toEqual(["Bread Co"]);
+  });
+
+  test("works: jobs match on company name", async function () {
+    await addSearchData();
+    const { results } = await Search.find("bread");
+    expect(results.map(r => r.type).sort()).toEqual(["company", "job"]);
+  });
+
+  test("works: job search follows company renames", async function () {
+    await addSearchData();
+    await Company.update("bakery", { name: "Pastry Co" });
+    const { results } = await Search.find("pastry");
+    expect(results.map(r => r.type).sort()).toEqual(["company", "job"]);
+  });
+
+  test("works: limit and offset", async function () {
+    await addSearchData();
+    const { results, total } = await Search.find("rocket", { limit: 1, offset: 1 });
+    expect(results.length).toEqual(1);
+    expect(total).toEqual(2);
+  });
+
+  test("works: no matches", async function () {
+    expect(await Search.find("nothing-matches-this")).toEqual(
+      { results: [], total: 0 });
+  });
+
+  test("works: snippets escape HTML in the text", async function () {
+    await db.query(`
+      INSERT INTO jobs(title, salary_min, equity, company_handle)
+      VALUES ('<img src=x onerror=alert(1)> Engineer', 100, NULL, 'c1')`);
+    const { results } = await Search.find("engineer");
+    expect(results[0].snippet).toEqual(
+        "&lt;img src=x onerror=alert(1)&gt; <mark>Engineer</mark> at C1");
+  });
+});
@@ -0,0 +1,33 @@
+"use strict";
+
+const db = require("../db");
+
+/** Related functions for skills.
+ *
+ * Skills are shared by user profiles and job listings. Names match
+ * whatever their case: "SQL" and "sql" are the same skill, kept under the
+ * name it was first given.
+ */
+
+class Skill {
+  /** Return the ids of the named skills, adding any not seen before. */
+
+  static async idsFor(names) {
+    await db.query(
+          `INSERT INTO skills (name)
+           SELECT DISTINCT ON (lower(name)) name
+           FROM unnest($1::text[]) AS name
+           ON CONFLICT ((lower(name))) DO NOTHING`,
+        [names]);
+    const result = await db.query(
+          `SELECT id
+           FROM skills
+           WHERE lower(name) = ANY ($1::text[])`,
+        [names.map(n => n.toLowerCase())]);
+
+    return result.rows.map(s => s.id);
+  }
+}
+
+
+module.exports = Skill;
@@ -0,0 +1,37 @@
+"use strict";
+
+const db = require("../db.js");
+const Skill = require("./skill.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** idsFor */
+
+describe("idsFor", function () {
+  test("works: adds new skills once", async function () {
+    const ids = await Skill.idsFor(["Go", "go", "Rust"]);
+    expect(ids.length).toEqual(2);
+
+    const result = await db.query(
+          `SELECT name FROM skills WHERE id = ANY ($1) ORDER BY name`, [ids]);
+    expect(result.rows.map(s => s.name)).toEqual(["Go", "Rust"]);
+  });
+
+  test("works: finds existing skills whatever their case", async function () {
+    const [id] = await Skill.idsFor(["TypeScript"]);
+    expect(await Skill.idsFor(["typescript"])).toEqual([id]);
+  });
+
+  test("works: no skills", async function () {
+    expect(await Skill.idsFor([])).toEqual([]);
+  });
+});
@@ -0,0 +1,217 @@
+"use strict";
+
+const crypto = require("crypto");
+
+const db = require("../db");
+const {
+  NotFoundError,
+  BadRequestError,
+  UnauthorizedError,
+} = require("../expressError");
+const { hashToken } = require("../helpers/tokens");
+const { generateSecret, matchStep, provisioningUri } = require("../helpers/totp");
+const { TOTP_ISSUER } = require("../config");
+
+const BACKUP_CODE_COUNT = 10;
+
+/** Return a new backup code, like "3f9c-a41b". */
+
+function newBackupCode() {
+  return crypto.randomBytes(4).toString("hex").replace(/^(.{4})/, "$1-");
+}
+
+/** Related functions for two-factor authentication (TOTP).
+ *
+ * Setting up takes two steps: begin makes a secret for the user's
+ * authenticator app, and enable turns 2FA on once the app gives a code
+ * for it. Enabling also issues single-use backup codes, for when the app
+ * is lost; only their sha256 hashes are stored.
+ */
+
+class TwoFactor {
+  /** Start setting up 2FA for a user, replacing any unconfirmed secret.
+   *
+   * Returns { secret, provisioningUri }, for the user to add to their
+   *   authenticator app (provisioningUri is usually shown as a QR code)
+   *
+   * Throws NotFoundError if user not found.
+   * Throws BadRequestError if 2FA is already enabled.
+   **/
+
+  static async begin(username) {
+    const secret = generateSecret();
+    const result = await db.query(
+          `INSERT INTO user_totp (username, secret)
+           SELECT username, $2 FROM users WHERE username = $1
+           ON CONFLICT (username) DO UPDATE SET secret = EXCLUDED.secret
+             WHERE user_totp.enabled_at IS NULL
+           RETURNING username`,
+        [username, secret]);
+
+    if (!result.rows[0]) {
+      await this.#checkUser(username);
+      throw new BadRequestError("Two-factor authentication is already enabled");
+    }
+
+    return { secret, provisioningUri: provisioningUri(secret, username, TOTP_ISSUER) };
+  }
+
+  /** Turn on 2FA for a user, given a code from their authenticator app.
+   *
+   * Returns a list of new backup codes; they can't be shown again.
+   *
+   * Throws NotFoundError if user not found.
+   * Throws BadRequestError if setup wasn't begun, 2FA is already enabled
+   * or the code is wrong.
+   **/
+
+  static async enable(username, code) {
+    const result = await db.query(
+          `SELECT secret, enabled_at AS "enabledAt"
+           FROM user_totp
+           WHERE username = $1`,
+        [username]);
+
+    const totp = result.rows[0];
+
+    if (!totp) {
+      await this.#checkUser(username);
+      throw new BadRequestError("Begin two-factor setup first");
+    }
+    if (totp.enabledAt)
+      throw new BadRequestError("Two-factor authentication is already enabled");
+
+    const step = matchStep(totp.secret, code);
+    if (step === null) throw new BadRequestError("Invalid code");
+
+    await db.query(
+          `UPDATE user_totp
+           SET enabled_at = CURRENT_TIMESTAMP, last_step = $2
+           WHERE username = $1`,
+        [username, step]);
+
+    return await this.#newBackupCodes(username);
+  }
+
+  /** Return true if a user has 2FA enabled. */
+
+  static async isEnabled(username) {
+    const result = await db.query(
+          `SELECT username
+           FROM user_totp
+           WHERE username = $1 AND enabled_at IS NOT NULL`,
+        [username]);
+
+    return !!result.rows[0];
+  }
+
+  /** Check a code from a user's authenticator app, or one of their backup
+   *  codes, which is then used up; returns undefined.
+   *
+   * A code from the app is only accepted once, and only if it's newer
+   * than the last one used.
+   *
+   * Throws UnauthorizedError if the code is wrong or 2FA isn't enabled.
+   **/
+
+  static async verify(username, code) {
+    const result = await db.query(
+          `SELECT secret, last_step AS "lastStep"
+           FROM user_totp
+           WHERE username = $1 AND enabled_at IS NOT NULL`,
+        [username]);
+
+    const totp = result.rows[0];
+
+    if (totp) {
+      const step = matchStep(totp.secret, code);
+      if (step !== null && step > totp.lastStep) {
+        const used = await db.query(
+              `UPDATE user_totp
+               SET last_step = $2
+               WHERE username = $1 AND last_step < $2
+               RETURNING username`,
+            [username, step]);
+        if (used.rows[0]) return;
+      }
+
+      const backup = await db.query(
+            `UPDATE totp_backup_codes
+             SET used_at = CURRENT_TIMESTAMP
+             WHERE id = (SELECT id
+                         FROM totp_backup_codes
+                         WHERE username = $1
+                           AND code_hash = $2
+                           AND used_at IS NULL
+                         LIMIT 1)
+             RETURNING id`,
+          [username, hashToken(String(code).toLowerCase())]);
+      if (backup.rows[0]) return;
+    }
+
+    throw new UnauthorizedError("Invalid two-factor code");
+  }
+
+  /** Replace a user's backup codes with new ones.
+   *
+   * Returns the list of new codes.
+   *
+   * Throws BadRequestError if 2FA isn't enabled.
+   **/
+
+  static async regenerateBackupCodes(username) {
+    if (!await this.isEnabled(username))
+      throw new BadRequestError("Two-factor authentication is not enabled");
+    return await this.#newBackupCodes(username);
+  }
+
+  /** Turn off 2FA for a user, removing their secret and backup codes;
+   *  returns undefined.
+   *
+   * Throws BadRequestError if 2FA isn't enabled.
+   **/
+
+  static async disable(username) {
+    const result = await db.query(
+          `DELETE FROM user_totp
+           WHERE username = $1 AND enabled_at IS NOT NULL
+           RETURNING username`,
+        [username]);
+
+    if (!result.rows[0])
+      throw new BadRequestError("Two-factor authentication is not enabled");
+
+    await db.query(
+          `DELETE FROM totp_backup_codes WHERE username = $1`,
+        [username]);
+  }
+
+  /** Store a new set of backup codes for a user, dropping the old ones;
+   *  returns the codes. */
+
+  static async #newBackupCodes(username) {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, newBackupCode);
+    await db.query(
+          `DELETE FROM totp_backup_codes WHERE username = $1`,
+        [username]);
+    await db.query(
+          `INSERT INTO totp_backup_codes (username, code_hash)
+           SELECT $1, unnest($2::text[])`,
+        [username, codes.map(hashToken)]);
+
+    return codes;
+  }
+
+  /** Throw NotFoundError if there is no such user. */
+
+  static async #checkUser(username) {
+    const result = await db.query(
+          `SELECT username FROM users WHERE username = $1`,
+        [username]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+  }
+}
+
+
+module.exports = TwoFactor;
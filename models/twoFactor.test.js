@@ -0,0 +1,147 @@
+"use strict";
+
+const {
+  BadRequestError,
+  NotFoundError,
+  UnauthorizedError,
+} = require("../expressError");
+const db = require("../db.js");
+const TwoFactor = require("./twoFactor.js");
+const { totpCode, timeStep } = require("../helpers/totp");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Set up 2FA for u1 and return { secret, backupCodes }. The code used
+ *  to enable it is from the previous time step, so the current one is
+ *  still unused. */
+
+async function enrolled() {
+  const { secret } = await TwoFactor.begin("u1");
+  const backupCodes = await TwoFactor.enable(
+    "u1", totpCode(secret, timeStep() - 1));
+  return { secret, backupCodes };
+}
+
+/************************************** begin */
+
+describe("begin", function () {
+  test("works", async function () {
+    const setup = await TwoFactor.begin("u1");
+    expect(setup).toEqual({
+      secret: expect.stringMatching(/^[A-Z2-7]{32}$/),
+      provisioningUri: expect.stringContaining(
+        `otpauth://totp/Jobly%3Au1?secret=${setup.secret}&issuer=Jobly`),
+    });
+    expect(await TwoFactor.isEnabled("u1")).toEqual(false);
+  });
+
+  test("works: starting again replaces the secret", async function () {
+    const first = await TwoFactor.begin("u1");
+    const second = await TwoFactor.begin("u1");
+    expect(second.secret).not.toEqual(first.secret);
+  });
+
+  test("bad request if already enabled", async function () {
+    await enrolled();
+    await expect(TwoFactor.begin("u1")).rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(TwoFactor.begin("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** enable */
+
+describe("enable", function () {
+  test("works", async function () {
+    const { backupCodes } = await enrolled();
+    expect(backupCodes.length).toEqual(10);
+    expect(backupCodes[0]).toMatch(/^[0-9a-f]{4}-[0-9a-f]{4}$/);
+    expect(await TwoFactor.isEnabled("u1")).toEqual(true);
+  });
+
+  test("bad request for wrong code", async function () {
+    await TwoFactor.begin("u1");
+    await expect(TwoFactor.enable("u1", "000000")).rejects.toThrow("Invalid code");
+  });
+
+  test("bad request if not begun", async function () {
+    await expect(TwoFactor.enable("u1", "000000")).rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** verify */
+
+describe("verify", function () {
+  test("works: app codes are single-use", async function () {
+    const { secret } = await enrolled();
+    const code = totpCode(secret, timeStep());
+    await TwoFactor.verify("u1", code);
+    await expect(TwoFactor.verify("u1", code)).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth for codes older than the last one used", async function () {
+    const { secret } = await enrolled();
+    await expect(TwoFactor.verify("u1", totpCode(secret, timeStep() - 1)))
+      .rejects.toThrow(UnauthorizedError);
+  });
+
+  test("works: backup codes are single-use", async function () {
+    const { backupCodes } = await enrolled();
+    await TwoFactor.verify("u1", backupCodes[3].toUpperCase());
+    await expect(TwoFactor.verify("u1", backupCodes[3]))
+      .rejects.toThrow(UnauthorizedError);
+    await TwoFactor.verify("u1", backupCodes[4]);
+  });
+
+  test("unauth if 2FA not enabled", async function () {
+    const { secret } = await TwoFactor.begin("u1");
+    await expect(TwoFactor.verify("u1", totpCode(secret, timeStep())))
+      .rejects.toThrow(UnauthorizedError);
+  });
+});
+
+/************************************** regenerateBackupCodes */
+
+describe("regenerateBackupCodes", function () {
+  test("works", async function () {
+    const { backupCodes } = await enrolled();
+    const fresh = await TwoFactor.regenerateBackupCodes("u1");
+    expect(fresh.length).toEqual(10);
+    await expect(TwoFactor.verify("u1", backupCodes[0]))
+      .rejects.toThrow(UnauthorizedError);
+    await TwoFactor.verify("u1", fresh[0]);
+  });
+
+  test("bad request if 2FA not enabled", async function () {
+    await expect(TwoFactor.regenerateBackupCodes("u1"))
+      .rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** disable */
+
+describe("disable", function () {
+  test("works", async function () {
+    await enrolled();
+    await TwoFactor.disable("u1");
+    expect(await TwoFactor.isEnabled("u1")).toEqual(false);
+
+    const codes = await db.query(`SELECT id FROM totp_backup_codes`);
+    expect(codes.rows).toEqual([]);
+  });
+
+  test("bad request if 2FA not enabled", async function () {
+    await expect(TwoFactor.disable("u1")).rejects.toThrow(BadRequestError);
+  });
+});
@@ -3,20 +3,44 @@
 const db = require("../db");
 const bcrypt = require("bcrypt");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const {
+  canTransition,
+  RESUME_TYPES,
+  resumeMatchesType,
+} = require("../helpers/applications");
+const { getStorage, newKey } = require("../helpers/storage");
+const { sqlForPage, pageOf, sortKeys } = require("../helpers/pagination");
+const RefreshToken = require("./refreshToken");
+const Profile = require("./profile");
+const SavedJob = require("./savedJob");
+const Mail = require("./mail");
 const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
 } = require("../expressError");
 
-const { BCRYPT_WORK_FACTOR } = require("../config.js");
+const {
+  BCRYPT_WORK_FACTOR,
+  RESUME_MAX_BYTES,
+  REQUIRE_VERIFIED_EMAIL,
+} = require("../config.js");
+
+/** Fields users can be sorted on; see sortKeys in helpers/pagination.js. */
+
+const USER_SORTABLE = {
+  username: { col: "username" },
+  firstName: { col: "first_name" },
+  lastName: { col: "last_name" },
+  email: { col: "email" },
+};
 
 /** Related functions for users. */
 
 class User {
   /** authenticate user with username, password.
    *
-   * Returns { username, first_name, last_name, email, is_admin }
+   * Returns { username, firstName, lastName, email, role, isAdmin, tokenVersion }
    *
    * Throws UnauthorizedError is user not found or wrong password.
    **/
@@ -29,7 +53,9 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  role,
+                  role = 'admin' AS "isAdmin",
+                  token_version AS "tokenVersion"
            FROM users
            WHERE username = $1`,
         [username],
@@ -49,15 +75,15 @@ class User {
     throw new UnauthorizedError("Invalid username/password");
   }
 
-  /** Register user with data.
+  /** Register user with data; role defaults to "candidate".
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * Returns { username, firstName, lastName, email, role, isAdmin }
    *
    * Throws BadRequestError on duplicates.
    **/
 
   static async register(
-      { username, password, firstName, lastName, email, isAdmin }) {
+      { username, password, firstName, lastName, email, role = "candidate" }) {
     const duplicateCheck = await db.query(
           `SELECT username
            FROM users
@@ -78,16 +104,16 @@ class User {
             first_name,
             last_name,
             email,
-            is_admin)
+            role)
            VALUES ($1, $2, $3, $4, $5, $6)
-           RETURNING username, first_name AS "firstName", last_name AS "lastName", email, is_admin AS "isAdmin"`,
+           RETURNING username, first_name AS "firstName", last_name AS "lastName", email, role, role = 'admin' AS "isAdmin"`,
         [
           username,
           hashedPassword,
           firstName,
           lastName,
           email,
-          isAdmin,
+          role,
         ],
     );
 
@@ -96,31 +122,55 @@ class User {
     return user;
   }
 
-  /** Find all users.
+  /** Find all users, one page at a time.
+   *
+   * page is { limit, offset, cursor, sort }; see helpers/pagination.js.
+   * sort can use username (the default), firstName, lastName and email.
    *
-   * Returns [{ username, first_name, last_name, email, is_admin }, ...]
+   * Returns { users, total, next }
+   *   where users is [{ username, firstName, lastName, email, role, isAdmin, jobs }, ...],
+   *   jobs is [{ id, title, salaryMin, salaryMax, currency,
+   *                  payPeriod, equity, companyHandle, state }, ...],
+   *   total counts every user
+   *   and next is the cursor for the following page, or null
    **/
 
-  static async findAll() {
+  static async findAll(page={}) {
+    const orderBy = sortKeys(page.sort, USER_SORTABLE, "username");
+    const pageSql = sqlForPage(page, orderBy, "");
     const result = await db.query(
-        `SELECT 
+        `WITH page AS (
+            SELECT username, first_name, last_name, email, role
+            FROM users
+            ${pageSql.whereClause}
+            ${pageSql.orderClause}
+            ${pageSql.limitClause})
+          SELECT 
             u.username, 
             u.first_name AS "firstName", 
             u.last_name AS "lastName", 
             u.email, 
-            u.is_admin AS "isAdmin", 
+            u.role,
+            u.role = 'admin' AS "isAdmin", 
             j.id AS "jobId",
             j.title,
-            j.salary,
+            j.salary_min AS "salaryMin",
+            j.salary_max AS "salaryMax",
+            j.currency,
+            j.pay_period AS "payPeriod",
             j.equity,
-            j.company_handle AS "companyHandle"
-          FROM users u 
+            j.company_handle AS "companyHandle",
+            a.state
+          FROM page u 
           LEFT JOIN applications a
           ON a.username = u.username
           LEFT JOIN jobs j 
           ON j.id = a.job_id
-          ORDER BY username`
+          ${pageSql.orderClause}`,
+        pageSql.values
     );
+    const totalRes = await db.query(
+        `SELECT COUNT(*)::integer AS "total" FROM users`);
 
     const users = result.rows.reduce((arr,user) => {
       if (!arr.find((u) => u.username === user.username)) {
@@ -129,14 +179,19 @@ class User {
             firstName: user.firstName,
             lastName: user.lastName,
             email: user.email,
+            role: user.role,
             isAdmin: user.isAdmin,
             jobs: user.jobId ? 
               result.rows.map(j => j.username === user.username ? 
                 { id: j.jobId, 
                   title: j.title, 
-                  salary: j.salary, 
+                  salaryMin: j.salaryMin, 
+                  salaryMax: j.salaryMax, 
+                  currency: j.currency, 
+                  payPeriod: j.payPeriod, 
                   equity: j.equity, 
-                  companyHandle: j.companyHandle
+                  companyHandle: j.companyHandle,
+                  state: j.state
                 } : null)
                 .filter(j => j) : []
           });
@@ -144,13 +199,18 @@ class User {
       return arr;
     }, []);
 
-    return users;
+    const { rows, next } = pageOf(users, pageSql.limit, orderBy);
+    return { users: rows, total: totalRes.rows[0].total, next };
   }
 
   /** Given a username, return data about user.
    *
-   * Returns { username, first_name, last_name, is_admin, jobs }
-   *   where jobs is { id, title, company_handle, company_name, state }
+   * Returns { username, firstName, lastName, email, emailVerified, role,
+   *           isAdmin, jobs, saved, profile }
+   *   where jobs is [{ id, title, salaryMin, salaryMax, currency,
+   *                  payPeriod, equity, companyHandle, state }, ...],
+   *   saved is the user's saved jobs (see models/savedJob.js)
+   *   and profile is as described in models/profile.js
    *
    * Throws NotFoundError if user not found.
    **/
@@ -162,12 +222,18 @@ class User {
               u.first_name AS "firstName", 
               u.last_name AS "lastName", 
               u.email, 
-              u.is_admin AS "isAdmin", 
+              u.email_verified AS "emailVerified",
+              u.role,
+              u.role = 'admin' AS "isAdmin", 
               j.id AS "jobId",
               j.title,
-              j.salary,
+              j.salary_min AS "salaryMin",
+              j.salary_max AS "salaryMax",
+              j.currency,
+              j.pay_period AS "payPeriod",
               j.equity,
-              j.company_handle AS "companyHandle"
+              j.company_handle AS "companyHandle",
+              a.state
             FROM users u 
             LEFT JOIN applications a
             ON a.username = u.username
@@ -187,19 +253,28 @@ class User {
           firstName: user.firstName,
           lastName: user.lastName,
           email: user.email,
+          emailVerified: user.emailVerified,
+          role: user.role,
           isAdmin: user.isAdmin,
           jobs: userRes.rows.map(j => j.jobId ? 
             ({ 
               id: j.jobId, 
               title: j.title, 
-              salary: j.salary, 
+              salaryMin: j.salaryMin, 
+              salaryMax: j.salaryMax, 
+              currency: j.currency, 
+              payPeriod: j.payPeriod, 
               equity: j.equity,
-              companyHandle: j.companyHandle
+              companyHandle: j.companyHandle,
+              state: j.state
             }) : null)
             .filter(j => j)
         });
     }, '');
 
+    user.saved = await SavedJob.findAll(username);
+    user.profile = await Profile.get(username);
+
     return user;
   }
 
@@ -209,13 +284,18 @@ class User {
    * all the fields; this only changes provided ones.
    *
    * Data can include:
-   *   { firstName, lastName, password, email, isAdmin }
+   *   { firstName, lastName, password, email, role }
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * Returns { username, firstName, lastName, email, emailVerified, role,
+   *           isAdmin }
    *
    * Throws NotFoundError if not found.
    *
-   * WARNING: this function can set a new password or make a user an admin.
+   * Changing the password or the role revokes every access and
+   * refresh token already issued to the user. Changing the email marks it
+   * unverified.
+   *
+   * WARNING: this function can set a new password or change a user's role.
    * Callers of this function must be certain they have validated inputs to this
    * or a serious security risks are opened.
    */
@@ -225,32 +305,56 @@ class User {
       data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
     }
 
-    const { setCols, values } = sqlForPartialUpdate(
+    const revokeTokens = data.password !== undefined ||
+      (data.role !== undefined && 
+        await this.#role(username) !== data.role);
+
+    let { setCols, values } = sqlForPartialUpdate(
         data,
         {
           firstName: "first_name",
           lastName: "last_name",
-          isAdmin: "is_admin",
         });
+    // a new address needs verifying again; on the right, email is the old one
+    if (data.email !== undefined) {
+      values.push(data.email);
+      setCols += `, "email_verified" = "email_verified" AND "email" = $${values.length}`;
+    }
     const usernameVarIdx = "$" + (values.length + 1);
+    const versionCol = revokeTokens ? 
+      ', "token_version"="token_version" + 1' : '';
 
     const querySql = `UPDATE users 
-                      SET ${setCols} 
+                      SET ${setCols}${versionCol} 
                       WHERE username = ${usernameVarIdx} 
                       RETURNING username,
                                 first_name AS "firstName",
                                 last_name AS "lastName",
                                 email,
-                                is_admin AS "isAdmin"`;
+                                email_verified AS "emailVerified",
+                                role,
+                                role = 'admin' AS "isAdmin"`;
     const result = await db.query(querySql, [...values, username]);
     const user = result.rows[0];
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (revokeTokens) await RefreshToken.revokeAll(username);
 
     delete user.password;
     return user;
   }
 
+  /** Return the user's current role, or undefined if no such user. */
+
+  static async #role(username) {
+    const result = await db.query(
+          `SELECT role
+           FROM users
+           WHERE username = $1`,
+        [username]);
+    return result.rows[0] && result.rows[0].role;
+  }
+
   /** Delete given user from database; returns undefined. */
 
   static async remove(username) {
@@ -267,31 +371,301 @@ class User {
   }
 
   /** User applys to job based on job-id and username; 
-   *  update db, return username and job-id.
+   *  update db, return username, job-id and application state.
+   *
+   * data should be { username, id, state, coverLetter }; state is optional
+   * and defaults to "applied" ("interested" saves a job before applying),
+   * and coverLetter is optional text. Applying (state "applied") queues
+   * an "application received" email to the user.
    *
-   * data should be { username, id }
+   * With requireVerified (by default, REQUIRE_VERIFIED_EMAIL in config),
+   * only users who have verified their email address may apply.
    *
-   * Returns { username, id }
+   * Returns { username, id, state, coverLetter }
    * 
    * Throws NotFoundError id is not a number or if user not found.
+   * Throws UnauthorizedError if the user's email must be, but isn't,
+   * verified.
    *
    * */
 
-  static async apply({ username, id }) {
+  static async apply({ username, id, state = "applied", coverLetter = null,
+                       requireVerified = REQUIRE_VERIFIED_EMAIL }) {
     if (isNaN(id)) throw new NotFoundError(`No job: ${id}`);
+    if (requireVerified) {
+      const verifiedRes = await db.query(
+            `SELECT email_verified AS "emailVerified"
+             FROM users
+             WHERE username = $1`,
+          [username]);
+      const found = verifiedRes.rows[0];
+      if (!found) throw new NotFoundError(`No user: ${username}`);
+      if (!found.emailVerified)
+        throw new UnauthorizedError("Verify your email address before applying");
+    }
     const result = await db.query(
           `INSERT INTO applications 
-              (username, job_id)
-            VALUES ($1, $2)
-            RETURNING username, job_id AS "id"`,
-          [ username, id ]);
+              (username, job_id, state, cover_letter)
+            VALUES ($1, $2, $3, $4)
+            RETURNING username, job_id AS "id", state, 
+                      cover_letter AS "coverLetter"`,
+          [ username, id, state, coverLetter ]);
 
     const user = result.rows[0];
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
 
+    await db.query(
+          `INSERT INTO application_events
+              (username, job_id, to_state, changed_by)
+            VALUES ($1, $2, $3, $1)`,
+          [ username, id, state ]);
+
+    if (state === "applied")
+      await this.#notifyApplicant(username, id, "applicationReceived");
+
     return user;
   }
+
+  /** Given a username and job-id, return the application and the
+   *  history of its state changes, oldest first.
+   *
+   * Returns { username, jobId, state, coverLetter, resume, createdAt,
+   *           updatedAt, history }
+   *   where resume is { filename, contentType, size, uploadedAt }, or null
+   *   if none was uploaded,
+   *   and history is [{ fromState, toState, changedBy, changedAt }, ...]
+   *
+   * Throws NotFoundError if no such application.
+   **/
+
+  static async getApplication(username, id) {
+    if (isNaN(id)) throw new NotFoundError(`No job: ${id}`);
+    const appRes = await db.query(
+          `SELECT username,
+                  job_id AS "jobId",
+                  state,
+                  cover_letter AS "coverLetter",
+                  resume_key AS "resumeKey",
+                  resume_filename AS "filename",
+                  resume_type AS "contentType",
+                  resume_size AS "size",
+                  resume_uploaded_at AS "uploadedAt",
+                  created_at AS "createdAt",
+                  updated_at AS "updatedAt"
+           FROM applications
+           WHERE username = $1 AND job_id = $2`,
+        [username, id]);
+
+    const row = appRes.rows[0];
+
+    if (!row) 
+      throw new NotFoundError(`No application: ${username}, job ${id}`);
+
+    const application = {
+      username: row.username,
+      jobId: row.jobId,
+      state: row.state,
+      coverLetter: row.coverLetter,
+      resume: row.resumeKey ? 
+        { filename: row.filename, 
+          contentType: row.contentType, 
+          size: row.size, 
+          uploadedAt: row.uploadedAt } : null,
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt,
+    };
+
+    const historyRes = await db.query(
+          `SELECT from_state AS "fromState",
+                  to_state AS "toState",
+                  changed_by AS "changedBy",
+                  changed_at AS "changedAt"
+           FROM application_events
+           WHERE username = $1 AND job_id = $2
+           ORDER BY changed_at, id`,
+        [username, id]);
+
+    application.history = historyRes.rows;
+
+    return application;
+  }
+
+  /** Move an application to a new state, recording who made the change.
+   *
+   * Allowed moves are listed in helpers/applications.js. The user is
+   * emailed when the application moves to "applied", and when anyone else
+   * changes its state.
+   *
+   * Returns { username, jobId, state, createdAt, updatedAt }
+   *
+   * Throws NotFoundError if no such application.
+   * Throws BadRequestError if the move is not allowed from the current state.
+   **/
+
+  static async setApplicationState(username, id, state, changedBy) {
+    if (isNaN(id)) throw new NotFoundError(`No job: ${id}`);
+    const currentRes = await db.query(
+          `SELECT state
+           FROM applications
+           WHERE username = $1 AND job_id = $2`,
+        [username, id]);
+
+    const current = currentRes.rows[0];
+
+    if (!current) 
+      throw new NotFoundError(`No application: ${username}, job ${id}`);
+    if (!canTransition(current.state, state))
+      throw new BadRequestError(
+        `Cannot move application from ${current.state} to ${state}`);
+
+    const result = await db.query(
+          `UPDATE applications
+           SET state = $3, updated_at = CURRENT_TIMESTAMP
+           WHERE username = $1 AND job_id = $2 AND state = $4
+           RETURNING username,
+                     job_id AS "jobId",
+                     state,
+                     created_at AS "createdAt",
+                     updated_at AS "updatedAt"`,
+        [username, id, state, current.state]);
+
+    const application = result.rows[0];
+
+    if (!application)
+      throw new BadRequestError("Application changed state; please retry");
+
+    await db.query(
+          `INSERT INTO application_events
+              (username, job_id, from_state, to_state, changed_by)
+            VALUES ($1, $2, $3, $4, $5)`,
+          [ username, id, current.state, state, changedBy ]);
+
+    if (state === "applied")
+      await this.#notifyApplicant(username, id, "applicationReceived");
+    else if (changedBy !== username)
+      await this.#notifyApplicant(username, id, "applicationStatus", { state });
+
+    return application;
+  }
+
+  /** Queue the named mail template to the user about their application
+   *  to job id. */
+
+  static async #notifyApplicant(username, id, template, data = {}) {
+    const result = await db.query(
+          `SELECT u.email,
+                  u.first_name AS "firstName",
+                  j.title AS "jobTitle",
+                  c.name AS "companyName"
+           FROM users u
+           JOIN jobs j ON j.id = $2
+           JOIN companies c ON c.handle = j.company_handle
+           WHERE u.username = $1`,
+        [username, id]);
+
+    const { email, ...details } = result.rows[0];
+    await Mail.enqueue(template, email, { ...details, ...data });
+  }
+
+  /** Withdraw a user's application to a job. The application is kept,
+   *  marked withdrawn, so the hiring side still sees it and its history.
+   *
+   * changedBy defaults to the applicant.
+   *
+   * Returns { username, jobId, state, createdAt, updatedAt }
+   *
+   * Throws NotFoundError if no such application.
+   * Throws BadRequestError if it is already rejected or withdrawn.
+   **/
+
+  static async unapply(username, id, changedBy = username) {
+    return await this.setApplicationState(username, id, "withdrawn", changedBy);
+  }
+
+  /** Attach a resume to a user's application, replacing any earlier one.
+   *
+   * resume should be { data, filename, contentType }, where data is a
+   * Buffer; the file goes to storage (see helpers/storage.js).
+   *
+   * Returns { filename, contentType, size, uploadedAt }
+   *
+   * Throws NotFoundError if no such application.
+   * Throws BadRequestError if the file is empty, larger than
+   * RESUME_MAX_BYTES, not one of RESUME_TYPES, or its contents aren't of
+   * the type given (see resumeMatchesType in helpers/applications.js).
+   **/
+
+  static async setResume(username, id, { data, filename, contentType }) {
+    if (isNaN(id)) throw new NotFoundError(`No job: ${id}`);
+    if (!RESUME_TYPES.includes(contentType))
+      throw new BadRequestError(
+        `Resume must be one of: ${RESUME_TYPES.join(", ")}`);
+    if (!data || !data.length) throw new BadRequestError("Resume is empty");
+    if (data.length > RESUME_MAX_BYTES)
+      throw new BadRequestError(
+        `Resume cannot be larger than ${RESUME_MAX_BYTES} bytes`);
+    if (!resumeMatchesType(contentType, data))
+      throw new BadRequestError(`Resume is not a valid ${contentType} file`);
+
+    const currentRes = await db.query(
+          `SELECT resume_key AS "resumeKey"
+           FROM applications
+           WHERE username = $1 AND job_id = $2`,
+        [username, id]);
+
+    const current = currentRes.rows[0];
+
+    if (!current) 
+      throw new NotFoundError(`No application: ${username}, job ${id}`);
+
+    const key = newKey("resumes");
+    await getStorage().put(key, data);
+
+    const result = await db.query(
+          `UPDATE applications
+           SET resume_key = $3,
+               resume_filename = $4,
+               resume_type = $5,
+               resume_size = $6,
+               resume_uploaded_at = CURRENT_TIMESTAMP
+           WHERE username = $1 AND job_id = $2
+           RETURNING resume_filename AS "filename",
+                     resume_type AS "contentType",
+                     resume_size AS "size",
+                     resume_uploaded_at AS "uploadedAt"`,
+        [username, id, key, filename, contentType, data.length]);
+
+    if (current.resumeKey) await getStorage().remove(current.resumeKey);
+
+    return result.rows[0];
+  }
+
+  /** Given a username and job-id, return the resume on the application.
+   *
+   * Returns { filename, contentType, data } where data is a Buffer
+   *
+   * Throws NotFoundError if no such application or it has no resume.
+   **/
+
+  static async getResume(username, id) {
+    if (isNaN(id)) throw new NotFoundError(`No job: ${id}`);
+    const result = await db.query(
+          `SELECT resume_key AS "resumeKey",
+                  resume_filename AS "filename",
+                  resume_type AS "contentType"
+           FROM applications
+           WHERE username = $1 AND job_id = $2`,
+        [username, id]);
+
+    const resume = result.rows[0];
+
+    if (!resume || !resume.resumeKey)
+      throw new NotFoundError(`No resume: ${username}, job ${id}`);
+
+    const data = await getStorage().get(resume.resumeKey);
+    return { filename: resume.filename, contentType: resume.contentType, data };
+  }
 }
 
 
@@ -7,6 +7,9 @@ const {
 } = require("../expressError");
 const db = require("../db.js");
 const User = require("./user.js");
+const { getStorage } = require("../helpers/storage");
+const { RESUME_MAX_BYTES } = require("../config");
+const { RESUME_TYPES } = require("../helpers/applications");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -29,7 +32,9 @@ describe("authenticate", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
+      role: "candidate",
       isAdmin: false,
+      tokenVersion: 0,
     });
   });
 
@@ -60,6 +65,7 @@ describe("register", function () {
     firstName: "Test",
     lastName: "Tester",
     email: "test@test.com",
+    role: "candidate",
     isAdmin: false,
   };
 
@@ -71,7 +77,7 @@ describe("register", function () {
     expect(user).toEqual(newUser);
     const found = await db.query("SELECT * FROM users WHERE username = 'new'");
     expect(found.rows.length).toEqual(1);
-    expect(found.rows[0].is_admin).toEqual(false);
+    expect(found.rows[0].role).toEqual("candidate");
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
@@ -79,12 +85,12 @@ describe("register", function () {
     let user = await User.register({
       ...newUser,
       password: "password",
-      isAdmin: true,
+      role: "admin",
     });
-    expect(user).toEqual({ ...newUser, isAdmin: true });
+    expect(user).toEqual({ ...newUser, role: "admin", isAdmin: true });
     const found = await db.query("SELECT * FROM users WHERE username = 'new'");
     expect(found.rows.length).toEqual(1);
-    expect(found.rows[0].is_admin).toEqual(true);
+    expect(found.rows[0].role).toEqual("admin");
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
@@ -109,13 +115,14 @@ describe("register", function () {
 
 describe("findAll", function () {
   test("works", async function () {
-    const users = await User.findAll();
+    const { users } = await User.findAll();
     expect(users).toEqual([
       {
         username: "u1",
         firstName: "U1F",
         lastName: "U1L",
         email: "u1@email.com",
+        role: "candidate",
         isAdmin: false,
         jobs: []
       },
@@ -124,6 +131,7 @@ describe("findAll", function () {
         firstName: "U2F",
         lastName: "U2L",
         email: "u2@email.com",
+        role: "candidate",
         isAdmin: false,
         jobs: []
       },
@@ -131,6 +139,27 @@ describe("findAll", function () {
   });
 });
 
+describe("findAll: paging", function () {
+  test("works", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs`);
+    await User.apply({ username: "u1", id: jobRes.rows[0].id });
+
+    let page = await User.findAll({ limit: 1 });
+    expect(page.users.map(u => u.username)).toEqual(["u1"]);
+    expect(page.users[0].jobs.length).toEqual(1);
+    expect(page.total).toEqual(2);
+
+    page = await User.findAll({ limit: 1, cursor: page.next });
+    expect(page.users.map(u => u.username)).toEqual(["u2"]);
+    expect(page.next).toBeNull();
+  });
+
+  test("works: sorting", async function () {
+    const page = await User.findAll({ sort: "-email" });
+    expect(page.users.map(u => u.username)).toEqual(["u2", "u1"]);
+  });
+});
+
 /************************************** get */
 
 describe("get", function () {
@@ -141,8 +170,19 @@ describe("get", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
+      emailVerified: false,
+      role: "candidate",
       isAdmin: false,
-      jobs: []
+      jobs: [],
+      saved: [],
+      profile: {
+        headline: null,
+        bio: null,
+        location: null,
+        skills: [],
+        experience: [],
+        education: []
+      }
     });
   });
 
@@ -163,7 +203,7 @@ describe("update", function () {
     firstName: "NewF",
     lastName: "NewF",
     email: "new@email.com",
-    isAdmin: true,
+    role: "recruiter",
   };
 
   test("works", async function () {
@@ -171,6 +211,8 @@ describe("update", function () {
     expect(job).toEqual({
       username: "u1",
       ...updateData,
+      emailVerified: false,
+      isAdmin: false,
     });
   });
 
@@ -183,6 +225,8 @@ describe("update", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
+      emailVerified: false,
+      role: "candidate",
       isAdmin: false,
     });
     const found = await db.query("SELECT * FROM users WHERE username = 'u1'");
@@ -190,6 +234,29 @@ describe("update", function () {
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("works: a new email is unverified", async function () {
+    await db.query(`UPDATE users SET email_verified = TRUE WHERE username = 'u1'`);
+    let user = await User.update("u1", { email: "u1@email.com" });
+    expect(user.emailVerified).toEqual(true);
+
+    user = await User.update("u1", { email: "new@email.com" });
+    expect(user.emailVerified).toEqual(false);
+  });
+
+  test("works: password and role changes revoke tokens", async function () {
+    await User.update("u1", { firstName: "Same" });
+    await User.update("u1", { role: "candidate" });
+    let found = await db.query(
+        "SELECT token_version FROM users WHERE username = 'u1'");
+    expect(found.rows[0].token_version).toEqual(0);
+
+    await User.update("u1", { role: "admin" });
+    await User.update("u1", { password: "new-password" });
+    found = await db.query(
+        "SELECT token_version FROM users WHERE username = 'u1'");
+    expect(found.rows[0].token_version).toEqual(2);
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.update("nope", {
@@ -231,3 +298,315 @@ describe("remove", function () {
     }
   });
 });
+
+/************************************** apply */
+
+describe("apply", function () {
+  test("works", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs`);
+    const id = jobRes.rows[0].id;
+    const application = await User.apply({ username: "u1", id });
+    expect(application).toEqual(
+      { username: "u1", id, state: "applied", coverLetter: null });
+
+    const user = await User.get("u1");
+    expect(user.jobs).toEqual([{
+      id,
+      title: "j1",
+      salaryMin: 0,
+      salaryMax: null,
+      currency: "USD",
+      payPeriod: "annual",
+      equity: "0.0",
+      companyHandle: "c1",
+      state: "applied"
+    }]);
+  });
+
+  test("works: interested", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs`);
+    const id = jobRes.rows[0].id;
+    const application = await User.apply(
+      { username: "u1", id, state: "interested" });
+    expect(application.state).toEqual("interested");
+  });
+
+  test("works: verified email when required", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await db.query(`UPDATE users SET email_verified = TRUE WHERE username = 'u1'`);
+    const application = await User.apply(
+      { username: "u1", id, requireVerified: true });
+    expect(application.state).toEqual("applied");
+  });
+
+  test("unauth for unverified email when required", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs`);
+    const id = jobRes.rows[0].id;
+    try {
+      await User.apply({ username: "u1", id, requireVerified: true });
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("works: cover letter", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs`);
+    const id = jobRes.rows[0].id;
+    const application = await User.apply(
+      { username: "u1", id, coverLetter: "Dear C1," });
+    expect(application.coverLetter).toEqual("Dear C1,");
+  });
+
+  test("not found if job id is not a number", async function () {
+    try {
+      await User.apply({ username: "u1", id: "nope" });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** getApplication */
+
+describe("getApplication", function () {
+  test("works", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+
+    const application = await User.getApplication("u1", id);
+    expect(application).toEqual({
+      username: "u1",
+      jobId: id,
+      state: "applied",
+      coverLetter: null,
+      resume: null,
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+      history: [{
+        fromState: null,
+        toState: "applied",
+        changedBy: "u1",
+        changedAt: expect.any(Date)
+      }]
+    });
+  });
+
+  test("not found if no such application", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs`);
+    try {
+      await User.getApplication("u1", jobRes.rows[0].id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** setApplicationState */
+
+describe("setApplicationState", function () {
+  test("works", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+
+    const application = await User.setApplicationState(
+      "u1", id, "interviewing", "u2");
+    expect(application).toEqual({
+      username: "u1",
+      jobId: id,
+      state: "interviewing",
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date)
+    });
+
+    const { history } = await User.getApplication("u1", id);
+    expect(history[1]).toEqual({
+      fromState: "applied",
+      toState: "interviewing",
+      changedBy: "u2",
+      changedAt: expect.any(Date)
+    });
+  });
+
+  test("bad request if move not allowed", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+    try {
+      await User.setApplicationState("u1", id, "offered", "u2");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such application", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs`);
+    try {
+      await User.setApplicationState(
+        "u1", jobRes.rows[0].id, "withdrawn", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** unapply */
+
+describe("unapply", function () {
+  test("works", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+
+    const application = await User.unapply("u1", id);
+    expect(application.state).toEqual("withdrawn");
+
+    const { history } = await User.getApplication("u1", id);
+    expect(history[1]).toEqual({
+      fromState: "applied",
+      toState: "withdrawn",
+      changedBy: "u1",
+      changedAt: expect.any(Date)
+    });
+  });
+
+  test("bad request if already withdrawn", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+    await User.unapply("u1", id);
+    try {
+      await User.unapply("u1", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such application", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs`);
+    try {
+      await User.unapply("u1", jobRes.rows[0].id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** setResume / getResume */
+
+describe("setResume", function () {
+  const resume = {
+    data: Buffer.from("%PDF-1.4 resume"),
+    filename: "cv.pdf",
+    contentType: "application/pdf",
+  };
+
+  test("works", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+
+    const saved = await User.setResume("u1", id, resume);
+    expect(saved).toEqual({
+      filename: "cv.pdf",
+      contentType: "application/pdf",
+      size: 15,
+      uploadedAt: expect.any(Date),
+    });
+
+    const application = await User.getApplication("u1", id);
+    expect(application.resume).toEqual(saved);
+
+    const file = await User.getResume("u1", id);
+    expect(file).toEqual({
+      filename: "cv.pdf",
+      contentType: "application/pdf",
+      data: resume.data,
+    });
+  });
+
+  test("works: replaces earlier resume", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+    await User.setResume("u1", id, resume);
+    const oldKey = (await db.query(
+      `SELECT resume_key FROM applications WHERE username = 'u1'`)).rows[0].resume_key;
+
+    await User.setResume("u1", id, 
+      { data: Buffer.from("plain"), filename: "cv.txt", contentType: "text/plain" });
+    const file = await User.getResume("u1", id);
+    expect(file.data.toString()).toEqual("plain");
+    await expect(getStorage().get(oldKey)).rejects.toThrow(NotFoundError);
+  });
+
+  test("bad request for other file types", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs`);
+    try {
+      await User.setResume("u1", jobRes.rows[0].id, 
+        { ...resume, contentType: "image/png" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request for contents not of the given type", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+    for (const contentType of RESUME_TYPES) {
+      try {
+        await User.setResume("u1", id,
+          { ...resume, data: Buffer.from([0x3c, 0x00, 0xff]), contentType });
+        fail();
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      }
+    }
+  });
+
+  test("bad request for files too large", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs`);
+    try {
+      await User.setResume("u1", jobRes.rows[0].id, 
+        { ...resume, data: Buffer.alloc(RESUME_MAX_BYTES + 1) });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such application", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs`);
+    try {
+      await User.setResume("u1", jobRes.rows[0].id, resume);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+describe("getResume", function () {
+  test("not found if no resume", async function () {
+    const jobRes = await db.query(`SELECT id FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+    try {
+      await User.getResume("u1", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -47,7 +47,7 @@ async function commonBeforeAll() {
     lastName: "U1L",
     email: "user1@user.com",
     password: "password1",
-    isAdmin: false,
+    role: "candidate",
   });
   await User.register({
     username: "u2",
@@ -55,7 +55,7 @@ async function commonBeforeAll() {
     lastName: "U2L",
     email: "user2@user.com",
     password: "password2",
-    isAdmin: false,
+    role: "recruiter",
   });
   await User.register({
     username: "u3",
@@ -63,7 +63,7 @@ async function commonBeforeAll() {
     lastName: "U3L",
     email: "user3@user.com",
     password: "password3",
-    isAdmin: false,
+    role: "auditor",
   });
   await User.register({
     username: "a1",
@@ -71,15 +71,17 @@ async function commonBeforeAll() {
     lastName: "A1L",
     email: "admin@admin.com",
     password: "password",
-    isAdmin: true,
+    role: "admin",
   });
 
   await Job.create({
     title: "j1",
-    salary: 0.00,
+    salaryMin: 0,
     equity: 0.00,
     company_handle: "c1"
   });
+
+  await Company.addRecruiter("c1", "u2");
   
 }
 
@@ -96,8 +98,10 @@ async function commonAfterAll() {
 }
 
 
-const u1Token = createToken({ username: "u1", isAdmin: false });
-const a1Token = createToken({ username: "a1", isAdmin: true });
+const u1Token = createToken({ username: "u1", role: "candidate" });
+const u2Token = createToken({ username: "u2", role: "recruiter" });
+const u3Token = createToken({ username: "u3", role: "auditor" });
+const a1Token = createToken({ username: "a1", role: "admin" });
 
 
 module.exports = {
@@ -106,5 +110,7 @@ module.exports = {
   commonAfterEach,
   commonAfterAll,
   u1Token,
+  u2Token,
+  u3Token,
   a1Token
 };
@@ -0,0 +1,92 @@
+"use strict";
+
+/** Routes for API keys. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { ensureLoggedIn, ensurePermission } = require("../middleware/auth");
+const ApiKey = require("../models/apiKey");
+const { isSqlInteger } = require("../helpers/sql");
+
+const apiKeyNewSchema = require("../schemas/apiKeyNew.json");
+
+const router = new express.Router();
+
+
+/** POST / { name, scopes, companyHandle, expiresAt } => { apiKey }
+ *
+ * Issues an API key for a machine client, such as an ATS integration, to
+ * send as its bearer token. scopes lists the permissions the key grants
+ * (see helpers/roles.js), which may be any but users:write. With a
+ * companyHandle, the key only works for that company: its jobs,
+ * applications and company record; it can't have users:read, which
+ * reaches every company's users. expiresAt is optional and must be in
+ * the future, e.g. "2027-01-01T00:00:00Z".
+ *
+ * Returns { id, name, scopes, companyHandle, createdBy, createdAt,
+ *           expiresAt, key }; this is the only time the key is shown.
+ *
+ * Authorization required: apiKeys:write (admin)
+ */
+
+router.post("/", ensureLoggedIn, ensurePermission("apiKeys:write"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, apiKeyNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    if (req.body.expiresAt && new Date(req.body.expiresAt) <= new Date())
+      throw new BadRequestError("expiresAt must be in the future");
+
+    const apiKey = await ApiKey.create(req.body, res.locals.user.username);
+    return res.status(201).json({ apiKey });
+  } catch (err) {
+    if(err.code === '23503' && String(err.detail).includes('is not present in table "companies"'))
+      return next(new NotFoundError(`No company: ${req.body.companyHandle}`));
+    return next(err);
+  }
+});
+
+
+/** GET / => { apiKeys: [ { id, name, scopes, companyHandle, createdBy,
+ *                          createdAt, expiresAt, lastUsedAt, revokedAt },
+ *                        ... ] }
+ *
+ * Authorization required: apiKeys:read (admin)
+ */
+
+router.get("/", ensureLoggedIn, ensurePermission("apiKeys:read"), async function (req, res, next) {
+  try {
+    const apiKeys = await ApiKey.findAll();
+    return res.json({ apiKeys });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[id] => { revoked: id }
+ *
+ * Revokes the key; requests made with it are refused from then on.
+ *
+ * Authorization required: apiKeys:write (admin)
+ */
+
+router.delete("/:id", ensureLoggedIn, ensurePermission("apiKeys:write"), async function (req, res, next) {
+  try {
+    if (!isSqlInteger(req.params.id))
+      throw new NotFoundError(`No API key: ${req.params.id}`);
+    const id = +req.params.id;
+    await ApiKey.revoke(id);
+    return res.json({ revoked: id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
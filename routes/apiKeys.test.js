@@ -0,0 +1,197 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const ApiKey = require("../models/apiKey");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u2Token,
+  u3Token,
+  a1Token
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** POST /api-keys */
+
+describe("POST /api-keys", function () {
+  const newKey = { name: "ATS", scopes: ["jobs:write"], companyHandle: "c1" };
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post("/api-keys")
+        .send(newKey)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      apiKey: {
+        ...newKey,
+        id: expect.any(Number),
+        createdBy: "a1",
+        createdAt: expect.any(String),
+        expiresAt: null,
+        key: expect.stringMatching(/^jk_/),
+      },
+    });
+
+    const jobResp = await request(app)
+        .post("/jobs")
+        .send({ title: "new", salaryMin: 1, equity: 0.1,
+                company_handle: "c1" })
+        .set("authorization", `Bearer ${resp.body.apiKey.key}`);
+    expect(jobResp.statusCode).toEqual(201);
+  });
+
+  test("unauth for non-admins", async function () {
+    for (const token of [u2Token, u3Token]) {
+      const resp = await request(app)
+          .post("/api-keys")
+          .send(newKey)
+          .set("authorization", `Bearer ${token}`);
+      expect(resp.statusCode).toEqual(401);
+    }
+  });
+
+  test("unauth for API keys", async function () {
+    const { key } = await ApiKey.create(
+        { name: "k", scopes: ["users:read"] }, "a1");
+    const resp = await request(app)
+        .post("/api-keys")
+        .send(newKey)
+        .set("authorization", `Bearer ${key}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with users:write scope", async function () {
+    const resp = await request(app)
+        .post("/api-keys")
+        .send({ ...newKey, scopes: ["users:write"] })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with no scopes", async function () {
+    const resp = await request(app)
+        .post("/api-keys")
+        .send({ ...newKey, scopes: [] })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with users:read for a company", async function () {
+    const resp = await request(app)
+        .post("/api-keys")
+        .send({ ...newKey, scopes: ["jobs:read", "users:read"] })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with expiresAt not on the calendar", async function () {
+    const resp = await request(app)
+        .post("/api-keys")
+        .send({ ...newKey, expiresAt: "2027-02-30T00:00:00Z" })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with expiresAt in the past", async function () {
+    const resp = await request(app)
+        .post("/api-keys")
+        .send({ ...newKey, expiresAt: "2000-01-01T00:00:00Z" })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for unknown company", async function () {
+    const resp = await request(app)
+        .post("/api-keys")
+        .send({ ...newKey, companyHandle: "nope" })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /api-keys */
+
+describe("GET /api-keys", function () {
+  test("works for admin", async function () {
+    const { id } = await ApiKey.create(
+        { name: "ATS", scopes: ["jobs:write"] }, "a1");
+    const resp = await request(app)
+        .get("/api-keys")
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body).toEqual({
+      apiKeys: [{
+        id,
+        name: "ATS",
+        scopes: ["jobs:write"],
+        companyHandle: null,
+        createdBy: "a1",
+        createdAt: expect.any(String),
+        expiresAt: null,
+        lastUsedAt: null,
+        revokedAt: null,
+      }],
+    });
+  });
+
+  test("unauth for non-admins", async function () {
+    const resp = await request(app)
+        .get("/api-keys")
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** DELETE /api-keys/:id */
+
+describe("DELETE /api-keys/:id", function () {
+  test("works for admin", async function () {
+    const { id, key } = await ApiKey.create(
+        { name: "ATS", scopes: ["jobs:write"] }, "a1");
+    const resp = await request(app)
+        .delete(`/api-keys/${id}`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body).toEqual({ revoked: id });
+
+    const jobResp = await request(app)
+        .post("/jobs")
+        .send({ title: "new", salaryMin: 1, equity: 0.1,
+                company_handle: "c1" })
+        .set("authorization", `Bearer ${key}`);
+    expect(jobResp.statusCode).toEqual(401);
+  });
+
+  test("unauth for non-admins", async function () {
+    const { id } = await ApiKey.create(
+        { name: "ATS", scopes: ["jobs:write"] }, "a1");
+    const resp = await request(app)
+        .delete(`/api-keys/${id}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such key", async function () {
+    const resp = await request(app)
+        .delete("/api-keys/0")
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for ids that aren't valid ids", async function () {
+    for (const id of ["99999999999", "1.5", "nope"]) {
+      const resp = await request(app)
+          .delete(`/api-keys/${id}`)
+          .set("authorization", `Bearer ${a1Token}`);
+      expect(resp.statusCode).toEqual(404);
+    }
+  });
+});
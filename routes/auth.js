@@ -5,16 +5,43 @@
 const jsonschema = require("jsonschema");
 
 const User = require("../models/user");
+const RefreshToken = require("../models/refreshToken");
+const RevokedToken = require("../models/revokedToken");
+const EmailVerification = require("../models/emailVerification");
+const LoginAttempt = require("../models/loginAttempt");
+const TwoFactor = require("../models/twoFactor");
+const PasswordReset = require("../models/passwordReset");
 const express = require("express");
 const router = new express.Router();
-const { createToken } = require("../helpers/tokens");
+const {
+  createToken,
+  createChallengeToken,
+  verifyChallengeToken,
+} = require("../helpers/tokens");
+const { ensureLoggedIn } = require("../middleware/auth");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
-const { BadRequestError } = require("../expressError");
+const tokenRefreshSchema = require("../schemas/tokenRefresh.json");
+const authLogoutSchema = require("../schemas/authLogout.json");
+const passwordForgotSchema = require("../schemas/passwordForgot.json");
+const passwordResetSchema = require("../schemas/passwordReset.json");
+const emailVerifySchema = require("../schemas/emailVerify.json");
+const twoFactorLoginSchema = require("../schemas/twoFactorLogin.json");
+const { BadRequestError, UnauthorizedError } = require("../expressError");
 
-/** POST /auth/token:  { username, password } => { token }
+/** POST /auth/token:  { username, password } => { token, refreshToken }
+ *                                          or { twoFactorRequired, challengeToken }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns a short-lived JWT token which can be used to authenticate further
+ * requests, and a refresh token to exchange at /auth/refresh for a new one.
+ *
+ * Users with two-factor authentication instead get { twoFactorRequired:
+ * true, challengeToken }; they exchange the challenge token, with a code,
+ * at /auth/token/2fa.
+ *
+ * Failed logins are rate-limited per username and per client address (see
+ * models/loginAttempt.js): a login tried too soon gets a 429 response whose
+ * Retry-After header gives the seconds to wait.
  *
  * Authorization required: none
  */
@@ -28,20 +55,81 @@ router.post("/token", async function (req, res, next) {
     }
 
     const { username, password } = req.body;
-    const user = await User.authenticate(username, password);
+    // counted as failed from the start, so a burst can't outrun the limit
+    await LoginAttempt.begin(username, req.ip);
+    let user;
+    try {
+      user = await User.authenticate(username, password);
+    } catch (err) {
+      if (!(err instanceof UnauthorizedError))
+        await LoginAttempt.release(username, req.ip);
+      throw err;
+    }
+    await LoginAttempt.release(username, req.ip);
+
+    // earlier failures still count until the second step succeeds
+    if (await TwoFactor.isEnabled(user.username))
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken(user),
+      });
+
+    await LoginAttempt.clear(username);
     const token = createToken(user);
-    return res.json({ token });
+    const refreshToken = await RefreshToken.create(user.username);
+    return res.json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/token/2fa:  { challengeToken, code } => { token, refreshToken }
+ *
+ * The second login step for users with two-factor authentication: code is
+ * from their authenticator app, or one of their backup codes. Wrong codes
+ * count as failed logins (see POST /auth/token).
+ *
+ * Authorization required: none
+ */
+
+router.post("/token/2fa", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, twoFactorLoginSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const user = verifyChallengeToken(req.body.challengeToken);
+    await LoginAttempt.begin(user.username, req.ip);
+    try {
+      await TwoFactor.verify(user.username, req.body.code);
+    } catch (err) {
+      if (!(err instanceof UnauthorizedError))
+        await LoginAttempt.release(user.username, req.ip);
+      throw err;
+    }
+    await LoginAttempt.release(user.username, req.ip);
+
+    await LoginAttempt.clear(user.username);
+    const token = createToken({ ...user, mfa: true });
+    const refreshToken = await RefreshToken.create(user.username, { mfa: true });
+    return res.json({ token, refreshToken });
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/register:   { user } => { token, refreshToken }
  *
  * user must include { username, password, firstName, lastName, email }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns a short-lived JWT token which can be used to authenticate further
+ * requests, and a refresh token to exchange at /auth/refresh for a new one.
+ * A welcome email is queued to the new user, with a link to verify their
+ * email address (see POST /auth/verify-email).
  *
  * Authorization required: none
  */
@@ -54,13 +142,174 @@ router.post("/register", async function (req, res, next) {
       throw new BadRequestError(errs);
     }
 
-    const newUser = await User.register({ ...req.body, isAdmin: false });
+    const newUser = await User.register({ ...req.body, role: "candidate" });
+    await EmailVerification.send(newUser.username, "registration");
     const token = createToken(newUser);
-    return res.status(201).json({ token });
+    const refreshToken = await RefreshToken.create(newUser.username);
+    return res.status(201).json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/refresh:   { refreshToken } => { token, refreshToken }
+ *
+ * Exchanges a refresh token for a new JWT token and a new refresh token.
+ * The refresh token sent is used up and cannot be presented again.
+ *
+ * Authorization required: none
+ */
+
+router.post("/refresh", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, tokenRefreshSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const rotated = await RefreshToken.rotate(req.body.refreshToken);
+    const token = createToken(rotated.user);
+    return res.json({ token, refreshToken: rotated.token });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/logout:   { refreshToken } or { all: true }
+ *                          => { loggedOut: username }
+ *
+ * Revokes the token used to make this request and the refresh token issued
+ * with it, which is required so the session can't be renewed afterwards.
+ * With all: true, every token ever issued to the user is revoked, logging
+ * them out everywhere.
+ *
+ * Authorization required: logged in as a user (API keys are revoked at
+ * DELETE /api-keys/[id] instead)
+ */
+
+router.post("/logout", ensureLoggedIn, async function (req, res, next) {
+  try {
+    if (res.locals.user.apiKey) throw new UnauthorizedError();
+
+    const validator = jsonschema.validate(req.body, authLogoutSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { username } = res.locals.user;
+    if (req.body.all) {
+      await RevokedToken.revokeAllForUser(username);
+      await RefreshToken.revokeAll(username);
+    } else {
+      await RevokedToken.add(res.locals.user);
+      await RefreshToken.revoke(username, req.body.refreshToken);
+    }
+    return res.json({ loggedOut: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/forgot-password:   { username } or { email } => { message }
+ *
+ * Emails a single-use password reset link to the matching account. The
+ * response is the same whether or not an account matched, so it can't be
+ * used to find out who has one.
+ *
+ * Requests are rate-limited per username or email and per client address
+ * (see models/passwordReset.js): too many get a 429 response whose
+ * Retry-After header gives the seconds to wait.
+ *
+ * Authorization required: none
+ */
+
+router.post("/forgot-password", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, passwordForgotSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await PasswordReset.request(req.body, req.ip);
+    return res.json({
+      message: "If that account exists, a password reset email is on its way",
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/reset-password:   { token, password } => { reset: username }
+ *
+ * Sets a new password using the token from a reset email. This logs the
+ * user out everywhere; they log in again with the new password.
+ *
+ * Authorization required: none
+ */
+
+router.post("/reset-password", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, passwordResetSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { token, password } = req.body;
+    const username = await PasswordReset.reset(token, password);
+    return res.json({ reset: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /auth/verify-email:   { token } => { verified: username }
+ *
+ * Marks the user's email address verified, using the token from the link
+ * emailed to them. Depending on config, users must do this before they can
+ * apply to jobs.
+ *
+ * Authorization required: none
+ */
+
+router.post("/verify-email", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, emailVerifySchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const username = await EmailVerification.verify(req.body.token);
+    return res.json({ verified: username });
   } catch (err) {
     return next(err);
   }
 });
 
 
+/** POST /auth/verify-email/resend:   {} => { sent: email }
+ *
+ * Emails the logged-in user a new verification link.
+ *
+ * Authorization required: logged in as a user
+ */
+
+router.post("/verify-email/resend", ensureLoggedIn, async function (req, res, next) {
+  try {
+    if (res.locals.user.apiKey) throw new UnauthorizedError();
+    const email = await EmailVerification.send(res.locals.user.username);
+    return res.json({ sent: email });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 module.exports = router;
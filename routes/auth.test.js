@@ -1,14 +1,25 @@
 "use strict";
 
 const request = require("supertest");
+const jwt = require("jsonwebtoken");
 
 const app = require("../app");
+const db = require("../db.js");
+const RefreshToken = require("../models/refreshToken");
+const ApiKey = require("../models/apiKey");
+const TwoFactor = require("../models/twoFactor");
+const { totpCode, timeStep } = require("../helpers/totp");
+const {
+  PASSWORD_RESET_MAX_REQUESTS,
+  PASSWORD_RESET_WINDOW_MINUTES,
+} = require("../config");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  u1Token,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -28,6 +39,7 @@ describe("POST /auth/token", function () {
         });
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -69,6 +81,35 @@ describe("POST /auth/token", function () {
         });
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("too many requests right after a failure", async function () {
+    await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "nope" });
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers["retry-after"]).toEqual("1");
+  });
+
+  test("works: a success clears earlier failures", async function () {
+    await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "nope" });
+    await db.query(
+          `UPDATE login_failures
+           SET last_failed_at = last_failed_at - interval '1 second'`);
+
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(200);
+
+    const found = await db.query(
+          `SELECT kind FROM login_failures WHERE kind = 'username'`);
+    expect(found.rows).toEqual([]);
+  });
 });
 
 /************************************** POST /auth/register */
@@ -87,7 +128,13 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
+
+    const mail = await db.query(
+          `SELECT template, recipient FROM mail_queue`);
+    expect(mail.rows).toEqual(
+      [{ template: "registration", recipient: "new@email.com" }]);
   });
 
   test("bad request with missing fields", async function () {
@@ -112,3 +159,365 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(400);
   });
 });
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  test("works", async function () {
+    const refreshToken = await RefreshToken.create("u1");
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.body).toEqual({
+      "token": expect.any(String),
+      "refreshToken": expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+  });
+
+  test("unauth if refresh token reused", async function () {
+    const refreshToken = await RefreshToken.create("u1");
+    await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with unknown refresh token", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  test("works", async function () {
+    const refreshToken = await RefreshToken.create("u1");
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ loggedOut: "u1" });
+
+    const afterResp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(afterResp.statusCode).toEqual(401);
+    expect(afterResp.body.error.message).toEqual("Token revoked");
+
+    const refreshResp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(refreshResp.statusCode).toEqual(401);
+  });
+
+  test("works: all sessions", async function () {
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ all: true })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ loggedOut: "u1" });
+
+    const afterResp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${login.body.token}`);
+    expect(afterResp.statusCode).toEqual(401);
+  });
+
+  test("bad request without refresh token", async function () {
+    for (const body of [{}, { all: false }]) {
+      const resp = await request(app)
+          .post("/auth/logout")
+          .send(body)
+          .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+
+    const afterResp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(afterResp.statusCode).toEqual(200);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/auth/logout");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with API key", async function () {
+    const { key } = await ApiKey.create(
+        { name: "ATS", scopes: ["jobs:write"] }, "u1");
+    const resp = await request(app)
+        .post("/auth/logout")
+        .set("authorization", `Bearer ${key}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/forgot-password */
+
+describe("POST /auth/forgot-password", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/auth/forgot-password")
+        .send({ email: "user1@user.com" });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      message: "If that account exists, a password reset email is on its way",
+    });
+
+    const mail = await db.query(
+          `SELECT template, recipient FROM mail_queue`);
+    expect(mail.rows).toEqual(
+      [{ template: "passwordReset", recipient: "user1@user.com" }]);
+  });
+
+  test("same response for unknown account", async function () {
+    const resp = await request(app)
+        .post("/auth/forgot-password")
+        .send({ username: "nope" });
+    expect(resp.statusCode).toEqual(200);
+
+    const mail = await db.query(`SELECT id FROM mail_queue`);
+    expect(mail.rows).toEqual([]);
+  });
+
+  test("too many requests for one account", async function () {
+    for (let i = 0; i < PASSWORD_RESET_MAX_REQUESTS; i++)
+      await request(app)
+          .post("/auth/forgot-password")
+          .send({ username: "u1" });
+    const resp = await request(app)
+        .post("/auth/forgot-password")
+        .send({ username: "u1" });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers["retry-after"])
+      .toEqual(String(PASSWORD_RESET_WINDOW_MINUTES * 60));
+  });
+
+  test("bad request with both username and email", async function () {
+    const resp = await request(app)
+        .post("/auth/forgot-password")
+        .send({ username: "u1", email: "user1@user.com" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/reset-password */
+
+describe("POST /auth/reset-password", function () {
+  async function resetToken() {
+    await request(app)
+        .post("/auth/forgot-password")
+        .send({ username: "u1" });
+    const mail = await db.query(`SELECT body FROM mail_queue`);
+    return /token=([0-9a-f]+)/.exec(mail.rows[0].body)[1];
+  }
+
+  test("works", async function () {
+    const token = await resetToken();
+    const resp = await request(app)
+        .post("/auth/reset-password")
+        .send({ token, password: "new-password" });
+    expect(resp.body).toEqual({ reset: "u1" });
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "new-password" });
+    expect(login.statusCode).toEqual(200);
+
+    const old = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(old.statusCode).toEqual(401);
+  });
+
+  test("unauth when the token is used twice", async function () {
+    const token = await resetToken();
+    await request(app)
+        .post("/auth/reset-password")
+        .send({ token, password: "new-password" });
+    const resp = await request(app)
+        .post("/auth/reset-password")
+        .send({ token, password: "other-password" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with short password", async function () {
+    const token = await resetToken();
+    const resp = await request(app)
+        .post("/auth/reset-password")
+        .send({ token, password: "abc" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/verify-email */
+
+describe("POST /auth/verify-email", function () {
+  async function verificationToken() {
+    const mail = await db.query(
+          `SELECT body FROM mail_queue ORDER BY id DESC LIMIT 1`);
+    return /token=([0-9a-f]+)/.exec(mail.rows[0].body)[1];
+  }
+
+  test("works with the link from registering", async function () {
+    await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({ token: await verificationToken() });
+    expect(resp.body).toEqual({ verified: "new" });
+
+    const found = await db.query(
+          `SELECT email_verified FROM users WHERE username = 'new'`);
+    expect(found.rows[0].email_verified).toEqual(true);
+  });
+
+  test("works with a resent link", async function () {
+    const sent = await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(sent.body).toEqual({ sent: "user1@user.com" });
+
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({ token: await verificationToken() });
+    expect(resp.body).toEqual({ verified: "u1" });
+  });
+
+  test("unauth for unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({ token: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing token", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/verify-email/resend */
+
+describe("POST /auth/verify-email/resend", function () {
+  test("bad request if already verified", async function () {
+    await db.query(`UPDATE users SET email_verified = TRUE WHERE username = 'u1'`);
+    const resp = await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email/resend");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/token/2fa */
+
+describe("POST /auth/token/2fa", function () {
+  let secret;
+
+  beforeEach(async function () {
+    ({ secret } = await TwoFactor.begin("u1"));
+    await TwoFactor.enable("u1", totpCode(secret, timeStep() - 1));
+  });
+
+  async function challenge() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    return resp.body;
+  }
+
+  test("works", async function () {
+    const first = await challenge();
+    expect(first).toEqual({
+      twoFactorRequired: true,
+      challengeToken: expect.any(String),
+    });
+
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({
+          challengeToken: first.challengeToken,
+          code: totpCode(secret, timeStep()),
+        });
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(jwt.decode(resp.body.token).mfa).toEqual(true);
+
+    const user = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(user.statusCode).toEqual(200);
+  });
+
+  test("the challenge token is not an access token", async function () {
+    const { challengeToken } = await challenge();
+    const resp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${challengeToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with wrong code, which counts as a failed login", async function () {
+    const { challengeToken } = await challenge();
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ challengeToken, code: "000000" });
+    expect(resp.statusCode).toEqual(401);
+
+    const retry = await request(app)
+        .post("/auth/token/2fa")
+        .send({ challengeToken, code: totpCode(secret, timeStep()) });
+    expect(retry.statusCode).toEqual(429);
+  });
+
+  test("unauth with invalid challenge token", async function () {
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ challengeToken: u1Token, code: totpCode(secret, timeStep()) });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing code", async function () {
+    const { challengeToken } = await challenge();
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ challengeToken });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
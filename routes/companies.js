@@ -5,13 +5,19 @@
 const jsonschema = require("jsonschema");
 const express = require("express");
 
-const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, ensureIsAdmin } = require("../middleware/auth");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { coerceQuery } = require("../helpers/query");
+const { 
+  ensureLoggedIn, 
+  ensurePermission, 
+  ensureCompanyAccess } = require("../middleware/auth");
 const Company = require("../models/company");
+const Application = require("../models/application");
 
 const companyNewSchema = require("../schemas/companyNew.json");
 const companyUpdateSchema = require("../schemas/companyUpdate.json");
 const companyFilterSchema = require("../schemas/companyFilter.json");
+const applicationFilterSchema = require("../schemas/applicationFilter.json");
 
 const router = new express.Router();
 
@@ -22,10 +28,12 @@ const router = new express.Router();
  *
  * Returns { handle, name, description, numEmployees, logoUrl }
  *
- * Authorization required: admin
+ * Authorization required: companies:write (admin); API keys issued for a
+ * company can't create others
  */
 
-router.post("/", ensureLoggedIn, ensureIsAdmin, async function (req, res, next) {
+router.post("/", ensureLoggedIn, ensurePermission("companies:write"),
+  ensureCompanyAccess(req => req.body.handle), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, companyNewSchema);
     if (!validator.valid) {
@@ -41,26 +49,42 @@ router.post("/", ensureLoggedIn, ensureIsAdmin, async function (req, res, next)
 });
 
 /** GET /  =>
- *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...] }
+ *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...],
+ *     total, next }
  *
- * Can filter on provided search filters:
+ * Returns one page of companies: up to `limit` (default 50), skipping
+ * `offset` or starting after `cursor`. total counts every matching
+ * company; pass next as the cursor to get the following page (it is null
+ * on the last page).
+ *
+ * `sort` orders the companies by a comma-separated list of handle, name
+ * and numEmployees, each prefixed with "-" for descending order, e.g.
+ * ?sort=-numEmployees,name (default: name).
+ *
+ * Can filter on provided search filters, given in the query string
+ * (e.g. ?name=net&minEmployees=10) or, for older clients, as
+ * { filters: { ... } } in the body:
  * - minEmployees
  * - maxEmployees
- * - nameLike (will find case-insensitive, partial matches)
+ * - name (will find case-insensitive, partial matches)
  *
  * Authorization required: none
  */
 
 router.get("/", async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, companyFilterSchema);
+    const query = Object.keys(req.query).length ?
+      coerceQuery(req.query, companyFilterSchema) : req.body;
+    const validator = jsonschema.validate(query, companyFilterSchema);
     if (!validator.valid) {
       const errs = validator.errors.map(e => e.stack);
       throw new BadRequestError(errs);
     }
     
-    const companies = await Company.findAll(req.body.filters);
-    return res.json({ companies });
+    const { limit, offset, cursor, sort } = query;
+    const page = await Company.findAll(
+      query.filters, { limit, offset, cursor, sort });
+    return res.json(page);
   } catch (err) {
     return next(err);
   }
@@ -69,7 +93,8 @@ router.get("/", async function (req, res, next) {
 /** GET /[handle]  =>  { company }
  *
  *  Company is { handle, name, description, numEmployees, logoUrl, jobs }
- *   where jobs is [{ id, title, salary, equity }, ...]
+ *   where jobs is [{ id, title, salaryMin, salaryMax, currency, payPeriod,
+ *                    equity, pipeline }, ...]
  *
  * Authorization required: none
  */
@@ -83,6 +108,40 @@ router.get("/:handle", async function (req, res, next) {
   }
 });
 
+/** GET /[handle]/applications  =>
+ *   { applications: [ { username, firstName, lastName, email, headline,
+ *                       location, skills, jobId, jobTitle, companyHandle,
+ *                       state, appliedAt, updatedAt }, ...], total, next }
+ *
+ * Lists the people who applied to any of the company's jobs, newest
+ * first. Can filter on jobId, state and appliedSince ("YYYY-MM-DD") in the
+ * query string, and is paged like GET /companies; sort can use appliedAt,
+ * updatedAt, username, lastName, state and jobId.
+ *
+ * Authorization required: applications:read (admin, auditor, recruiter
+ * for the company)
+ */
+
+router.get("/:handle/applications", ensureLoggedIn, ensurePermission("applications:read"),
+  ensureCompanyAccess(req => req.params.handle), async function (req, res, next) {
+  try {
+    const query = coerceQuery(req.query, applicationFilterSchema);
+    const validator = jsonschema.validate(query, applicationFilterSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const company = await Company.get(req.params.handle);
+    const { limit, offset, cursor, sort } = query;
+    const page = await Application.findAll(
+      { ...query.filters, companyHandle: company.handle }, { limit, offset, cursor, sort });
+    return res.json(page);
+  } catch (err) {
+    return next(err);
+  }
+});
+
 /** PATCH /[handle] { fld1, fld2, ... } => { company }
  *
  * Patches company data.
@@ -91,10 +150,11 @@ router.get("/:handle", async function (req, res, next) {
  *
  * Returns { handle, name, description, numEmployees, logo_url }
  *
- * Authorization required: admin
+ * Authorization required: companies:write (admin)
  */
 
-router.patch("/:handle", ensureLoggedIn, ensureIsAdmin, async function (req, res, next) {
+router.patch("/:handle", ensureLoggedIn, ensurePermission("companies:write"),
+  ensureCompanyAccess(req => req.params.handle), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, companyUpdateSchema);
     if (!validator.valid) {
@@ -111,10 +171,11 @@ router.patch("/:handle", ensureLoggedIn, ensureIsAdmin, async function (req, res
 
 /** DELETE /[handle]  =>  { deleted: handle }
  *
- * Authorization: admin
+ * Authorization: companies:write (admin)
  */
 
-router.delete("/:handle", ensureLoggedIn, ensureIsAdmin, async function (req, res, next) {
+router.delete("/:handle", ensureLoggedIn, ensurePermission("companies:write"),
+  ensureCompanyAccess(req => req.params.handle), async function (req, res, next) {
   try {
     await Company.remove(req.params.handle);
     return res.json({ deleted: req.params.handle });
@@ -123,5 +184,47 @@ router.delete("/:handle", ensureLoggedIn, ensureIsAdmin, async function (req, re
   }
 });
 
+/** POST /[handle]/recruiters/[username]  =>  { recruiter }
+ *
+ * Links the user to the company as a recruiter. Users with the recruiter
+ * role can only post jobs and see applicants for companies they're linked to.
+ *
+ * Returns { handle, username }
+ *
+ * Authorization required: companies:write (admin)
+ */
+
+router.post("/:handle/recruiters/:username", ensureLoggedIn, ensurePermission("companies:write"), 
+  ensureCompanyAccess(req => req.params.handle), async function (req, res, next) {
+  try {
+    const recruiter = await Company.addRecruiter(
+      req.params.handle, req.params.username);
+    return res.status(201).json({ recruiter });
+  } catch (err) {
+    if(err.code === '23503' && String(err.detail).includes('is not present in table "companies"'))
+      return next(new NotFoundError(`No company: ${req.params.handle}`));
+    if(err.code === '23503' && String(err.detail).includes('is not present in table "users"'))
+      return next(new NotFoundError(`No user: ${req.params.username}`));
+    if(err.code === '23505')
+      return next(new BadRequestError('Duplicate recruiter'));
+    return next(err);
+  }
+});
+
+/** DELETE /[handle]/recruiters/[username]  =>  { deleted: username }
+ *
+ * Authorization: companies:write (admin)
+ */
+
+router.delete("/:handle/recruiters/:username", ensureLoggedIn, ensurePermission("companies:write"), 
+  ensureCompanyAccess(req => req.params.handle), async function (req, res, next) {
+  try {
+    await Company.removeRecruiter(req.params.handle, req.params.username);
+    return res.json({ deleted: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 
 module.exports = router;
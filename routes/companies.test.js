@@ -4,6 +4,7 @@ const request = require("supertest");
 
 const db = require("../db");
 const app = require("../app");
+const ApiKey = require("../models/apiKey");
 
 const {
   commonBeforeAll,
@@ -11,6 +12,8 @@ const {
   commonAfterEach,
   commonAfterAll,
   u1Token,
+  u2Token,
+  u3Token,
   a1Token
 } = require("./_testCommon");
 
@@ -19,6 +22,14 @@ beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
+/** Return an API key with companies:write, issued for company c1. */
+
+async function c1Key() {
+  const { key } = await ApiKey.create(
+      { name: "ATS", scopes: ["companies:write"], companyHandle: "c1" }, "a1");
+  return key;
+}
+
 /************************************** POST /companies */
 
 describe("POST /companies", function () {
@@ -41,6 +52,24 @@ describe("POST /companies", function () {
     });
   });
 
+  test("unauth for recruiter and auditor", async function () {
+    for (const token of [u2Token, u3Token]) {
+      const resp = await request(app)
+          .post("/companies")
+          .send(newCompany)
+          .set("authorization", `Bearer ${token}`);
+      expect(resp.statusCode).toEqual(401);
+    }
+  });
+
+  test("unauth with API key for a company", async function () {
+    const resp = await request(app)
+        .post("/companies")
+        .send(newCompany)
+        .set("authorization", `Bearer ${await c1Key()}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("bad request with missing data", async function () {
     const resp = await request(app)
         .post("/companies")
@@ -94,6 +123,8 @@ describe("GET /companies", function () {
               logoUrl: "http://c3.img",
             },
           ],
+      total: 3,
+      next: null,
     });
   });
 
@@ -115,6 +146,8 @@ describe("GET /companies", function () {
               logoUrl: "http://c1.img",
             }
           ],
+      total: 1,
+      next: null,
     });
   });
   test("ok for anon: min & max employees filters", async function () {
@@ -138,6 +171,8 @@ describe("GET /companies", function () {
               logoUrl: "http://c2.img",
             }
           ],
+      total: 2,
+      next: null,
     });
   });
   test("fails: incorrect min & max filters", async function () {
@@ -146,6 +181,72 @@ describe("GET /companies", function () {
     expect(resp.statusCode).toEqual(400);
   });
 
+  test("ok for anon: query string filters", async function () {
+    const resp = await request(app).get("/companies")
+      .query({ name: "c2", minEmployees: 1, maxEmployees: 3 });
+    expect(resp.body).toEqual({
+      companies:
+          [
+            {
+              handle: "c2",
+              name: "C2",
+              description: "Desc2",
+              numEmployees: 2,
+              logoUrl: "http://c2.img",
+            }
+          ],
+      total: 1,
+      next: null,
+    });
+  });
+  test("ok for anon: paging", async function () {
+    const resp = await request(app).get("/companies")
+      .query({ limit: 2 });
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+    expect(resp.body.total).toEqual(3);
+
+    const nextResp = await request(app).get("/companies")
+      .query({ limit: 2, cursor: resp.body.next });
+    expect(nextResp.body.companies.map(c => c.handle)).toEqual(["c3"]);
+    expect(nextResp.body.next).toBeNull();
+  });
+  test("ok for anon: sorting", async function () {
+    const resp = await request(app).get("/companies")
+      .query({ sort: "-numEmployees", limit: 2 });
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c3", "c2"]);
+
+    const nextResp = await request(app).get("/companies")
+      .query({ sort: "-numEmployees", limit: 2, cursor: resp.body.next });
+    expect(nextResp.body.companies.map(c => c.handle)).toEqual(["c1"]);
+  });
+  test("fails: cursor used with a different sort", async function () {
+    const resp = await request(app).get("/companies")
+      .query({ sort: "-numEmployees", limit: 2 });
+    const nextResp = await request(app).get("/companies")
+      .query({ limit: 2, cursor: resp.body.next });
+    expect(nextResp.statusCode).toEqual(400);
+  });
+  test("fails: bad cursor", async function () {
+    const resp = await request(app).get("/companies")
+      .query({ cursor: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+  test("fails: limit out of range", async function () {
+    const resp = await request(app).get("/companies")
+      .query({ limit: 0 });
+    expect(resp.statusCode).toEqual(400);
+  });
+  test("fails: query string filter of the wrong type", async function () {
+    const resp = await request(app).get("/companies")
+      .query({ minEmployees: "lots" });
+    expect(resp.statusCode).toEqual(400);
+  });
+  test("fails: unknown query string parameter", async function () {
+    const resp = await request(app).get("/companies")
+      .query({ nope: "C1" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("fails: test next() handler", async function () {
     // there's no normal failure event which will cause this route to fail ---
     // thus making it hard to test that the error-handler works with it. This
@@ -175,7 +276,11 @@ describe("GET /companies/:handle", function () {
             id: expect.any(Number),
             title: "j1",
             equity: "0",
-            salary: 0
+            salaryMin: 0,
+            salaryMax: null,
+            currency: "USD",
+            payPeriod: "annual",
+            pipeline: {}
           },
         ]
       },
@@ -202,6 +307,88 @@ describe("GET /companies/:handle", function () {
   });
 });
 
+/************************************** GET /companies/:handle/applications */
+
+describe("GET /companies/:handle/applications", function () {
+  let jobId;
+
+  beforeEach(async function () {
+    jobId = (await db.query(`SELECT id FROM jobs WHERE title = 'j1'`)).rows[0].id;
+    await request(app)
+        .post(`/users/u1/jobs/${jobId}`)
+        .set("authorization", `Bearer ${u1Token}`);
+  });
+
+  test("works for the company's recruiter", async function () {
+    const resp = await request(app)
+        .get("/companies/c1/applications")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({
+      applications: [
+        {
+          username: "u1",
+          firstName: "U1F",
+          lastName: "U1L",
+          email: "user1@user.com",
+          headline: null,
+          location: null,
+          skills: [],
+          jobId,
+          jobTitle: "j1",
+          companyHandle: "c1",
+          state: "applied",
+          appliedAt: expect.any(String),
+          updatedAt: expect.any(String),
+        },
+      ],
+      total: 1,
+      next: null,
+    });
+  });
+
+  test("works: jobId filter and sort", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/applications?jobId=${jobId}&sort=lastName`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body.total).toEqual(1);
+  });
+
+  test("works: no applications", async function () {
+    const resp = await request(app)
+        .get("/companies/c2/applications")
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body).toEqual({ applications: [], total: 0, next: null });
+  });
+
+  test("unauth for another company's recruiter", async function () {
+    const resp = await request(app)
+        .get("/companies/c2/applications")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for candidate", async function () {
+    const resp = await request(app)
+        .get("/companies/c1/applications")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid sort", async function () {
+    const resp = await request(app)
+        .get("/companies/c1/applications?sort=email")
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such company", async function () {
+    const resp = await request(app)
+        .get("/companies/nope/applications")
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
 /************************************** PATCH /companies/:handle */
 
 describe("PATCH /companies/:handle", function () {
@@ -223,6 +410,22 @@ describe("PATCH /companies/:handle", function () {
     });
   });
 
+  test("works with API key for the company", async function () {
+    const resp = await request(app)
+        .patch(`/companies/c1`)
+        .send({ name: "C1-new" })
+        .set("authorization", `Bearer ${await c1Key()}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth with API key for another company", async function () {
+    const resp = await request(app)
+        .patch(`/companies/c2`)
+        .send({ name: "C2-new" })
+        .set("authorization", `Bearer ${await c1Key()}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .patch(`/companies/c1`)
@@ -273,6 +476,16 @@ describe("DELETE /companies/:handle", function () {
     expect(resp.body).toEqual({ deleted: "c1" });
   });
 
+  test("unauth with API key for another company", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c2`)
+        .set("authorization", `Bearer ${await c1Key()}`);
+    expect(resp.statusCode).toEqual(401);
+
+    const found = await db.query(`SELECT handle FROM companies WHERE handle = 'c2'`);
+    expect(found.rows).toEqual([{ handle: "c2" }]);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .delete(`/companies/c1`);
@@ -286,3 +499,78 @@ describe("DELETE /companies/:handle", function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+/************************************** POST /companies/:handle/recruiters/:username */
+
+describe("POST /companies/:handle/recruiters/:username", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post(`/companies/c2/recruiters/u2`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ recruiter: { handle: "c2", username: "u2" } });
+  });
+
+  test("unauth with API key for another company", async function () {
+    const resp = await request(app)
+        .post(`/companies/c2/recruiters/u2`)
+        .set("authorization", `Bearer ${await c1Key()}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for recruiter", async function () {
+    const resp = await request(app)
+        .post(`/companies/c2/recruiters/u2`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request if already a recruiter", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/recruiters/u2`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such company", async function () {
+    const resp = await request(app)
+        .post(`/companies/nope/recruiters/u2`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for no such user", async function () {
+    const resp = await request(app)
+        .post(`/companies/c2/recruiters/nope`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /companies/:handle/recruiters/:username */
+
+describe("DELETE /companies/:handle/recruiters/:username", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/recruiters/u2`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body).toEqual({ deleted: "u2" });
+  });
+
+  test("unauth with API key for another company", async function () {
+    await request(app)
+        .post(`/companies/c2/recruiters/u2`)
+        .set("authorization", `Bearer ${a1Token}`);
+    const resp = await request(app)
+        .delete(`/companies/c2/recruiters/u2`)
+        .set("authorization", `Bearer ${await c1Key()}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not a recruiter", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c2/recruiters/u2`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
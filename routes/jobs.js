@@ -6,26 +6,58 @@ const jsonschema = require("jsonschema");
 const express = require("express");
 
 const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, ensureIsAdmin } = require("../middleware/auth");
+const { coerceQuery } = require("../helpers/query");
+const { 
+  ensureLoggedIn, 
+  ensurePermission, 
+  ensureCompanyAccess } = require("../middleware/auth");
 const Job = require("../models/job");
+const Application = require("../models/application");
 
 const jobNewSchema = require("../schemas/jobNew.json");
 const jobUpdateSchema = require("../schemas/jobUpdate.json");
 const jobFilterSchema = require("../schemas/jobFilter.json");
+const applicationFilterSchema = require("../schemas/applicationFilter.json");
 
 const router = new express.Router();
 
+/** Turn a database error caused by invalid job data into a BadRequestError;
+ *  other errors are returned unchanged. */
+
+function jobDataError(err) {
+  if(err.code === '23514' && err.constraint === 'jobs_closes_after_posted')
+    return new BadRequestError('closesAt cannot be before postedAt');
+  if(err.code === '23514' && err.constraint === 'jobs_salary_range')
+    return new BadRequestError('salaryMax cannot be less than salaryMin');
+  if(err.code === '23503' && err.constraint === 'jobs_currency_fkey')
+    return new BadRequestError('No exchange rate for currency');
+  return err;
+}
+
+/** Return the handle of the company that posted the job in the URL. */
+
+async function jobCompany(req) {
+  const job = await Job.get(req.params.id);
+  return job.companyHandle;
+}
 
 /** POST / { job } =>  { job }
  *
- * job should be { title, salary, equity, companyHandle }
+ * job should be { title, equity, company_handle } and can also include
+ * { salaryMin, salaryMax, currency, payPeriod, description, location,
+ * remote, employmentType, postedAt, closesAt, skills }; dates are given as
+ * "YYYY-MM-DD". currency must have a row in exchange_rates. skills lists
+ * the names of the skills the job requires.
  *
- * Returns { id, title, salary, equity, companyHandle }
+ * Returns { id, title, salaryMin, salaryMax, currency, payPeriod,
+ *           annualSalary, equity, company_handle, description, location,
+ *           remote, employmentType, postedAt, closesAt, skills }
  *
- * Authorization required: admin
+ * Authorization required: jobs:write (admin, recruiter for company_handle)
  */
 
-router.post("/", ensureLoggedIn, ensureIsAdmin, async function (req, res, next) {
+router.post("/", ensureLoggedIn, ensurePermission("jobs:write"), 
+  ensureCompanyAccess(req => req.body.company_handle), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, jobNewSchema);
     if (!validator.valid) {
@@ -35,31 +67,54 @@ router.post("/", ensureLoggedIn, ensureIsAdmin, async function (req, res, next)
     const job = await Job.create(req.body);
     return res.status(201).json({ job });
   } catch (err) {
-    return next(err);
+    return next(jobDataError(err));
   }
 });
 
 /** GET /  =>
- *   { jobs: [ { id, title, salary, equity, companyHandle  }, ...] }
+ *   { jobs: [ { id, title, salaryMin, salaryMax, currency, payPeriod,
+ *               annualSalary, equity, companyHandle, location, remote,
+ *               employmentType, postedAt, closesAt }, ...], total, next }
+ *
+ * annualSalary is salaryMin as a yearly amount in the base currency.
+ *
+ * Returns one page of jobs: up to `limit` (default 50), skipping `offset`
+ * or starting after `cursor`. total counts every matching job; pass next
+ * as the cursor to get the following page (it is null on the last page).
+ *
+ * `sort` orders the jobs by a comma-separated list of id, title,
+ * annualSalary, equity, companyHandle and postedAt, each prefixed with "-"
+ * for descending order, e.g. ?sort=-annualSalary,title (default: title).
  *
- * Can filter on provided search filters:
- * - title
- * - minSalary
+ * Can filter on provided search filters, given in the query string
+ * (e.g. ?title=engineer&hasEquity=true) or, for older clients, as
+ * { filters: { ... } } in the body:
+ * - title (will find case-insensitive, partial matches)
+ * - minSalary, maxSalary (yearly amounts in the base currency; matches
+ *   jobs whose salary range overlaps them)
  * - hasEquity
+ * - location (will find case-insensitive, partial matches)
+ * - remote (onsite, hybrid or remote)
+ * - employmentType (full-time, part-time, contract or internship)
+ * - postedSince (jobs posted on or after this date)
+ * - isOpen (jobs whose closesAt date hasn't passed)
  *
  * Authorization required: none
  */
 
 router.get("/", async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, jobFilterSchema);
+    const query = Object.keys(req.query).length ?
+      coerceQuery(req.query, jobFilterSchema) : req.body;
+    const validator = jsonschema.validate(query, jobFilterSchema);
     if (!validator.valid) {
       const errs = validator.errors.map(e => e.stack);
       throw new BadRequestError(errs);
     }
     
-    const jobs = await Job.findAll(req.body.filters);
-    return res.json({ jobs });
+    const { limit, offset, cursor, sort } = query;
+    const page = await Job.findAll(query.filters, { limit, offset, cursor, sort });
+    return res.json(page);
   } catch (err) {
     return next(err);
   }
@@ -67,7 +122,9 @@ router.get("/", async function (req, res, next) {
 
 /** GET /[id]  =>  { job }
  *
- *  Job is { id, title, salary, equity, companyHandle }
+ *  Job is { id, title, salaryMin, salaryMax, currency, payPeriod,
+ *           annualSalary, equity, companyHandle, description, location,
+ *           remote, employmentType, postedAt, closesAt, skills }
  *
  * Authorization required: none
  */
@@ -81,18 +138,59 @@ router.get("/:id", async function (req, res, next) {
   }
 });
 
+/** GET /[id]/applications  =>
+ *   { applications: [ { username, firstName, lastName, email, headline,
+ *                       location, skills, jobId, jobTitle, companyHandle,
+ *                       state, appliedAt, updatedAt }, ...], total, next }
+ *
+ * Lists the people who applied to the job, newest first. Can filter on
+ * state and appliedSince ("YYYY-MM-DD") in the query string, and is paged
+ * and sorted like GET /jobs; sort can use appliedAt, updatedAt, username,
+ * lastName and state.
+ *
+ * Authorization required: applications:read (admin, auditor, recruiter
+ * for the job's company)
+ */
+
+router.get("/:id/applications", ensureLoggedIn, ensurePermission("applications:read"),
+  ensureCompanyAccess(jobCompany), async function (req, res, next) {
+  try {
+    const query = coerceQuery(req.query, applicationFilterSchema);
+    const validator = jsonschema.validate(query, applicationFilterSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const job = await Job.get(req.params.id);
+    const { limit, offset, cursor, sort } = query;
+    const page = await Application.findAll(
+      { ...query.filters, jobId: job.id }, { limit, offset, cursor, sort });
+    return res.json(page);
+  } catch (err) {
+    return next(err);
+  }
+});
+
 /** PATCH /[id] { fld1, fld2, ... } => { job }
  *
  * Patches job data.
  *
- * fields can be: { title, salary, equity }
+ * fields can be: { title, salaryMin, salaryMax, currency, payPeriod, equity,
+ *                  description, location, remote, employmentType, postedAt,
+ *                  closesAt, skills }
+ *
+ * skills, when given, replaces the job's whole list of skills.
  *
- * Returns { id, title, salary, equity, companyHandle }
+ * Returns { id, title, salaryMin, salaryMax, currency, payPeriod,
+ *           annualSalary, equity, companyHandle, description, location,
+ *           remote, employmentType, postedAt, closesAt, skills }
  *
- * Authorization required: admin
+ * Authorization required: jobs:write (admin, recruiter for the job's company)
  */
 
-router.patch("/:id", ensureLoggedIn, ensureIsAdmin, async function (req, res, next) {
+router.patch("/:id", ensureLoggedIn, ensurePermission("jobs:write"), 
+  ensureCompanyAccess(jobCompany), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, jobUpdateSchema);
     if (!validator.valid) {
@@ -103,16 +201,17 @@ router.patch("/:id", ensureLoggedIn, ensureIsAdmin, async function (req, res, ne
     const job = await Job.update(req.params.id, req.body);
     return res.json({ job });
   } catch (err) {
-    return next(err);
+    return next(jobDataError(err));
   }
 });
 
 /** DELETE /[id]  =>  { deleted: id }
  *
- * Authorization: admin
+ * Authorization: jobs:write (admin, recruiter for the job's company)
  */
 
-router.delete("/:id", ensureLoggedIn, ensureIsAdmin, async function (req, res, next) {
+router.delete("/:id", ensureLoggedIn, ensurePermission("jobs:write"), 
+  ensureCompanyAccess(jobCompany), async function (req, res, next) {
   try {
     await Job.remove(req.params.id);
     return res.json({ deleted: req.params.id });
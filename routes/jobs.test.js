@@ -4,6 +4,7 @@ const request = require("supertest");
 
 const db = require("../db");
 const app = require("../app");
+const ApiKey = require("../models/apiKey");
 
 const {
   commonBeforeAll,
@@ -11,6 +12,8 @@ const {
   commonAfterEach,
   commonAfterAll,
   u1Token,
+  u2Token,
+  u3Token,
   a1Token
 } = require("./_testCommon");
 
@@ -24,7 +27,7 @@ afterAll(commonAfterAll);
 describe("POST /jobs", function () {
   const newJob = {
     title: "new",
-    salary: 1,
+    salaryMin: 1,
     equity: 0.1,
     company_handle: "c1",
   };
@@ -39,11 +42,198 @@ describe("POST /jobs", function () {
       job: {
         ...newJob, 
         id: resp.body.job.id, 
-        equity: String(newJob.equity)
+        equity: String(newJob.equity),
+        salaryMax: null,
+        currency: "USD",
+        payPeriod: "annual",
+        annualSalary: "1",
+        description: null,
+        location: null,
+        remote: "onsite",
+        employmentType: "full-time",
+        postedAt: expect.any(String),
+        closesAt: null,
+        skills: []
       }
     });
   });
 
+  test("ok for admin: with listing details", async function () {
+    const details = {
+      description: "Build things",
+      location: "Denver, CO",
+      remote: "remote",
+      employmentType: "internship",
+      postedAt: "2026-01-05",
+      closesAt: "2026-02-05",
+    };
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, ...details })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.job).toEqual(expect.objectContaining(details));
+  });
+
+  test("ok for admin: salary range in another currency", async function () {
+    await db.query(`INSERT INTO exchange_rates (currency, rate) VALUES ('GBP', 1.25)`);
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, salaryMin: 20, salaryMax: 25, currency: "GBP",
+                payPeriod: "hourly" })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.job).toEqual(expect.objectContaining({
+      salaryMin: 20,
+      salaryMax: 25,
+      currency: "GBP",
+      payPeriod: "hourly",
+      annualSalary: "52000",
+    }));
+  });
+
+  test("ok for admin: with skills", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, skills: ["SQL", "Python"] })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.job.skills).toEqual(["Python", "SQL"]);
+  });
+
+  test("bad request with blank skill", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, skills: [" "] })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with unknown currency", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, currency: "XYZ" })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("ok for admin: hourly pay whose yearly figure overflows an integer", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, payPeriod: "hourly", salaryMin: 2000000 })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.job.annualSalary).toEqual("4160000000");
+  });
+
+  test("bad request with salary too large to store", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, salaryMin: 3000000000 })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with salary range upside down", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, salaryMin: 10, salaryMax: 5 })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request when closing before posting", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, postedAt: "2026-01-05", closesAt: "2026-01-01" })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with dates not on the calendar", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, postedAt: "2026-02-30" })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid listing details", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, remote: "sometimes", postedAt: "Jan 5" })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("ok for recruiter", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send(newJob)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("unauth for recruiter of another company", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, company_handle: "c2" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("ok with API key scoped to jobs:write", async function () {
+    const { key } = await ApiKey.create(
+        { name: "ATS", scopes: ["jobs:write"], companyHandle: "c1" }, "a1");
+    const resp = await request(app)
+        .post("/jobs")
+        .send(newJob)
+        .set("authorization", `Bearer ${key}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("unauth with API key for another company", async function () {
+    const { key } = await ApiKey.create(
+        { name: "ATS", scopes: ["jobs:write"], companyHandle: "c2" }, "a1");
+    const resp = await request(app)
+        .post("/jobs")
+        .send(newJob)
+        .set("authorization", `Bearer ${key}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with API key without jobs:write", async function () {
+    const { key } = await ApiKey.create(
+        { name: "ATS", scopes: ["jobs:read"] }, "a1");
+    const resp = await request(app)
+        .post("/jobs")
+        .send(newJob)
+        .set("authorization", `Bearer ${key}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with revoked API key", async function () {
+    const { id, key } = await ApiKey.create(
+        { name: "ATS", scopes: ["jobs:write"] }, "a1");
+    await ApiKey.revoke(id);
+    const resp = await request(app)
+        .post("/jobs")
+        .send(newJob)
+        .set("authorization", `Bearer ${key}`);
+    expect(resp.statusCode).toEqual(401);
+    expect(resp.body.error.message).toEqual("Invalid API key");
+  });
+
+  test("unauth for candidate and auditor", async function () {
+    for (const token of [u1Token, u3Token]) {
+      const resp = await request(app)
+          .post("/jobs")
+          .send(newJob)
+          .set("authorization", `Bearer ${token}`);
+      expect(resp.statusCode).toEqual(401);
+    }
+  });
+
   test("bad request with missing data", async function () {
     const resp = await request(app)
         .post("/jobs")
@@ -78,11 +268,22 @@ describe("GET /jobs", function () {
             {
               id: expect.any(Number),
               title: "j1",
-              salary: 0,
+              salaryMin: 0,
+              salaryMax: null,
+              currency: "USD",
+              payPeriod: "annual",
+              annualSalary: "0",
               equity: "0",
-              companyHandle: "c1"
+              companyHandle: "c1",
+              location: null,
+              remote: "onsite",
+              employmentType: "full-time",
+              postedAt: expect.any(String),
+              closesAt: null
             }
           ],
+      total: 1,
+      next: null,
     });
   });
 
@@ -100,22 +301,43 @@ describe("GET /jobs", function () {
             {
               id: expect.any(Number),
               title: "j1",
-              salary: 0,
+              salaryMin: 0,
+              salaryMax: null,
+              currency: "USD",
+              payPeriod: "annual",
+              annualSalary: "0",
               equity: "0",
-              companyHandle: "c1"
+              companyHandle: "c1",
+              location: null,
+              remote: "onsite",
+              employmentType: "full-time",
+              postedAt: expect.any(String),
+              closesAt: null
             }
           ],
+      total: 1,
+      next: null,
     });
   });
   test("ok for anon: min salary filter", async function () {
     const resp = await request(app).get("/jobs")
       .send(f2);
-    expect(resp.body).toEqual({ jobs: [] });
+    expect(resp.body).toEqual({ jobs: [], total: 0, next: null });
+  });
+  test("ok for anon: query string salary range", async function () {
+    const resp = await request(app).get("/jobs")
+      .query({ minSalary: 0, maxSalary: 10 });
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["j1"]);
+  });
+  test("fails: minSalary over maxSalary", async function () {
+    const resp = await request(app).get("/jobs")
+      .query({ minSalary: 10, maxSalary: 1 });
+    expect(resp.statusCode).toEqual(400);
   });
   test("ok for anon: has equity filter (true)", async function () {
     const resp = await request(app).get("/jobs")
       .send(f3);
-      expect(resp.body).toEqual({ jobs: [] });
+      expect(resp.body).toEqual({ jobs: [], total: 0, next: null });
   });
   test("ok for anon: has equity filter (false)", async function () {
     const resp = await request(app).get("/jobs")
@@ -126,11 +348,22 @@ describe("GET /jobs", function () {
             {
               id: expect.any(Number),
               title: "j1",
-              salary: 0,
+              salaryMin: 0,
+              salaryMax: null,
+              currency: "USD",
+              payPeriod: "annual",
+              annualSalary: "0",
               equity: "0",
-              companyHandle: "c1"
+              companyHandle: "c1",
+              location: null,
+              remote: "onsite",
+              employmentType: "full-time",
+              postedAt: expect.any(String),
+              closesAt: null
             }
           ],
+      total: 1,
+      next: null,
     });
   });
   test("fails: extra filter parameters", async function () {
@@ -139,6 +372,92 @@ describe("GET /jobs", function () {
     expect(resp.statusCode).toEqual(400);
   });
 
+  test("ok for anon: query string filters", async function () {
+    const resp = await request(app).get("/jobs")
+      .query({ title: "J", minSalary: 0, hasEquity: false });
+    expect(resp.body).toEqual({
+      jobs:
+          [
+            {
+              id: expect.any(Number),
+              title: "j1",
+              salaryMin: 0,
+              salaryMax: null,
+              currency: "USD",
+              payPeriod: "annual",
+              annualSalary: "0",
+              equity: "0",
+              companyHandle: "c1",
+              location: null,
+              remote: "onsite",
+              employmentType: "full-time",
+              postedAt: expect.any(String),
+              closesAt: null
+            }
+          ],
+      total: 1,
+      next: null,
+    });
+  });
+  test("ok for anon: query string listing filters", async function () {
+    await db.query(`
+      INSERT INTO jobs(title, company_handle, remote, employment_type,
+                       posted_at, closes_at)
+      VALUES ('j2', 'c2', 'remote', 'part-time', '2026-01-10', '2026-01-20')`);
+    const resp = await request(app).get("/jobs")
+      .query({ remote: "remote", employmentType: "part-time",
+               postedSince: "2026-01-01", isOpen: false });
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["j2"]);
+    expect(resp.body.jobs[0].postedAt).toEqual("2026-01-10");
+  });
+  test("fails: postedSince not on the calendar", async function () {
+    for (const postedSince of ["2024-02-30", "2024-00-10"]) {
+      const resp = await request(app).get("/jobs")
+        .query({ postedSince });
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+  test("fails: query string listing filter out of range", async function () {
+    const resp = await request(app).get("/jobs")
+      .query({ employmentType: "gig" });
+    expect(resp.statusCode).toEqual(400);
+  });
+  test("ok for anon: query string has equity filter", async function () {
+    const resp = await request(app).get("/jobs")
+      .query({ hasEquity: true });
+    expect(resp.body).toEqual({ jobs: [], total: 0, next: null });
+  });
+  test("ok for anon: paging with offset", async function () {
+    const resp = await request(app).get("/jobs")
+      .query({ limit: 1, offset: 1 });
+    expect(resp.body).toEqual({ jobs: [], total: 1, next: null });
+  });
+  test("ok for anon: sorting", async function () {
+    await db.query(`
+      INSERT INTO jobs(title, salary_min, equity, company_handle)
+      VALUES ('j2', 100, NULL, 'c2')`);
+    const resp = await request(app).get("/jobs")
+      .query({ sort: "-annualSalary,title" });
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["j2", "j1"]);
+  });
+  test("fails: unknown sort field", async function () {
+    const resp = await request(app).get("/jobs")
+      .query({ sort: "-annualSalary,nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+  test("fails: query string filter of the wrong type", async function () {
+    const resp = await request(app).get("/jobs")
+      .query({ hasEquity: "maybe" });
+    expect(resp.statusCode).toEqual(400);
+  });
+  test("fails: tampered cursor", async function () {
+    const cursor = Buffer.from(JSON.stringify({ sort: "id", values: ["abc"] }))
+      .toString("base64url");
+    const resp = await request(app).get("/jobs")
+      .query({ sort: "id", cursor });
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("fails: test next() handler", async function () {
     // there's no normal failure event which will cause this route to fail ---
     // thus making it hard to test that the error-handler works with it. This
@@ -164,9 +483,20 @@ describe("GET /jobs/:id", function () {
       job: {
         id: jobId,
         title: "j1",
-        salary: 0,
+        salaryMin: 0,
+        salaryMax: null,
+        currency: "USD",
+        payPeriod: "annual",
+        annualSalary: "0",
         equity: "0",
-        companyHandle: "c1"
+        companyHandle: "c1",
+        description: null,
+        location: null,
+        remote: "onsite",
+        employmentType: "full-time",
+        postedAt: expect.any(String),
+        closesAt: null,
+        skills: []
       },
     });
   });
@@ -177,6 +507,117 @@ describe("GET /jobs/:id", function () {
   });
 });
 
+// /************************************** GET /jobs/:id/applications */
+
+describe("GET /jobs/:id/applications", function () {
+  let jobId;
+
+  beforeEach(async function () {
+    jobId = (await db.query(`SELECT id FROM jobs WHERE title = 'j1'`)).rows[0].id;
+    await request(app)
+        .post(`/users/u1/jobs/${jobId}`)
+        .set("authorization", `Bearer ${u1Token}`);
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${jobId}/applications`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body).toEqual({
+      applications: [
+        {
+          username: "u1",
+          firstName: "U1F",
+          lastName: "U1L",
+          email: "user1@user.com",
+          headline: null,
+          location: null,
+          skills: [],
+          jobId,
+          jobTitle: "j1",
+          companyHandle: "c1",
+          state: "applied",
+          appliedAt: expect.any(String),
+          updatedAt: expect.any(String),
+        },
+      ],
+      total: 1,
+      next: null,
+    });
+  });
+
+  test("works for the company's recruiter", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${jobId}/applications`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body.total).toEqual(1);
+  });
+
+  test("works: state filter", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${jobId}/applications?state=offered`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body).toEqual({ applications: [], total: 0, next: null });
+  });
+
+  test("unauth for another company's recruiter", async function () {
+    const job = await request(app)
+        .post("/jobs")
+        .send({ title: "j2", equity: 0, company_handle: "c2" })
+        .set("authorization", `Bearer ${a1Token}`);
+    const resp = await request(app)
+        .get(`/jobs/${job.body.job.id}/applications`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for candidate", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${jobId}/applications`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get(`/jobs/${jobId}/applications`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid filter", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${jobId}/applications?state=nope`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with appliedSince not on the calendar", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${jobId}/applications?appliedSince=2024-02-30`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with tampered cursor", async function () {
+    for (const values of [["not a time", jobId, "u1"],
+                          ["-271821-04-20T00:00:00.000Z", jobId, "u1"]]) {
+      const cursor = Buffer.from(JSON.stringify(
+          { sort: "-appliedAt,jobId,username", values })).toString("base64url");
+      const resp = await request(app)
+          .get(`/jobs/${jobId}/applications`)
+          .query({ cursor })
+          .set("authorization", `Bearer ${a1Token}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+        .get(`/jobs/0/applications`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
 // /************************************** PATCH /jobs/:id */
 
 describe("PATCH /jobs/:id", function () {
@@ -195,13 +636,52 @@ describe("PATCH /jobs/:id", function () {
       job: {
         id: jobId,
         title: "J1-new",
-        salary: 0,
+        salaryMin: 0,
+        salaryMax: null,
+        currency: "USD",
+        payPeriod: "annual",
+        annualSalary: "0",
         equity: "0",
-        companyHandle: "c1"
+        companyHandle: "c1",
+        description: null,
+        location: null,
+        remote: "onsite",
+        employmentType: "full-time",
+        postedAt: expect.any(String),
+        closesAt: null,
+        skills: []
       },
     });
   });
 
+  test("works for the company's recruiter", async function () {
+    const result = await db.query(
+      `SELECT * FROM jobs`);
+    const jobId = result.rows[0].id;
+
+    const resp = await request(app)
+        .patch(`/jobs/${jobId}`)
+        .send({ closesAt: "2099-01-01" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body.job.closesAt).toEqual("2099-01-01");
+  });
+
+  test("unauth for another company's recruiter", async function () {
+    await db.query(`DELETE FROM company_recruiters`);
+    await db.query(
+      `INSERT INTO company_recruiters (company_handle, username)
+       VALUES ('c2', 'u2')`);
+    const result = await db.query(
+      `SELECT * FROM jobs`);
+    const jobId = result.rows[0].id;
+
+    const resp = await request(app)
+        .patch(`/jobs/${jobId}`)
+        .send({ title: "J1-new" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for anon", async function () {
     const result = await db.query(
       `SELECT * FROM jobs`);
@@ -239,6 +719,18 @@ describe("PATCH /jobs/:id", function () {
     expect(resp.statusCode).toEqual(400);
   });
 
+  test("bad request with salary too large to store", async function () {
+    const result = await db.query(
+      `SELECT * FROM jobs`);
+    const jobId = result.rows[0].id;
+
+    const resp = await request(app)
+        .patch(`/jobs/${jobId}`)
+        .send({ salaryMax: 3000000000 })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("bad request on invalid data", async function () {
     const result = await db.query(
       `SELECT * FROM jobs`);
@@ -0,0 +1,52 @@
+"use strict";
+
+/** Routes for search. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const { coerceQuery } = require("../helpers/query");
+const Search = require("../models/search");
+
+const searchQuerySchema = require("../schemas/searchQuery.json");
+
+const router = new express.Router();
+
+
+/** GET /?q=...  =>  { results: [ result, ... ], total }
+ *
+ * Full-text search across companies and jobs, best matches first. Matches
+ * plurals and other word forms, and any word order. q can use quoted
+ * phrases, OR, and -word to exclude a word.
+ *
+ * Each result is either
+ *   { type: "company", handle, name, snippet, rank } or
+ *   { type: "job", id, title, companyHandle, companyName, snippet, rank }
+ * where snippet highlights the matched words with <mark> tags.
+ *
+ * Returns up to `limit` (default 50) results, skipping `offset`; total
+ * counts every match.
+ *
+ * Authorization required: none
+ */
+
+router.get("/", async function (req, res, next) {
+  try {
+    const query = coerceQuery(req.query, searchQuerySchema);
+    const validator = jsonschema.validate(query, searchQuerySchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { q, limit, offset } = query;
+    const results = await Search.find(q, { limit, offset });
+    return res.json(results);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,55 @@
+"use strict";
+
+const request = require("supertest");
+
+const db = require("../db");
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /search */
+
+describe("GET /search", function () {
+  test("ok for anon", async function () {
+    await db.query(`
+      INSERT INTO jobs(title, salary_min, equity, company_handle)
+      VALUES ('Senior Developer', 100, NULL, 'c2')`);
+    const resp = await request(app).get("/search")
+      .query({ q: "developers" });
+    expect(resp.body).toEqual({
+      results: [
+        {
+          type: "job",
+          id: expect.any(Number),
+          title: "Senior Developer",
+          companyHandle: "c2",
+          companyName: "C2",
+          snippet: "Senior <mark>Developer</mark> at C2",
+          rank: expect.any(Number),
+        },
+      ],
+      total: 1,
+    });
+  });
+
+  test("bad request without q", async function () {
+    const resp = await request(app).get("/search");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid limit", async function () {
+    const resp = await request(app).get("/search")
+      .query({ q: "c1", limit: "lots" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
@@ -7,31 +7,72 @@ const jsonschema = require("jsonschema");
 const express = require("express");
 const { 
   ensureLoggedIn, 
-  ensureCorrectUser, 
-  ensureIsAuthorized, 
-  ensureIsAdmin } = require("../middleware/auth");
-const { BadRequestError, NotFoundError } = require("../expressError");
+  ensurePermission, 
+  ensureCorrectUser,
+  ensureCorrectUserOrPermission,
+  ensureCompanyAccess } = require("../middleware/auth");
+const { 
+  BadRequestError, 
+  NotFoundError, 
+  UnauthorizedError } = require("../expressError");
 const User = require("../models/user");
+const Profile = require("../models/profile");
+const Recommendation = require("../models/recommendation");
+const SavedJob = require("../models/savedJob");
+const SavedSearch = require("../models/savedSearch");
+const EmailVerification = require("../models/emailVerification");
+const LoginAttempt = require("../models/loginAttempt");
+const TwoFactor = require("../models/twoFactor");
+const Job = require("../models/job");
 const { createToken } = require("../helpers/tokens");
+const { CANDIDATE_STATES, RESUME_TYPES } = require("../helpers/applications");
+const { RESUME_MAX_BYTES } = require("../config");
+const { userHasPermission } = require("../helpers/roles");
+const { coerceQuery } = require("../helpers/query");
 const userNewSchema = require("../schemas/userNew.json");
+const twoFactorCodeSchema = require("../schemas/twoFactorCode.json");
 const userUpdateSchema = require("../schemas/userUpdate.json");
+const userFilterSchema = require("../schemas/userFilter.json");
+const profileUpdateSchema = require("../schemas/profileUpdate.json");
+const recommendationQuerySchema = require("../schemas/recommendationQuery.json");
+const applicationNewSchema = require("../schemas/applicationNew.json");
+const applicationUpdateSchema = require("../schemas/applicationUpdate.json");
+const resumeUploadSchema = require("../schemas/resumeUpload.json");
+const savedJobNewSchema = require("../schemas/savedJobNew.json");
+const savedSearchNewSchema = require("../schemas/savedSearchNew.json");
+const searchMatchesReadSchema = require("../schemas/searchMatchesRead.json");
+const jobFilterSchema = require("../schemas/jobFilter.json");
 
 const router = express.Router();
 
+// savedSearchNew.json refers to the filters in jobFilter.json
+const searchValidator = new jsonschema.Validator();
+searchValidator.addSchema(jobFilterSchema);
+
+/** Return the handle of the company an application in the URL is with. */
+
+async function applicationCompany(req) {
+  const job = await Job.get(req.params.id);
+  return job.companyHandle;
+}
+
 
 /** POST / { user }  => { user, token }
  *
  * Adds a new user. This is not the registration endpoint --- instead, this is
- * only for admin users to add new users. The new user being added can be an
- * admin.
+ * only for admin users to add new users. The new user being added can be
+ * given any role (see helpers/roles.js); it defaults to "candidate".
  *
  * This returns the newly created user and an authentication token for them:
- *  {user: { username, firstName, lastName, email, isAdmin }, token }
+ *  {user: { username, firstName, lastName, email, role, isAdmin }, token }
+ *
+ * The new user is emailed to say their account exists, with a link to
+ * verify their email address.
  *
- * Authorization required: admin
+ * Authorization required: users:write (admin)
  **/
 
-router.post("/", ensureLoggedIn, ensureIsAdmin, async function (req, res, next) {
+router.post("/", ensureLoggedIn, ensurePermission("users:write"), async function (req, res, next) {
   try {
     debugger;
     const validator = jsonschema.validate(req.body, userNewSchema);
@@ -40,6 +81,7 @@ router.post("/", ensureLoggedIn, ensureIsAdmin, async function (req, res, next)
       throw new BadRequestError(errs);
     }
     const user = await User.register(req.body);
+    await EmailVerification.send(user.username, "accountCreated");
     const token = createToken(user);
     return res.status(201).json({ user, token });
   } catch (err) {
@@ -48,17 +90,31 @@ router.post("/", ensureLoggedIn, ensureIsAdmin, async function (req, res, next)
 });
 
 
-/** GET / => { users: [ {username, firstName, lastName, email }, ... ] }
+/** GET / => { users: [ {username, firstName, lastName, email }, ... ], total, next }
  *
- * Returns list of all users.
+ * Returns one page of users: up to `limit` (default 50), skipping `offset`
+ * or starting after `cursor`, all given in the query string. total counts
+ * every user; pass next as the cursor to get the following page (it is
+ * null on the last page).
  *
- * Authorization required: admin
+ * `sort` orders the users by a comma-separated list of username, firstName,
+ * lastName and email, each prefixed with "-" for descending order
+ * (default: username).
+ *
+ * Authorization required: users:read (admin, auditor)
  **/
 
-router.get("/", ensureLoggedIn, ensureIsAdmin, async function (req, res, next) {
+router.get("/", ensureLoggedIn, ensurePermission("users:read"), async function (req, res, next) {
   try {
-    const users = await User.findAll();
-    return res.json({ users });
+    const query = coerceQuery(req.query, userFilterSchema);
+    const validator = jsonschema.validate(query, userFilterSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const page = await User.findAll(query);
+    return res.json(page);
   } catch (err) {
     return next(err);
   }
@@ -67,12 +123,15 @@ router.get("/", ensureLoggedIn, ensureIsAdmin, async function (req, res, next) {
 
 /** GET /[username] => { user }
  *
- * Returns { username, firstName, lastName, isAdmin }
+ * Returns { username, firstName, lastName, email, emailVerified, role,
+ *           isAdmin, jobs, saved, profile }
+ *   where saved is the user's saved jobs (see GET /[username]/saved)
+ *   and profile is as returned by PATCH /[username]/profile
  *
- * Authorization required: admin, user w/ username
+ * Authorization required: users:read (admin, auditor), user w/ username
  **/
 
-router.get("/:username", ensureLoggedIn, ensureIsAuthorized, async function (req, res, next) {
+router.get("/:username", ensureLoggedIn, ensureCorrectUserOrPermission("users:read"), async function (req, res, next) {
   try {
     const user = await User.get(req.params.username);
     return res.json({ user });
@@ -85,35 +144,112 @@ router.get("/:username", ensureLoggedIn, ensureIsAuthorized, async function (req
 /** PATCH /[username] { user } => { user }
  *
  * Data can include:
- *   { firstName, lastName, password, email }
+ *   { firstName, lastName, password, email, role }
+ *
+ * Only users with the users:write permission may change a role. A new
+ * email address is unverified until the user follows the link sent to it.
  *
- * Returns { username, firstName, lastName, email, isAdmin }
+ * Returns { username, firstName, lastName, email, emailVerified, role,
+ *           isAdmin }
  *
- * Authorization required: admin, user w/ username
+ * Authorization required: users:write (admin), user w/ username
  **/
 
-router.patch("/:username", ensureLoggedIn, ensureIsAuthorized, async function (req, res, next) {
+router.patch("/:username", ensureLoggedIn, ensureCorrectUserOrPermission("users:write"), 
+  async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, userUpdateSchema);
     if (!validator.valid) {
       const errs = validator.errors.map(e => e.stack);
       throw new BadRequestError(errs);
     }
+    if (req.body.role !== undefined && 
+      !userHasPermission(res.locals.user, "users:write"))
+      throw new UnauthorizedError();
 
     const user = await User.update(req.params.username, req.body);
+    if (req.body.email !== undefined && !user.emailVerified)
+      await EmailVerification.send(user.username);
     return res.json({ user });
   } catch (err) {
     return next(err);
   }
 });
 
+/** PATCH /[username]/profile { profile } => { profile }
+ *
+ * Data can include:
+ *   { headline, bio, location, skills: [name, ...],
+ *     experience: [{ title, company, startDate, endDate, description }, ...],
+ *     education: [{ school, degree, fieldOfStudy, startDate, endDate }, ...] }
+ *
+ * headline, bio and location change only if given; skills, experience and
+ * education replace the whole list when given. Dates are "YYYY-MM-DD".
+ *
+ * Returns { headline, bio, location, skills, experience, education }
+ *
+ * Authorization required: users:write (admin), user w/ username
+ **/
+
+router.patch("/:username/profile", ensureLoggedIn, ensureCorrectUserOrPermission("users:write"), 
+  async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, profileUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const profile = await Profile.update(req.params.username, req.body);
+    return res.json({ profile });
+  } catch (err) {
+    if(err.code === '23514' && 
+      ['work_experience_dates', 'education_dates'].includes(err.constraint))
+      return next(new BadRequestError('endDate cannot be before startDate'));
+    return next(err);
+  }
+});
+
+/** GET /[username]/recommendations => { recommendations: [ job, ... ] }
+ *
+ * Open jobs the user hasn't applied to, best match first: ranked by how
+ * many of each job's skills the user has, how close its title is to jobs
+ * they applied to before and whether its salary meets their preferences.
+ *
+ * Can be given, in the query string:
+ * - minSalary, maxSalary (yearly amounts in the base currency)
+ * - limit (default 20, at most 100)
+ *
+ * Each job is { id, title, salaryMin, salaryMax, currency, payPeriod,
+ *               annualSalary, equity, companyHandle, location, remote,
+ *               employmentType, postedAt, closesAt, matchingSkills, score }
+ *
+ * Authorization required: users:read (admin, auditor), user w/ username
+ **/
+
+router.get("/:username/recommendations", ensureLoggedIn, ensureCorrectUserOrPermission("users:read"), 
+  async function (req, res, next) {
+  try {
+    const query = coerceQuery(req.query, recommendationQuerySchema);
+    const validator = jsonschema.validate(query, recommendationQuerySchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const recommendations = await Recommendation.forUser(req.params.username, query);
+    return res.json({ recommendations });
+  } catch (err) {
+    return next(err);
+  }
+});
 
 /** DELETE /[username]  =>  { deleted: username }
  *
- * Authorization required: admin, user w/ username
+ * Authorization required: users:write (admin), user w/ username
  **/
 
-router.delete("/:username", ensureLoggedIn, ensureIsAuthorized, async function (req, res, next) {
+router.delete("/:username", ensureLoggedIn, ensureCorrectUserOrPermission("users:write"), async function (req, res, next) {
   try {
     await User.remove(req.params.username);
     return res.json({ deleted: req.params.username });
@@ -122,21 +258,148 @@ router.delete("/:username", ensureLoggedIn, ensureIsAuthorized, async function (
   }
 });
 
-/** POST /[username]/jobs/[id]  => { username, id }
+/** POST /[username]/unlock  =>  { unlocked: username }
+ *
+ * Lifts a lockout or backoff on the user's logins after failed attempts
+ * (see POST /auth/token). Failures counted against the addresses they
+ * came from still apply.
+ *
+ * Authorization required: users:write (admin)
+ **/
+
+router.post("/:username/unlock", ensureLoggedIn, ensurePermission("users:write"), async function (req, res, next) {
+  try {
+    await LoginAttempt.clear(req.params.username);
+    return res.json({ unlocked: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[username]/2fa  =>  { twoFactor: { secret, provisioningUri } }
+ *
+ * Starts setting up two-factor authentication: the user adds the secret
+ * to their authenticator app, usually by scanning provisioningUri as a QR
+ * code, then confirms with a code at POST /[username]/2fa/confirm.
+ * Starting again replaces an unconfirmed secret.
+ *
+ * Authorization required: user w/ username
+ **/
+
+router.post("/:username/2fa", ensureLoggedIn, ensureCorrectUser, async function (req, res, next) {
+  try {
+    const twoFactor = await TwoFactor.begin(req.params.username);
+    return res.json({ twoFactor });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/2fa/confirm { code }  =>  { enabled: true, backupCodes }
+ *
+ * Turns on two-factor authentication, given a code from the authenticator
+ * app. From then on, logging in takes a code as well as the password (see
+ * POST /auth/token). backupCodes are single-use codes for when the app is
+ * lost; they are only shown this once.
+ *
+ * Authorization required: user w/ username
+ **/
+
+router.post("/:username/2fa/confirm", ensureLoggedIn, ensureCorrectUser, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, twoFactorCodeSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const backupCodes = await TwoFactor.enable(req.params.username, req.body.code);
+    return res.json({ enabled: true, backupCodes });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/2fa/backup-codes { code }  =>  { backupCodes }
+ *
+ * Replaces the user's backup codes with new ones, given a current code.
+ *
+ * Authorization required: user w/ username
+ **/
+
+router.post("/:username/2fa/backup-codes", ensureLoggedIn, ensureCorrectUser, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, twoFactorCodeSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await TwoFactor.verify(req.params.username, req.body.code);
+    const backupCodes = await TwoFactor.regenerateBackupCodes(req.params.username);
+    return res.json({ backupCodes });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/2fa { code }  =>  { disabled: username }
+ *
+ * Turns off two-factor authentication. Users turning off their own must
+ * give a current code (or a backup code); admins can turn it off for
+ * users who have lost both.
+ *
+ * Authorization required: users:write (admin), user w/ username
+ **/
+
+router.delete("/:username/2fa", ensureLoggedIn, ensureCorrectUserOrPermission("users:write"), async function (req, res, next) {
+  try {
+    const { username } = req.params;
+    if (res.locals.user.username === username) {
+      const validator = jsonschema.validate(req.body, twoFactorCodeSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map(e => e.stack);
+        throw new BadRequestError(errs);
+      }
+      await TwoFactor.verify(username, req.body.code);
+    }
+
+    await TwoFactor.disable(username);
+    return res.json({ disabled: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[username]/jobs/[id] { state, coverLetter }  => { applied: id }
  * 
  *  Allows a user, or admin on behalf of a user, to apply for a job
  *  a user-id / job-id relationship is created on the applications db.
  * 
+ *  state is optional: "applied" (the default) or "interested"
+ *  coverLetter is optional text; a resume is uploaded separately, with
+ *  PUT /[username]/jobs/[id]/resume
+ * 
  *  Returns { applied: id }
  *  
- *  Authorization required: admin or user w/ username
+ *  Authorization required: users:write (admin) or user w/ username
  **/
 
-router.post("/:username/jobs/:id", ensureLoggedIn, ensureIsAuthorized,  
+router.post("/:username/jobs/:id", ensureLoggedIn, ensureCorrectUserOrPermission("users:write"),  
   async function (req, res, next) {
   try {
+    const validator = jsonschema.validate(req.body, applicationNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
     const {username, id} = req.params;
-    const user = await User.apply({username, id});
+    const { state, coverLetter } = req.body;
+    const user = await User.apply({username, id, state, coverLetter});
     
     return res.json({ applied: id });
   } catch (err) {
@@ -152,5 +415,322 @@ router.post("/:username/jobs/:id", ensureLoggedIn, ensureIsAuthorized,
   }
 });
 
+/** DELETE /[username]/jobs/[id]  => { withdrawn: id }
+ * 
+ *  Withdraws a user's application to a job. The application isn't
+ *  deleted: it stays, marked withdrawn, with the change in its history.
+ * 
+ *  Returns { withdrawn: id }
+ *  
+ *  Authorization required: users:write (admin) or user w/ username
+ **/
+
+router.delete("/:username/jobs/:id", ensureLoggedIn, ensureCorrectUserOrPermission("users:write"),  
+  async function (req, res, next) {
+  try {
+    const { username, id } = req.params;
+    await User.unapply(username, id, res.locals.user.username);
+    return res.json({ withdrawn: id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[username]/jobs/[id]  => { application }
+ * 
+ *  Returns { username, jobId, state, coverLetter, resume, createdAt,
+ *            updatedAt, history }
+ *    where resume is { filename, contentType, size, uploadedAt } or null
+ *    and history is [{ fromState, toState, changedBy, changedAt }, ...]
+ *  
+ *  Authorization required: applications:read (admin, auditor, recruiter
+ *  for the job's company) or user w/ username
+ **/
+
+router.get("/:username/jobs/:id", ensureLoggedIn, 
+  ensureCorrectUserOrPermission("applications:read"), 
+  ensureCompanyAccess(applicationCompany),  
+  async function (req, res, next) {
+  try {
+    const application = await User.getApplication(
+      req.params.username, req.params.id);
+    return res.json({ application });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /[username]/jobs/[id] { state }  => { application }
+ * 
+ *  Moves an application to a new state. Users may only move their own
+ *  applications to interested, applied or withdrawn; users with the
+ *  applications:write permission may also set interviewing, offered and
+ *  rejected.
+ * 
+ *  Returns { username, jobId, state, createdAt, updatedAt }
+ *  
+ *  Authorization required: applications:write (admin, recruiter for the
+ *  job's company) or user w/ username
+ **/
+
+router.patch("/:username/jobs/:id", ensureLoggedIn, 
+  ensureCorrectUserOrPermission("applications:write"), 
+  ensureCompanyAccess(applicationCompany),  
+  async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, applicationUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { state } = req.body;
+    if (!userHasPermission(res.locals.user, "applications:write") && 
+      !CANDIDATE_STATES.includes(state))
+      throw new UnauthorizedError();
+
+    const application = await User.setApplicationState(
+      req.params.username, req.params.id, state, res.locals.user.username);
+    return res.json({ application });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PUT /[username]/jobs/[id]/resume?filename=cv.pdf  (file)  => { resume }
+ * 
+ *  Attaches a resume to an application, replacing any earlier one. The
+ *  request body is the file itself, sent with its MIME type as the
+ *  Content-Type: PDF, Word (.doc, .docx) or plain text, up to
+ *  RESUME_MAX_BYTES (5MB by default). filename is optional and is the
+ *  name the file is downloaded as (default: "resume").
+ * 
+ *  Returns { filename, contentType, size, uploadedAt }
+ *  
+ *  Authorization required: users:write (admin) or user w/ username
+ **/
+
+router.put("/:username/jobs/:id/resume", ensureLoggedIn, 
+  ensureCorrectUserOrPermission("users:write"),
+  express.raw({ type: () => true, limit: RESUME_MAX_BYTES }),
+  async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.query, resumeUploadSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const contentType = req.is(RESUME_TYPES);
+    if (!contentType)
+      throw new BadRequestError(
+        `Resume must be one of: ${RESUME_TYPES.join(", ")}`);
+
+    const { filename = "resume" } = req.query;
+    const resume = await User.setResume(req.params.username, req.params.id, 
+      { data: Buffer.isBuffer(req.body) ? req.body : null, filename, contentType });
+    return res.json({ resume });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[username]/jobs/[id]/resume  =>  (file)
+ * 
+ *  Downloads the resume on an application, as an attachment that browsers
+ *  are told not to sniff, so it can't be rendered as a page.
+ *  
+ *  Authorization required: applications:read (admin, auditor, recruiter
+ *  for the job's company) or user w/ username
+ **/
+
+router.get("/:username/jobs/:id/resume", ensureLoggedIn, 
+  ensureCorrectUserOrPermission("applications:read"), 
+  ensureCompanyAccess(applicationCompany),  
+  async function (req, res, next) {
+  try {
+    const { filename, contentType, data } = await User.getResume(
+      req.params.username, req.params.id);
+    res.attachment(filename);
+    res.type(contentType);
+    res.set("X-Content-Type-Options", "nosniff");
+    return res.send(data);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[username]/saved  => { saved: [ { jobId, title, companyHandle,
+ *                                         closesAt, notes, savedAt }, ... ] }
+ * 
+ *  The jobs a user has saved, most recently saved first.
+ *  
+ *  Authorization required: users:read (admin, auditor) or user w/ username
+ **/
+
+router.get("/:username/saved", ensureLoggedIn, ensureCorrectUserOrPermission("users:read"),  
+  async function (req, res, next) {
+  try {
+    const saved = await SavedJob.findAll(req.params.username);
+    return res.json({ saved });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PUT /[username]/saved/[jobId] { notes }  => { saved }
+ * 
+ *  Saves a job to a user's list without applying to it; saving it again
+ *  replaces the notes. notes is optional.
+ * 
+ *  Returns { jobId, title, companyHandle, closesAt, notes, savedAt }
+ *  
+ *  Authorization required: users:write (admin) or user w/ username
+ **/
+
+router.put("/:username/saved/:jobId", ensureLoggedIn, ensureCorrectUserOrPermission("users:write"),  
+  async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, savedJobNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const saved = await SavedJob.save(
+      req.params.username, req.params.jobId, req.body.notes);
+    return res.json({ saved });
+  } catch (err) {
+    if(err.code === '23503' && String(err.detail).includes('is not present in table "users"'))
+      return next(new NotFoundError('No user with that username'));
+    if(err.code === '23503' && String(err.detail).includes('is not present in table "jobs"'))
+      return next(new NotFoundError('No job with that id'));
+    return next(err);
+  }
+});
+
+/** DELETE /[username]/saved/[jobId]  => { unsaved: jobId }
+ * 
+ *  Authorization required: users:write (admin) or user w/ username
+ **/
+
+router.delete("/:username/saved/:jobId", ensureLoggedIn, ensureCorrectUserOrPermission("users:write"),  
+  async function (req, res, next) {
+  try {
+    await SavedJob.remove(req.params.username, req.params.jobId);
+    return res.json({ unsaved: req.params.jobId });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[username]/searches { name, filters }  => { search }
+ * 
+ *  Saves a named set of job filters, shaped like the filters GET /jobs
+ *  takes. From then on, each new job that meets the filters shows up in
+ *  GET /[username]/matches.
+ * 
+ *  Returns { id, name, filters, createdAt }
+ *  
+ *  Authorization required: users:write (admin) or user w/ username
+ **/
+
+router.post("/:username/searches", ensureLoggedIn, ensureCorrectUserOrPermission("users:write"),  
+  async function (req, res, next) {
+  try {
+    const validator = searchValidator.validate(req.body, savedSearchNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const search = await SavedSearch.create(req.params.username, req.body);
+    return res.status(201).json({ search });
+  } catch (err) {
+    if(err.code === '23503' && String(err.detail).includes('is not present in table "users"'))
+      return next(new NotFoundError('No user with that username'));
+    if(err.code === '23505' && String(err.detail).includes('already exists'))
+      return next(new BadRequestError('Duplicate saved search name'));
+    return next(err);
+  }
+});
+
+/** GET /[username]/searches  => { searches: [ { id, name, filters,
+ *                                               createdAt, unread }, ... ] }
+ * 
+ *  unread counts each search's unread matches.
+ *  
+ *  Authorization required: users:read (admin, auditor) or user w/ username
+ **/
+
+router.get("/:username/searches", ensureLoggedIn, ensureCorrectUserOrPermission("users:read"),  
+  async function (req, res, next) {
+  try {
+    const searches = await SavedSearch.findAll(req.params.username);
+    return res.json({ searches });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[username]/searches/[id]  => { deleted: id }
+ *  
+ *  Authorization required: users:write (admin) or user w/ username
+ **/
+
+router.delete("/:username/searches/:id", ensureLoggedIn, ensureCorrectUserOrPermission("users:write"),  
+  async function (req, res, next) {
+  try {
+    await SavedSearch.remove(req.params.username, req.params.id);
+    return res.json({ deleted: req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[username]/matches  => { matches: [ { searchId, searchName, jobId,
+ *                                             title, companyHandle,
+ *                                             matchedAt }, ... ] }
+ * 
+ *  New jobs that met the user's saved searches and haven't been marked
+ *  read, newest first.
+ *  
+ *  Authorization required: users:read (admin, auditor) or user w/ username
+ **/
+
+router.get("/:username/matches", ensureLoggedIn, ensureCorrectUserOrPermission("users:read"),  
+  async function (req, res, next) {
+  try {
+    const matches = await SavedSearch.unreadMatches(req.params.username);
+    return res.json({ matches });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[username]/matches/read { searchId }  => { read: count }
+ * 
+ *  Marks the user's unread matches read; only those of one saved search
+ *  if searchId is given.
+ *  
+ *  Authorization required: users:write (admin) or user w/ username
+ **/
+
+router.post("/:username/matches/read", ensureLoggedIn, ensureCorrectUserOrPermission("users:write"),  
+  async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, searchMatchesReadSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const read = await SavedSearch.markRead(req.params.username, req.body.searchId);
+    return res.json({ read });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 
 module.exports = router;
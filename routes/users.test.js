@@ -5,6 +5,12 @@ const request = require("supertest");
 const db = require("../db.js");
 const app = require("../app");
 const User = require("../models/user");
+const ApiKey = require("../models/apiKey");
+const SavedJob = require("../models/savedJob");
+const SavedSearch = require("../models/savedSearch");
+const TwoFactor = require("../models/twoFactor");
+const { totpCode, timeStep } = require("../helpers/totp");
+const { RESUME_MAX_BYTES } = require("../config");
 
 const {
   commonBeforeAll,
@@ -12,6 +18,8 @@ const {
   commonAfterEach,
   commonAfterAll,
   u1Token,
+  u2Token,
+  u3Token,
   a1Token,
 } = require("./_testCommon");
 
@@ -32,7 +40,7 @@ describe("POST /users", function () {
           lastName: "Last-newL",
           password: "password-new",
           email: "new@email.com",
-          isAdmin: false,
+          role: "candidate",
         })
         .set("authorization", `Bearer ${a1Token}`);
     expect(resp.statusCode).toEqual(201);
@@ -42,9 +50,15 @@ describe("POST /users", function () {
         firstName: "First-new",
         lastName: "Last-newL",
         email: "new@email.com",
+        role: "candidate",
         isAdmin: false,
       }, token: expect.any(String),
     });
+
+    const mail = await db.query(
+          `SELECT template, recipient FROM mail_queue`);
+    expect(mail.rows).toEqual(
+      [{ template: "accountCreated", recipient: "new@email.com" }]);
   });
 
   test("works for admin: create admin", async function () {
@@ -56,7 +70,7 @@ describe("POST /users", function () {
           lastName: "Last-newL",
           password: "password-new",
           email: "new@email.com",
-          isAdmin: true,
+          role: "admin",
         })
         .set("authorization", `Bearer ${a1Token}`);
     expect(resp.statusCode).toEqual(201);
@@ -66,6 +80,7 @@ describe("POST /users", function () {
         firstName: "First-new",
         lastName: "Last-newL",
         email: "new@email.com",
+        role: "admin",
         isAdmin: true,
       }, token: expect.any(String),
     });
@@ -80,7 +95,7 @@ describe("POST /users", function () {
           lastName: "Last-newL",
           password: "password-new",
           email: "new@email.com",
-          isAdmin: true,
+          role: "admin",
         });
     expect(resp.statusCode).toEqual(401);
   });
@@ -104,7 +119,7 @@ describe("POST /users", function () {
           lastName: "Last-newL",
           password: "password-new",
           email: "not-an-email",
-          isAdmin: true,
+          role: "admin",
         })
         .set("authorization", `Bearer ${a1Token}`);
     expect(resp.statusCode).toEqual(400);
@@ -125,6 +140,7 @@ describe("GET /users", function () {
           firstName: "A1F",
           lastName: "A1L",
           email: "admin@admin.com",
+          role: "admin",
           isAdmin: true,
           jobs: []
         },
@@ -133,6 +149,7 @@ describe("GET /users", function () {
           firstName: "U1F",
           lastName: "U1L",
           email: "user1@user.com",
+          role: "candidate",
           isAdmin: false,
           jobs: []
         },
@@ -141,6 +158,7 @@ describe("GET /users", function () {
           firstName: "U2F",
           lastName: "U2L",
           email: "user2@user.com",
+          role: "recruiter",
           isAdmin: false,
           jobs: []
         },
@@ -149,13 +167,83 @@ describe("GET /users", function () {
           firstName: "U3F",
           lastName: "U3L",
           email: "user3@user.com",
+          role: "auditor",
           isAdmin: false,
           jobs: []
         },
       ],
+      total: 4,
+      next: null,
     });
   });
 
+  test("works with API key scoped to users:read", async function () {
+    const { key } = await ApiKey.create(
+        { name: "HRIS", scopes: ["users:read"] }, "a1");
+    const resp = await request(app)
+        .get("/users")
+        .set("authorization", `Bearer ${key}`);
+    expect(resp.body.total).toEqual(4);
+  });
+
+  test("unauth with API key for a company, even with users:read", async function () {
+    const { key } = await ApiKey.create(
+        { name: "ATS", scopes: ["users:read"], companyHandle: "c1" }, "a1");
+    for (const url of ["/users", "/users/u1"]) {
+      const resp = await request(app)
+          .get(url)
+          .set("authorization", `Bearer ${key}`);
+      expect(resp.statusCode).toEqual(401);
+    }
+  });
+
+  test("works for admin: paging", async function () {
+    const resp = await request(app)
+        .get("/users")
+        .query({ limit: 3 })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body.users.map(u => u.username)).toEqual(["a1", "u1", "u2"]);
+    expect(resp.body.total).toEqual(4);
+
+    const nextResp = await request(app)
+        .get("/users")
+        .query({ limit: 3, cursor: resp.body.next })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(nextResp.body.users.map(u => u.username)).toEqual(["u3"]);
+    expect(nextResp.body.next).toBeNull();
+  });
+
+  test("works for admin: sorting", async function () {
+    const resp = await request(app)
+        .get("/users")
+        .query({ sort: "-username" })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body.users.map(u => u.username)).toEqual(["u3", "u2", "u1", "a1"]);
+  });
+
+  test("bad request with invalid paging", async function () {
+    const resp = await request(app)
+        .get("/users")
+        .query({ offset: -1 })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works for auditor", async function () {
+    const resp = await request(app)
+        .get("/users")
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.total).toEqual(4);
+  });
+
+  test("unauth for recruiter", async function () {
+    const resp = await request(app)
+        .get("/users")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .get("/users");
@@ -187,12 +275,37 @@ describe("GET /users/:username", function () {
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
+        emailVerified: false,
+        role: "candidate",
         isAdmin: false,
-        jobs: []
+        jobs: [],
+        saved: [],
+        profile: {
+          headline: null,
+          bio: null,
+          location: null,
+          skills: [],
+          experience: [],
+          education: []
+        }
       },
     });
   });
 
+  test("works for auditor", async function () {
+    const resp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body.user.username).toEqual("u1");
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .get(`/users/u3`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .get(`/users/u1`);
@@ -223,11 +336,48 @@ describe("PATCH /users/:username", () => {
         firstName: "New",
         lastName: "U1L",
         email: "user1@user.com",
+        emailVerified: false,
+        role: "candidate",
         isAdmin: false,
       },
     });
   });
 
+  test("works: a new email is sent a verification link", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          email: "new@email.com",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.user.emailVerified).toEqual(false);
+
+    const mail = await db.query(
+          `SELECT template, recipient FROM mail_queue`);
+    expect(mail.rows).toEqual(
+      [{ template: "emailVerification", recipient: "new@email.com" }]);
+  });
+
+  test("works for admin: change role", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          role: "recruiter",
+        })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body.user.role).toEqual("recruiter");
+  });
+
+  test("unauth for users changing their own role", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          role: "admin",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .patch(`/users/u1`)
@@ -270,6 +420,8 @@ describe("PATCH /users/:username", () => {
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
+        emailVerified: false,
+        role: "candidate",
         isAdmin: false,
       },
     });
@@ -278,6 +430,187 @@ describe("PATCH /users/:username", () => {
   });
 });
 
+/************************************** PATCH /users/:username/profile */
+
+describe("PATCH /users/:username/profile", () => {
+  const profile = {
+    headline: "Backend developer",
+    bio: "I build APIs.",
+    location: "Berlin",
+    skills: ["Node.js", "PostgreSQL"],
+    experience: [
+      { title: "Developer", company: "Acme", startDate: "2020-01-01",
+        endDate: "2023-06-30", description: "Payments team" },
+    ],
+    education: [
+      { school: "TU Berlin", degree: "BSc", fieldOfStudy: "Computer Science",
+        startDate: "2016-10-01", endDate: "2019-09-30" },
+    ],
+  };
+
+  test("works for users", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/profile`)
+        .send(profile)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      profile: {
+        headline: "Backend developer",
+        bio: "I build APIs.",
+        location: "Berlin",
+        skills: ["Node.js", "PostgreSQL"],
+        experience: [{ id: expect.any(Number), title: "Developer", company: "Acme",
+          startDate: "2020-01-01", endDate: "2023-06-30", description: "Payments team" }],
+        education: [{ id: expect.any(Number), school: "TU Berlin", degree: "BSc",
+          fieldOfStudy: "Computer Science", startDate: "2016-10-01", endDate: "2019-09-30" }],
+      },
+    });
+
+    const user = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(user.body.user.profile).toEqual(resp.body.profile);
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/profile`)
+        .send({ headline: "Data analyst" })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body.profile.headline).toEqual("Data analyst");
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/profile`)
+        .send({ headline: "Data analyst" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request if invalid data", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/profile`)
+        .send({ experience: [{ title: "Developer" }] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request if no data", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/profile`)
+        .send({})
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request if entry ends before it starts", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/profile`)
+        .send({ education: [{ school: "TU Berlin", startDate: "2019-01-01",
+          endDate: "2018-01-01" }] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request if dates aren't on the calendar", async function () {
+    const entries = [
+      { experience: [{ title: "Developer", company: "Acme",
+                       startDate: "2024-02-30" }] },
+      { experience: [{ title: "Developer", company: "Acme",
+                       startDate: "2020-01-01", endDate: "2024-00-10" }] },
+      { education: [{ school: "TU Berlin", startDate: "2019-13-01" }] },
+      { education: [{ school: "TU Berlin", endDate: "2023-04-31" }] },
+    ];
+    for (const body of entries) {
+      const resp = await request(app)
+          .patch(`/users/u1/profile`)
+          .send(body)
+          .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+        .patch(`/users/nope/profile`)
+        .send({ headline: "Data analyst" })
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /users/:username/recommendations */
+
+describe("GET /users/:username/recommendations", () => {
+  let jobId;
+
+  beforeEach(async function () {
+    const job = await request(app)
+        .post("/jobs")
+        .send({ title: "Python Developer", salaryMin: 90000, equity: 0,
+                company_handle: "c2", skills: ["Python"] })
+        .set("authorization", `Bearer ${a1Token}`);
+    jobId = job.body.job.id;
+    await request(app)
+        .patch(`/users/u1/profile`)
+        .send({ skills: ["Python"] })
+        .set("authorization", `Bearer ${u1Token}`);
+  });
+
+  test("works for users", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/recommendations?minSalary=50000`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.recommendations).toEqual([
+      expect.objectContaining({ id: jobId, matchingSkills: ["Python"], score: 0.7 }),
+    ]);
+  });
+
+  test("works: salary beyond 32-bit integers", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/recommendations?minSalary=3000000000`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("works: applied jobs left out", async function () {
+    await User.apply({ username: "u1", id: jobId });
+    const resp = await request(app)
+        .get(`/users/u1/recommendations`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ recommendations: [] });
+  });
+
+  test("works for auditor", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/recommendations`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body.recommendations.length).toEqual(1);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/recommendations`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request if invalid query", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/recommendations?limit=lots`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+        .get(`/users/nope/recommendations`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
 /************************************** DELETE /users/:username */
 
 describe("DELETE /users/:username", function () {
@@ -288,6 +621,15 @@ describe("DELETE /users/:username", function () {
     expect(resp.body).toEqual({ deleted: "u1" });
   });
 
+  test("unauth for recruiter and auditor", async function () {
+    for (const token of [u2Token, u3Token]) {
+      const resp = await request(app)
+          .delete(`/users/u1`)
+          .set("authorization", `Bearer ${token}`);
+      expect(resp.statusCode).toEqual(401);
+    }
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .delete(`/users/u1`);
@@ -302,6 +644,117 @@ describe("DELETE /users/:username", function () {
   });
 });
 
+/************************************** POST /users/:username/unlock */
+
+describe("POST /users/:username/unlock", function () {
+  test("works for admin", async function () {
+    await db.query(
+          `INSERT INTO login_failures (kind, key, failures, last_failed_at)
+           VALUES ('username', 'u1', 5, CURRENT_TIMESTAMP)`);
+    const resp = await request(app)
+        .post(`/users/u1/unlock`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body).toEqual({ unlocked: "u1" });
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(login.statusCode).toEqual(200);
+  });
+
+  test("unauth for the user themselves", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/unlock`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /users/:username/2fa */
+
+describe("two-factor setup", function () {
+  test("works: begin and confirm", async function () {
+    const begun = await request(app)
+        .post(`/users/u1/2fa`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(begun.body).toEqual({
+      twoFactor: {
+        secret: expect.any(String),
+        provisioningUri: expect.stringMatching(/^otpauth:\/\/totp\//),
+      },
+    });
+
+    const resp = await request(app)
+        .post(`/users/u1/2fa/confirm`)
+        .send({ code: totpCode(begun.body.twoFactor.secret, timeStep()) })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      enabled: true,
+      backupCodes: expect.any(Array),
+    });
+    expect(await TwoFactor.isEnabled("u1")).toEqual(true);
+  });
+
+  test("unauth for admin setting up for someone else", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/2fa`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request confirming with wrong code", async function () {
+    await TwoFactor.begin("u1");
+    const resp = await request(app)
+        .post(`/users/u1/2fa/confirm`)
+        .send({ code: "000000" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: new backup codes", async function () {
+    const { secret } = await TwoFactor.begin("u1");
+    await TwoFactor.enable("u1", totpCode(secret, timeStep() - 1));
+    const resp = await request(app)
+        .post(`/users/u1/2fa/backup-codes`)
+        .send({ code: totpCode(secret, timeStep()) })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.backupCodes.length).toEqual(10);
+  });
+});
+
+describe("DELETE /users/:username/2fa", function () {
+  let backupCodes;
+
+  beforeEach(async function () {
+    const { secret } = await TwoFactor.begin("u1");
+    backupCodes = await TwoFactor.enable("u1", totpCode(secret, timeStep()));
+  });
+
+  test("works for users with a code", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/2fa`)
+        .send({ code: backupCodes[0] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ disabled: "u1" });
+    expect(await TwoFactor.isEnabled("u1")).toEqual(false);
+  });
+
+  test("unauth for users with a wrong code", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/2fa`)
+        .send({ code: "0000-0000" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("works for admin without a code", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/2fa`)
+        .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body).toEqual({ disabled: "u1" });
+  });
+});
+
 /************************************** POST /users/:username/jobs/:id */
 
 describe("POST /users/:username/jobs/:id", () => {
@@ -319,6 +772,20 @@ describe("POST /users/:username/jobs/:id", () => {
     expect(resp.body).toEqual({ applied: `${id}` });
   });
 
+  test("works with cover letter", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const id = jobRes.rows[0].id;
+
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${id}`)
+      .send({ coverLetter: "Dear C1," })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ applied: `${id}` });
+
+    const application = await User.getApplication("u1", id);
+    expect(application.coverLetter).toEqual("Dear C1,");
+  });
+
   test("unauth for anon", async function () {
     const userRes = await db.query(
       `SELECT * FROM users WHERE username = 'u1'`);
@@ -354,4 +821,702 @@ describe("POST /users/:username/jobs/:id", () => {
     expect(resp.statusCode).toEqual(404);
   });
 
-});
\ No newline at end of file
+});
+
+/************************************** DELETE /users/:username/jobs/:id */
+
+describe("DELETE /users/:username/jobs/:id", () => {
+  test("works for users", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ withdrawn: `${id}` });
+
+    const application = await User.getApplication("u1", id);
+    expect(application.state).toEqual("withdrawn");
+  });
+
+  test("works for admin", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${id}`)
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body).toEqual({ withdrawn: `${id}` });
+
+    const { history } = await User.getApplication("u1", id);
+    expect(history[1].changedBy).toEqual("a1");
+  });
+
+  test("unauth for other users", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${id}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request if already withdrawn", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+    await User.unapply("u1", id);
+
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no application", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${jobRes.rows[0].id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found if no such job", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/nope`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /users/:username/jobs/:id */
+
+describe("GET /users/:username/jobs/:id", () => {
+  test("works for users", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+
+    const resp = await request(app)
+      .get(`/users/u1/jobs/${id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      application: {
+        username: "u1",
+        jobId: id,
+        state: "applied",
+        coverLetter: null,
+        resume: null,
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
+        history: [{
+          fromState: null,
+          toState: "applied",
+          changedBy: "u1",
+          changedAt: expect.any(String)
+        }]
+      }
+    });
+  });
+
+  test("not found if no application", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const resp = await request(app)
+      .get(`/users/u1/jobs/${jobRes.rows[0].id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /users/:username/jobs/:id */
+
+describe("PATCH /users/:username/jobs/:id", () => {
+  test("works for users: withdraw", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${id}`)
+      .send({ state: "withdrawn" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      application: {
+        username: "u1",
+        jobId: id,
+        state: "withdrawn",
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String)
+      }
+    });
+  });
+
+  test("works for admin: interviewing", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${id}`)
+      .send({ state: "interviewing" })
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.body.application.state).toEqual("interviewing");
+  });
+
+  test("unauth for users setting hiring states", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${id}`)
+      .send({ state: "offered" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("works for recruiter: interviewing", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${id}`)
+      .send({ state: "interviewing" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body.application.state).toEqual("interviewing");
+  });
+
+  test("unauth for recruiter of another company", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+    await db.query(`DELETE FROM company_recruiters`);
+
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${id}`)
+      .send({ state: "interviewing" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for auditor", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${id}`)
+      .send({ state: "rejected" })
+      .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request if move not allowed", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${id}`)
+      .send({ state: "offered" })
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request if invalid state", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${jobRes.rows[0].id}`)
+      .send({ state: "hired" })
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no application", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${jobRes.rows[0].id}`)
+      .send({ state: "withdrawn" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PUT /users/:username/jobs/:id/resume */
+
+describe("PUT /users/:username/jobs/:id/resume", () => {
+  test("works for users", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+
+    const resp = await request(app)
+      .put(`/users/u1/jobs/${id}/resume?filename=cv.pdf`)
+      .set("content-type", "application/pdf")
+      .send(Buffer.from("%PDF-1.4 resume"))
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      resume: {
+        filename: "cv.pdf",
+        contentType: "application/pdf",
+        size: 15,
+        uploadedAt: expect.any(String)
+      }
+    });
+  });
+
+  test("unauth for other users", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+
+    const resp = await request(app)
+      .put(`/users/u1/jobs/${id}/resume`)
+      .set("content-type", "application/pdf")
+      .send(Buffer.from("%PDF-1.4 resume"))
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request for other file types", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+
+    const resp = await request(app)
+      .put(`/users/u1/jobs/${id}/resume`)
+      .set("content-type", "image/png")
+      .send(Buffer.from("png"))
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for contents not of the declared type", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+
+    const resp = await request(app)
+      .put(`/users/u1/jobs/${id}/resume`)
+      .set("content-type", "application/pdf")
+      .send(Buffer.from("<html><script>alert(1)</script></html>"))
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for filename with a path", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+
+    const resp = await request(app)
+      .put(`/users/u1/jobs/${id}/resume?filename=../cv.pdf`)
+      .set("content-type", "application/pdf")
+      .send(Buffer.from("%PDF-1.4 resume"))
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("too large", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+
+    const resp = await request(app)
+      .put(`/users/u1/jobs/${id}/resume`)
+      .set("content-type", "text/plain")
+      .send(Buffer.alloc(RESUME_MAX_BYTES + 1))
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(413);
+  });
+
+  test("not found if no application", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const resp = await request(app)
+      .put(`/users/u1/jobs/${jobRes.rows[0].id}/resume`)
+      .set("content-type", "text/plain")
+      .send(Buffer.from("resume"))
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /users/:username/jobs/:id/resume */
+
+describe("GET /users/:username/jobs/:id/resume", () => {
+  let id;
+
+  beforeEach(async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    id = jobRes.rows[0].id;
+    await User.apply({ username: "u1", id });
+    await User.setResume("u1", id, 
+      { data: Buffer.from("my resume"), filename: "cv.txt", contentType: "text/plain" });
+  });
+
+  test("works for users", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/jobs/${id}/resume`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toMatch(/^text\/plain/);
+    expect(resp.headers["content-disposition"]).toEqual('attachment; filename="cv.txt"');
+    expect(resp.headers["x-content-type-options"]).toEqual("nosniff");
+    expect(resp.text).toEqual("my resume");
+  });
+
+  test("works for the hiring company's recruiter", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/jobs/${id}/resume`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.text).toEqual("my resume");
+  });
+
+  test("unauth for recruiter of another company", async function () {
+    await db.query(`DELETE FROM company_recruiters`);
+    const resp = await request(app)
+      .get(`/users/u1/jobs/${id}/resume`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get(`/users/u1/jobs/${id}/resume`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no resume", async function () {
+    await db.query(`UPDATE applications SET resume_key = NULL`);
+    const resp = await request(app)
+      .get(`/users/u1/jobs/${id}/resume`)
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PUT /users/:username/saved/:jobId */
+
+describe("PUT /users/:username/saved/:jobId", () => {
+  test("works for users", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const id = jobRes.rows[0].id;
+
+    const resp = await request(app)
+      .put(`/users/u1/saved/${id}`)
+      .send({ notes: "Looks fun" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      saved: {
+        jobId: id,
+        title: "j1",
+        companyHandle: "c1",
+        closesAt: null,
+        notes: "Looks fun",
+        savedAt: expect.any(String)
+      }
+    });
+
+    const user = await User.get("u1");
+    expect(user.saved.map(s => s.jobId)).toEqual([id]);
+    expect(user.jobs).toEqual([]);
+  });
+
+  test("unauth for other users", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const resp = await request(app)
+      .put(`/users/u1/saved/${jobRes.rows[0].id}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request if invalid data", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const resp = await request(app)
+      .put(`/users/u1/saved/${jobRes.rows[0].id}`)
+      .send({ notes: 42 })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no such job", async function () {
+    const resp = await request(app)
+      .put(`/users/u1/saved/0`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for job ids that aren't valid ids", async function () {
+    for (const id of ["1.5", "99999999999", "nope"]) {
+      const resp = await request(app)
+        .put(`/users/u1/saved/${id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(404);
+    }
+  });
+
+  test("not found if no such user", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const resp = await request(app)
+      .put(`/users/nope/saved/${jobRes.rows[0].id}`)
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /users/:username/saved */
+
+describe("GET /users/:username/saved", () => {
+  test("works for users", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await SavedJob.save("u1", id, "Looks fun");
+
+    const resp = await request(app)
+      .get(`/users/u1/saved`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      saved: [{
+        jobId: id,
+        title: "j1",
+        companyHandle: "c1",
+        closesAt: null,
+        notes: "Looks fun",
+        savedAt: expect.any(String)
+      }]
+    });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/saved`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+      .get(`/users/nope/saved`)
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /users/:username/saved/:jobId */
+
+describe("DELETE /users/:username/saved/:jobId", () => {
+  test("works for users", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const id = jobRes.rows[0].id;
+    await SavedJob.save("u1", id);
+
+    const resp = await request(app)
+      .delete(`/users/u1/saved/${id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ unsaved: `${id}` });
+  });
+
+  test("unauth for other users", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const resp = await request(app)
+      .delete(`/users/u1/saved/${jobRes.rows[0].id}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not saved", async function () {
+    const jobRes = await db.query(`SELECT * FROM jobs`);
+    const resp = await request(app)
+      .delete(`/users/u1/saved/${jobRes.rows[0].id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for job ids that aren't valid ids", async function () {
+    for (const id of ["1.5", "99999999999"]) {
+      const resp = await request(app)
+        .delete(`/users/u1/saved/${id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(404);
+    }
+  });
+});
+
+/************************************** POST /users/:username/searches */
+
+describe("POST /users/:username/searches", () => {
+  test("works for users", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/searches`)
+      .send({ name: "Engineering", filters: { title: "engineer", isOpen: true } })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      search: {
+        id: expect.any(Number),
+        name: "Engineering",
+        filters: { title: "engineer", isOpen: true },
+        createdAt: expect.any(String)
+      }
+    });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/searches`)
+      .send({ name: "Engineering", filters: {} })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with filters GET /jobs doesn't take", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/searches`)
+      .send({ name: "Engineering", filters: { nope: true } })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with postedSince not on the calendar", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/searches`)
+      .send({ name: "Engineering", filters: { postedSince: "2024-02-30" } })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+
+    const jobResp = await request(app)
+      .post("/jobs")
+      .send({ title: "new", salaryMin: 1, equity: 0.1, company_handle: "c1" })
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(jobResp.statusCode).toEqual(201);
+  });
+
+  test("bad request with duplicate name", async function () {
+    await SavedSearch.create("u1", { name: "Engineering", filters: {} });
+    const resp = await request(app)
+      .post(`/users/u1/searches`)
+      .send({ name: "Engineering", filters: {} })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+      .post(`/users/nope/searches`)
+      .send({ name: "Engineering", filters: {} })
+      .set("authorization", `Bearer ${a1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /users/:username/searches */
+
+describe("GET /users/:username/searches", () => {
+  test("works for users", async function () {
+    await SavedSearch.create("u1", { name: "Engineering", filters: {} });
+    const resp = await request(app)
+      .get(`/users/u1/searches`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      searches: [{
+        id: expect.any(Number),
+        name: "Engineering",
+        filters: {},
+        createdAt: expect.any(String),
+        unread: 0
+      }]
+    });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/searches`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** DELETE /users/:username/searches/:id */
+
+describe("DELETE /users/:username/searches/:id", () => {
+  test("works for users", async function () {
+    const search = await SavedSearch.create("u1", { name: "Engineering", filters: {} });
+    const resp = await request(app)
+      .delete(`/users/u1/searches/${search.id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ deleted: `${search.id}` });
+  });
+
+  test("not found if no such search", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/searches/0`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /users/:username/matches */
+
+describe("GET /users/:username/matches", () => {
+  test("works for users", async function () {
+    const search = await SavedSearch.create("u1",
+      { name: "Engineering", filters: { title: "engineer" } });
+    const job = await request(app)
+      .post("/jobs")
+      .send({ title: "Engineer", equity: 0, company_handle: "c1" })
+      .set("authorization", `Bearer ${a1Token}`);
+
+    const resp = await request(app)
+      .get(`/users/u1/matches`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      matches: [{
+        searchId: search.id,
+        searchName: "Engineering",
+        jobId: job.body.job.id,
+        title: "Engineer",
+        companyHandle: "c1",
+        matchedAt: expect.any(String)
+      }]
+    });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/matches`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /users/:username/matches/read */
+
+describe("POST /users/:username/matches/read", () => {
+  test("works for users", async function () {
+    await SavedSearch.create("u1", { name: "Everything", filters: {} });
+    await request(app)
+      .post("/jobs")
+      .send({ title: "Engineer", equity: 0, company_handle: "c1" })
+      .set("authorization", `Bearer ${a1Token}`);
+
+    const resp = await request(app)
+      .post(`/users/u1/matches/read`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ read: 1 });
+
+    const matches = await SavedSearch.unreadMatches("u1");
+    expect(matches).toEqual([]);
+  });
+
+  test("bad request if invalid data", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/matches/read`)
+      .send({ searchId: "all" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
@@ -1,8 +1,14 @@
 "use strict";
 
 const app = require("./app");
+const Mail = require("./models/mail");
 const { PORT } = require("./config");
 
 app.listen(PORT, function () {
   console.log(`Started on http://localhost:${PORT}`);
 });
+
+// Send queued mail, retrying earlier failures once they are due
+setInterval(function () {
+  Mail.deliver().catch(err => console.error("Mail delivery failed:", err));
+}, 60 * 1000);